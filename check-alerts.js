@@ -0,0 +1,112 @@
+/**
+ * Alert Engine Check
+ * Run with: node check-alerts.js
+ *
+ * Runs the alert engine against fixtures/alert-report.json with one rule of each type
+ * (plus rules that shouldn't fire), using a scratch SQLite database so real data is never touched:
+ *   - dry run: every alert type fires and nothing is recorded
+ *   - run: the same rules fire and are recorded once each
+ *   - repeat run: nothing fires again; every rule counts as a duplicate
+ *   - overlapping runs: two runs over the same report record each trigger once, without errors
+ * Notifications are off (notify: false). Exits non-zero if any check fails.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const scratchPath = path.join(os.tmpdir(), `cotpulse-alert-check-${process.pid}.db`);
+process.env.SQLITE_PATH = scratchPath;
+process.env.DATABASE_URL = '';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'alert-check';
+
+require('dotenv').config();
+const db = require('./db');
+const User = require('./models/User');
+const Alert = require('./models/Alert');
+const { evaluateReport } = require('./utils/alertEngine');
+
+const report = require('./fixtures/alert-report.json');
+
+// Rules on the fixture: the ES ones fire on 2024-01-09, the GC ones don't
+const RULES = [
+    { symbol: 'ES', alertType: 'net_position_cross', traderGroup: 'noncommercial', thresholdValue: 50000, thresholdDirection: 'above' },
+    { symbol: 'ES', alertType: 'weekly_change', traderGroup: 'noncommercial', thresholdValue: 25000, thresholdDirection: 'increase' },
+    { symbol: 'ES', alertType: 'cot_index_extreme', traderGroup: 'commercial', thresholdValue: 10, thresholdDirection: 'below', lookbackWeeks: 26 },
+    { symbol: 'ES', alertType: 'open_interest_change', thresholdValue: 5, thresholdDirection: 'either' },
+    { symbol: 'GC', alertType: 'net_position_cross', traderGroup: 'noncommercial', thresholdValue: 250000, thresholdDirection: 'above' },
+    { symbol: 'GC', alertType: 'open_interest_change', thresholdValue: 5, thresholdDirection: 'either' }
+];
+const FIRING = RULES.filter(rule => rule.symbol === 'ES').length;
+
+let failures = 0;
+
+function check(description, passed, detail) {
+    if (!passed) failures++;
+    console.log(`  ${passed ? 'PASS' : 'FAIL'}  ${description}${!passed && detail !== undefined ? ` (${detail})` : ''}`);
+}
+
+async function countTriggers() {
+    const row = await db.getOne('SELECT COUNT(*) AS count FROM alert_triggers');
+    return Number(row.count);
+}
+
+function run(options = {}) {
+    return evaluateReport({ ...report, notify: false, ...options });
+}
+
+async function checkAlerts() {
+    await db.initDatabase();
+    await db.setupTables();
+
+    const user = await User.create({ email: 'alert-check@example.com', password: crypto.randomUUID(), name: 'Alert Check' });
+    await db.query("UPDATE users SET subscription_tier = 'pro', subscription_status = 'active' WHERE id = ?", [user.id]);
+    for (const { symbol, ...fields } of RULES) {
+        const { rule, error } = Alert.validate(fields);
+        if (error) throw new Error(`Invalid check rule ${fields.alertType}: ${error}`);
+        await Alert.create(user.id, symbol, rule);
+    }
+
+    console.log('\nDry run');
+    const preview = await run({ dryRun: true });
+    const previewTypes = new Set(preview.triggered.map(trigger => trigger.alertType));
+    check(`${FIRING} rules would fire`, preview.triggered.length === FIRING, preview.triggered.length);
+    check('every alert type fires', Object.keys(Alert.ALERT_TYPES).every(type => previewTypes.has(type)), [...previewTypes].join(', '));
+    check('only ES rules fire', preview.triggered.every(trigger => trigger.symbol === 'ES'));
+    check('nothing is recorded', await countTriggers() === 0);
+
+    console.log('\nRun');
+    const first = await run();
+    check(`${FIRING} triggers recorded`, first.triggered.length === FIRING && await countTriggers() === FIRING, first.triggered.length);
+    check('no duplicates on the first run', first.duplicates === 0, first.duplicates);
+
+    console.log('\nRepeat run');
+    const repeat = await run();
+    check('nothing fires again', repeat.triggered.length === 0, repeat.triggered.length);
+    check(`${FIRING} duplicates`, repeat.duplicates === FIRING, repeat.duplicates);
+    const repeatPreview = await run({ dryRun: true });
+    check('a dry run after it reports the same duplicates', repeatPreview.triggered.length === 0 && repeatPreview.duplicates === FIRING);
+    check('still one trigger per rule', await countTriggers() === FIRING);
+
+    console.log('\nOverlapping runs');
+    await db.query('DELETE FROM alert_triggers');
+    const [a, b] = await Promise.all([run(), run()]);
+    check(`${FIRING} triggers recorded between them`, a.triggered.length + b.triggered.length === FIRING && await countTriggers() === FIRING,
+        `${a.triggered.length} + ${b.triggered.length}`);
+    check('the rest count as duplicates', a.duplicates + b.duplicates === FIRING, `${a.duplicates} + ${b.duplicates}`);
+
+    console.log(failures === 0 ? '\nAll alert checks passed' : `\n${failures} alert check(s) failed`);
+    return failures === 0;
+}
+
+checkAlerts()
+    .then(passed => {
+        fs.rmSync(scratchPath, { force: true });
+        process.exit(passed ? 0 : 1);
+    })
+    .catch(err => {
+        console.error('Error:', err);
+        fs.rmSync(scratchPath, { force: true });
+        process.exit(1);
+    });
@@ -0,0 +1,158 @@
+/**
+ * Webhook Delivery Check
+ * Run with: node check-webhooks.js
+ *
+ * End-to-end check of outbound webhooks against a local receiver (http.createServer),
+ * using a scratch SQLite database so real data is never touched:
+ *   - signing: every request carries a valid X-COTPulse-Signature for the stored secret
+ *   - secrets: the stored secret is encrypted, not the plaintext shown at creation
+ *   - backoff: failed attempts are retried 30s, 1m, 2m, 4m, 8m apart until MAX_ATTEMPTS
+ *   - auto-disable: the endpoint is disabled after AUTO_DISABLE_AFTER_FAILURES exhausted deliveries
+ * Retries are made due by moving next_attempt_at into the past rather than waiting.
+ * Exits non-zero if any check fails.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+
+const scratchPath = path.join(os.tmpdir(), `cotpulse-webhook-check-${process.pid}.db`);
+process.env.SQLITE_PATH = scratchPath;
+process.env.DATABASE_URL = '';
+process.env.NODE_ENV = 'development';
+process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS = 'true';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'webhook-check';
+
+require('dotenv').config();
+const db = require('./db');
+const User = require('./models/User');
+const Webhook = require('./models/Webhook');
+const { dispatchEvent, processDueDeliveries, MAX_ATTEMPTS, AUTO_DISABLE_AFTER_FAILURES } = require('./utils/webhooks');
+
+let failures = 0;
+
+function check(description, passed, detail) {
+    if (!passed) failures++;
+    console.log(`  ${passed ? 'PASS' : 'FAIL'}  ${description}${!passed && detail !== undefined ? ` (${detail})` : ''}`);
+}
+
+/**
+ * Local receiver: records each request, verifies its signature and answers with `status`
+ */
+function startReceiver() {
+    const receiver = { requests: [], status: 200, secret: null };
+
+    receiver.server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const timestamp = req.headers['x-cotpulse-timestamp'];
+            const expected = 'sha256=' + crypto.createHmac('sha256', receiver.secret)
+                .update(`${timestamp}.${body}`).digest('hex');
+            receiver.requests.push({
+                eventId: req.headers['x-cotpulse-event-id'],
+                event: req.headers['x-cotpulse-event'],
+                signatureValid: req.headers['x-cotpulse-signature'] === expected,
+                body: JSON.parse(body)
+            });
+            res.writeHead(receiver.status);
+            res.end();
+        });
+    });
+
+    return new Promise(resolve => {
+        receiver.server.listen(0, '127.0.0.1', () => {
+            receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hook`;
+            resolve(receiver);
+        });
+    });
+}
+
+/**
+ * Make the delivery's next retry due now. Returns the delay that had been scheduled (ms).
+ */
+async function makeDue(delivery) {
+    const row = await db.getOne('SELECT updated_at, next_attempt_at FROM webhook_deliveries WHERE id = ?', [delivery.id]);
+    await db.query('UPDATE webhook_deliveries SET next_attempt_at = ? WHERE id = ?',
+        [new Date(Date.now() - 1000).toISOString(), delivery.id]);
+    return new Date(row.next_attempt_at) - new Date(row.updated_at);
+}
+
+/**
+ * Dispatch one event and retry it until it stops being pending. Returns { delivery, delays }.
+ */
+async function deliverUntilSettled(userId) {
+    const [first] = await dispatchEvent(userId, 'alert.triggered', { check: true });
+    let delivery = first;
+    const delays = [];
+
+    while (delivery && delivery.status === 'pending') {
+        delays.push(await makeDue(delivery));
+        await processDueDeliveries();
+        delivery = await Webhook.findDelivery(delivery.id);
+    }
+    return { delivery, delays };
+}
+
+async function checkWebhooks() {
+    await db.initDatabase();
+    await db.setupTables();
+
+    const receiver = await startReceiver();
+    const user = await User.create({ email: 'webhook-check@example.com', password: crypto.randomUUID(), name: 'Webhook Check' });
+    await db.query("UPDATE users SET subscription_tier = 'pro', subscription_status = 'active' WHERE id = ?", [user.id]);
+
+    const { webhook, secret } = await Webhook.create(user.id, { url: receiver.url, description: 'check' });
+    receiver.secret = secret;
+
+    console.log('\nSecrets');
+    const stored = await db.getOne('SELECT secret FROM webhooks WHERE id = ?', [webhook.id]);
+    check('stored secret is encrypted', stored.secret !== secret && !stored.secret.startsWith('whsec_'));
+
+    console.log('\nSigning');
+    const [delivered] = await dispatchEvent(user.id, 'alert.triggered', { check: true });
+    const request = receiver.requests[0];
+    check('delivery succeeded', delivered && delivered.status === 'succeeded', delivered && delivered.error);
+    check('receiver got the event', !!request && request.event === 'alert.triggered');
+    check('signature verifies with the signing secret', !!request && request.signatureValid);
+    check('event id header matches the payload', !!request && request.eventId === request.body.id);
+
+    console.log('\nBackoff');
+    receiver.status = 500;
+    receiver.requests = [];
+    const { delivery, delays } = await deliverUntilSettled(user.id);
+    const expectedDelays = Array.from({ length: MAX_ATTEMPTS - 1 }, (_, i) => 30 * 1000 * 2 ** i);
+    check(`failed after ${MAX_ATTEMPTS} attempts`, delivery.status === 'failed' && delivery.attempts === MAX_ATTEMPTS,
+        `${delivery.status}, ${delivery.attempts} attempts`);
+    check('each attempt reached the receiver', receiver.requests.length === MAX_ATTEMPTS, receiver.requests.length);
+    check('retries keep the same event id', new Set(receiver.requests.map(r => r.eventId)).size === 1);
+    check('retries are re-signed', receiver.requests.every(r => r.signatureValid));
+    check('retry delays double from 30s', delays.every((delay, i) => Math.abs(delay - expectedDelays[i]) < 2000),
+        delays.map(delay => `${Math.round(delay / 1000)}s`).join(', '));
+
+    console.log('\nAuto-disable');
+    for (let i = 1; i < AUTO_DISABLE_AFTER_FAILURES; i++) {
+        await deliverUntilSettled(user.id);
+    }
+    const disabled = await Webhook.findById(user.id, webhook.id);
+    check(`disabled after ${AUTO_DISABLE_AFTER_FAILURES} exhausted deliveries`, !disabled.isActive, JSON.stringify(disabled));
+    const afterDisable = await dispatchEvent(user.id, 'alert.triggered', { check: true });
+    check('disabled endpoint gets no new deliveries', afterDisable.length === 0);
+
+    receiver.server.close();
+    console.log(failures === 0 ? '\nAll webhook checks passed' : `\n${failures} webhook check(s) failed`);
+    return failures === 0;
+}
+
+checkWebhooks()
+    .then(passed => {
+        fs.rmSync(scratchPath, { force: true });
+        process.exit(passed ? 0 : 1);
+    })
+    .catch(err => {
+        console.error('Error:', err);
+        fs.rmSync(scratchPath, { force: true });
+        process.exit(1);
+    });
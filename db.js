@@ -9,6 +9,7 @@
 const { Pool } = require('pg');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 require('dotenv').config();
 
 // Determine which database to use
@@ -21,9 +22,12 @@ let pgPool = null;
 let sqliteDb = null;
 let SQL = null;
 
-// Database file path for SQLite
-const dataDir = path.join(__dirname, 'data');
-const dbPath = path.join(dataDir, 'cotpulse.db');
+// Database file path for SQLite (SQLITE_PATH points scripts at a scratch database)
+const dbPath = process.env.SQLITE_PATH || path.join(__dirname, 'data', 'cotpulse.db');
+const dataDir = path.dirname(dbPath);
+
+// Name given to the list existing watchlist rows are moved into
+const DEFAULT_WATCHLIST_NAME = 'My Watchlist';
 
 /**
  * Initialize the database connection
@@ -101,7 +105,7 @@ function saveSqlite() {
 
 /**
  * Run a query that modifies data (INSERT, UPDATE, DELETE)
- * Returns the result for PostgreSQL or undefined for SQLite
+ * Returns the result for PostgreSQL, or { rowCount } for SQLite
  */
 async function run(sql, params = []) {
     if (USE_POSTGRES) {
@@ -109,8 +113,9 @@ async function run(sql, params = []) {
         return result;
     } else {
         sqliteDb.run(sql, params);
+        const rowCount = sqliteDb.getRowsModified();
         saveSqlite();
-        return undefined;
+        return { rowCount };
     }
 }
 
@@ -204,6 +209,21 @@ async function isInitialized() {
     }
 }
 
+/**
+ * Add a column to an existing table if it is missing
+ * (CREATE TABLE IF NOT EXISTS won't add columns to tables created earlier)
+ */
+async function addColumnIfMissing(table, column, definition) {
+    if (USE_POSTGRES) {
+        await exec(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS ${column} ${definition}`);
+    } else {
+        const columns = await all(`PRAGMA table_info(${table})`);
+        if (!columns.some(c => c.name === column)) {
+            await exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+        }
+    }
+}
+
 /**
  * Setup database tables
  */
@@ -216,6 +236,10 @@ async function setupTables() {
         } else {
             await setupSqliteTables();
         }
+        await migrateDefaultWatchlists();
+        await backfillPastDueSince();
+        await seedMarkets();
+        await encryptWebhookSecrets();
         console.log('[Database] All tables created successfully');
     } catch (error) {
         console.error('[Database] Failed to create tables:', error);
@@ -223,6 +247,119 @@ async function setupTables() {
     }
 }
 
+/**
+ * Start the grace period for subscriptions that went past_due before past_due_since existed.
+ * The row's last update (when Stripe set the status) is the best record of when that was.
+ */
+async function backfillPastDueSince() {
+    const row = await getOne(
+        "SELECT COUNT(*) AS count FROM users WHERE subscription_status = 'past_due' AND past_due_since IS NULL"
+    );
+    if (Number(row.count) === 0) return;
+
+    console.log(`[Database] Backfilling past_due_since for ${row.count} user(s)...`);
+    await query(
+        "UPDATE users SET past_due_since = COALESCE(updated_at, ?) WHERE subscription_status = 'past_due' AND past_due_since IS NULL",
+        [new Date().toISOString()]
+    );
+}
+
+/**
+ * Encrypt webhook signing secrets stored in plaintext by earlier versions
+ * (plaintext secrets start with whsec_, encrypted ones are iv:tag:data hex)
+ */
+async function encryptWebhookSecrets() {
+    const rows = await getAll("SELECT id, secret FROM webhooks WHERE secret LIKE 'whsec_%'");
+    if (rows.length === 0) return;
+
+    const { encryptSecret } = require('./utils/totp');
+    console.log(`[Database] Encrypting ${rows.length} webhook signing secret(s)...`);
+
+    for (const row of rows) {
+        await query('UPDATE webhooks SET secret = ? WHERE id = ?', [encryptSecret(row.secret), row.id]);
+    }
+}
+
+/**
+ * Sync the markets table with the catalog in utils/marketCatalog.js.
+ * Catalog fields win; data filled in by ingestion (CFTC name, latest report) is kept.
+ */
+async function seedMarkets() {
+    const { MARKETS } = require('./utils/marketCatalog');
+    const now = new Date().toISOString();
+
+    for (const market of MARKETS) {
+        await query(`
+            INSERT INTO markets (symbol, cftc_code, name, category, exchange, contract_unit, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT (symbol) DO UPDATE SET
+                cftc_code = excluded.cftc_code, name = excluded.name, category = excluded.category,
+                exchange = excluded.exchange, contract_unit = excluded.contract_unit
+        `, [market.symbol, market.cftcCode, market.name, market.category, market.exchange,
+            market.contractUnit, now, now]);
+    }
+}
+
+/**
+ * SQLite can't drop the old UNIQUE(user_id, symbol) constraint from a
+ * pre-named-watchlists user_watchlist table, so copy it into the new layout
+ */
+async function rebuildLegacyWatchlistTable() {
+    const table = await get("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'user_watchlist'");
+    if (!table || !/UNIQUE\s*\(\s*user_id\s*,\s*symbol\s*\)/i.test(table.sql)) return;
+
+    console.log('[Database] Migrating user_watchlist to per-list uniqueness...');
+    await addColumnIfMissing('user_watchlist', 'position', 'INTEGER DEFAULT 0');
+    await exec('ALTER TABLE user_watchlist RENAME TO user_watchlist_legacy');
+    await exec(`
+        CREATE TABLE user_watchlist (
+            id TEXT PRIMARY KEY,
+            user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+            watchlist_id TEXT REFERENCES watchlists(id) ON DELETE CASCADE,
+            symbol TEXT NOT NULL,
+            name TEXT,
+            category TEXT,
+            notes TEXT,
+            position INTEGER DEFAULT 0,
+            added_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(watchlist_id, symbol)
+        )
+    `);
+    await exec(`
+        INSERT INTO user_watchlist (id, user_id, symbol, name, category, position, added_at)
+        SELECT id, user_id, symbol, name, category, position, added_at FROM user_watchlist_legacy
+    `);
+    await exec('DROP TABLE user_watchlist_legacy');
+}
+
+/**
+ * Move watchlist rows that predate named watchlists into each user's default list
+ */
+async function migrateDefaultWatchlists() {
+    const owners = await getAll('SELECT DISTINCT user_id FROM user_watchlist WHERE watchlist_id IS NULL');
+    if (owners.length === 0) return;
+
+    console.log(`[Database] Moving watchlists for ${owners.length} user(s) into default lists...`);
+
+    for (const { user_id: userId } of owners) {
+        let watchlist = await getOne('SELECT id FROM watchlists WHERE user_id = ? AND is_default = 1', [userId]);
+
+        if (!watchlist) {
+            const now = new Date().toISOString();
+            watchlist = { id: crypto.randomUUID() };
+            await query(`
+                INSERT INTO watchlists (id, user_id, name, position, is_default, created_at, updated_at)
+                VALUES (?, ?, ?, 0, 1, ?, ?)
+            `, [watchlist.id, userId, DEFAULT_WATCHLIST_NAME, now, now]);
+        }
+
+        await query(
+            'UPDATE user_watchlist SET watchlist_id = ? WHERE user_id = ? AND watchlist_id IS NULL',
+            [watchlist.id, userId]
+        );
+    }
+}
+
 /**
  * PostgreSQL table setup
  */
@@ -247,6 +384,21 @@ async function setupPostgresTables() {
                 last_login TIMESTAMP
             )
         `);
+        await addColumnIfMissing('users', 'two_factor_secret', 'TEXT');
+        await addColumnIfMissing('users', 'two_factor_enabled', 'INTEGER DEFAULT 0');
+        await addColumnIfMissing('users', 'two_factor_last_step', 'INTEGER');
+        await addColumnIfMissing('users', 'failed_login_attempts', 'INTEGER DEFAULT 0');
+        await addColumnIfMissing('users', 'last_failed_login', 'TIMESTAMP');
+        await addColumnIfMissing('users', 'locked_until', 'TIMESTAMP');
+        await addColumnIfMissing('users', 'timezone', 'TEXT');
+        await addColumnIfMissing('users', 'preferred_report_type', "TEXT DEFAULT 'legacy'");
+        await addColumnIfMissing('users', 'default_chart_range', "TEXT DEFAULT '1y'");
+        await addColumnIfMissing('users', 'notification_preferences', 'TEXT');
+        await addColumnIfMissing('users', 'role', "TEXT DEFAULT 'user'");
+        await addColumnIfMissing('users', 'disabled_at', 'TIMESTAMP');
+        await addColumnIfMissing('users', 'disabled_reason', 'TEXT');
+        await addColumnIfMissing('users', 'password_reset_required', 'INTEGER DEFAULT 0');
+        await addColumnIfMissing('users', 'past_due_since', 'TIMESTAMP');
         console.log('[Database] Users table created');
 
         // Phone verification attempts table
@@ -262,22 +414,49 @@ async function setupPostgresTables() {
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
             )
         `);
+        await addColumnIfMissing('phone_verification_attempts', 'attempts', 'INTEGER DEFAULT 0');
         console.log('[Database] Phone verification table created');
 
-        // User watchlist table
+        // Named watchlists (share_token is set while a read-only link is active)
+        console.log('[Database] Creating watchlists table...');
+        await exec(`
+            CREATE TABLE IF NOT EXISTS watchlists (
+                id TEXT PRIMARY KEY,
+                user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+                name TEXT NOT NULL,
+                position INTEGER DEFAULT 0,
+                is_default INTEGER DEFAULT 0,
+                share_token TEXT UNIQUE,
+                shared_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('[Database] Watchlists table created');
+
+        // Watchlist items (one row per symbol per watchlist)
         console.log('[Database] Creating user_watchlist table...');
         await exec(`
             CREATE TABLE IF NOT EXISTS user_watchlist (
                 id TEXT PRIMARY KEY,
                 user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+                watchlist_id TEXT REFERENCES watchlists(id) ON DELETE CASCADE,
                 symbol TEXT NOT NULL,
                 name TEXT,
                 category TEXT,
+                notes TEXT,
+                position INTEGER DEFAULT 0,
                 added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-                UNIQUE(user_id, symbol)
+                UNIQUE(watchlist_id, symbol)
             )
         `);
         console.log('[Database] Watchlist table created');
+        await addColumnIfMissing('user_watchlist', 'position', 'INTEGER DEFAULT 0');
+        await addColumnIfMissing('user_watchlist', 'watchlist_id', 'TEXT REFERENCES watchlists(id) ON DELETE CASCADE');
+        await addColumnIfMissing('user_watchlist', 'notes', 'TEXT');
+
+        // Before named watchlists a symbol was unique per user; now it is unique per list
+        await exec('ALTER TABLE user_watchlist DROP CONSTRAINT IF EXISTS user_watchlist_user_id_symbol_key');
 
         // User alerts table
         console.log('[Database] Creating user_alerts table...');
@@ -295,6 +474,36 @@ async function setupPostgresTables() {
             )
         `);
         console.log('[Database] Alerts table created');
+        await addColumnIfMissing('user_alerts', 'report_type', "TEXT DEFAULT 'legacy'");
+        await addColumnIfMissing('user_alerts', 'trader_group', 'TEXT');
+        await addColumnIfMissing('user_alerts', 'lookback_weeks', 'INTEGER');
+        await addColumnIfMissing('user_alerts', 'updated_at', 'TIMESTAMP');
+
+        // Alert triggers (one row per rule per report it fired on)
+        console.log('[Database] Creating alert_triggers table...');
+        await exec(`
+            CREATE TABLE IF NOT EXISTS alert_triggers (
+                id TEXT PRIMARY KEY,
+                alert_id TEXT NOT NULL REFERENCES user_alerts(id) ON DELETE CASCADE,
+                user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+                symbol TEXT NOT NULL,
+                alert_type TEXT NOT NULL,
+                report_type TEXT NOT NULL,
+                report_date TEXT NOT NULL,
+                trader_group TEXT,
+                value REAL,
+                previous_value REAL,
+                threshold_value REAL,
+                threshold_direction TEXT,
+                details TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(alert_id, report_type, report_date)
+            )
+        `);
+        console.log('[Database] Alert triggers table created');
+        await addColumnIfMissing('alert_triggers', 'email_status', "TEXT DEFAULT 'pending'");
+        await addColumnIfMissing('alert_triggers', 'email_error', 'TEXT');
+        await addColumnIfMissing('alert_triggers', 'emailed_at', 'TIMESTAMP');
 
         // Sessions table
         console.log('[Database] Creating sessions table...');
@@ -309,8 +518,21 @@ async function setupPostgresTables() {
                 created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
             )
         `);
+        await addColumnIfMissing('sessions', 'last_used_at', 'TIMESTAMP');
+        await addColumnIfMissing('sessions', 'revoked_at', 'TIMESTAMP');
         console.log('[Database] Sessions table created');
 
+        // Refresh token history table (rotated tokens, for reuse detection)
+        console.log('[Database] Creating refresh_token_history table...');
+        await exec(`
+            CREATE TABLE IF NOT EXISTS refresh_token_history (
+                token_hash TEXT PRIMARY KEY,
+                session_id TEXT REFERENCES sessions(id) ON DELETE CASCADE,
+                rotated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('[Database] Refresh token history table created');
+
         // Password reset tokens table
         console.log('[Database] Creating password_reset_tokens table...');
         await exec(`
@@ -323,11 +545,232 @@ async function setupPostgresTables() {
         `);
         console.log('[Database] Password reset tokens table created');
 
+        // Email verification tokens table
+        console.log('[Database] Creating email_verification_tokens table...');
+        await exec(`
+            CREATE TABLE IF NOT EXISTS email_verification_tokens (
+                user_id TEXT PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+                email TEXT NOT NULL,
+                token_hash TEXT NOT NULL,
+                expires_at TIMESTAMP NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('[Database] Email verification tokens table created');
+
+        // Pending email changes (confirmed from a link sent to the new address)
+        console.log('[Database] Creating email_change_requests table...');
+        await exec(`
+            CREATE TABLE IF NOT EXISTS email_change_requests (
+                user_id TEXT PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+                new_email TEXT NOT NULL,
+                token_hash TEXT NOT NULL,
+                session_id TEXT,
+                expires_at TIMESTAMP NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('[Database] Email change requests table created');
+
+        // Two-factor recovery codes table
+        console.log('[Database] Creating two_factor_recovery_codes table...');
+        await exec(`
+            CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+                id TEXT PRIMARY KEY,
+                user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+                code_hash TEXT NOT NULL,
+                used_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('[Database] Two-factor recovery codes table created');
+
+        // Rate limit counters table
+        console.log('[Database] Creating rate_limit_counters table...');
+        await exec(`
+            CREATE TABLE IF NOT EXISTS rate_limit_counters (
+                counter_key TEXT PRIMARY KEY,
+                count INTEGER NOT NULL DEFAULT 0,
+                window_start BIGINT NOT NULL
+            )
+        `);
+        console.log('[Database] Rate limit counters table created');
+
+        // API keys table (personal keys for programmatic access)
+        console.log('[Database] Creating api_keys table...');
+        await exec(`
+            CREATE TABLE IF NOT EXISTS api_keys (
+                id TEXT PRIMARY KEY,
+                user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+                name TEXT NOT NULL,
+                key_prefix TEXT NOT NULL,
+                key_hash TEXT UNIQUE NOT NULL,
+                scopes TEXT NOT NULL,
+                rate_limit_per_hour INTEGER NOT NULL,
+                last_used_at TIMESTAMP,
+                revoked_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('[Database] API keys table created');
+
+        // Outbound webhooks (alert triggers pushed to user endpoints)
+        console.log('[Database] Creating webhooks table...');
+        await exec(`
+            CREATE TABLE IF NOT EXISTS webhooks (
+                id TEXT PRIMARY KEY,
+                user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+                url TEXT NOT NULL,
+                secret TEXT NOT NULL,
+                description TEXT,
+                is_active INTEGER DEFAULT 1,
+                failure_count INTEGER DEFAULT 0,
+                disabled_at TIMESTAMP,
+                disabled_reason TEXT,
+                last_delivery_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('[Database] Webhooks table created');
+
+        console.log('[Database] Creating webhook_deliveries table...');
+        await exec(`
+            CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                id TEXT PRIMARY KEY,
+                webhook_id TEXT NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+                user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+                event_id TEXT NOT NULL,
+                event_type TEXT NOT NULL,
+                payload TEXT NOT NULL,
+                status TEXT DEFAULT 'pending',
+                attempts INTEGER DEFAULT 0,
+                response_status INTEGER,
+                error TEXT,
+                next_attempt_at TIMESTAMP,
+                delivered_at TIMESTAMP,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('[Database] Webhook deliveries table created');
+
+        // Audit log table (no foreign keys: entries outlive the users they mention)
+        console.log('[Database] Creating audit_log table...');
+        await exec(`
+            CREATE TABLE IF NOT EXISTS audit_log (
+                id TEXT PRIMARY KEY,
+                actor_user_id TEXT,
+                action TEXT NOT NULL,
+                target_user_id TEXT,
+                details TEXT,
+                ip_address TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('[Database] Audit log table created');
+
+        // COT report data (one row per market per weekly report, positions per trader group)
+        console.log('[Database] Creating cot_reports table...');
+        await exec(`
+            CREATE TABLE IF NOT EXISTS cot_reports (
+                report_type TEXT NOT NULL,
+                cftc_code TEXT NOT NULL,
+                report_date TEXT NOT NULL,
+                market_name TEXT,
+                exchange_name TEXT,
+                open_interest INTEGER,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (report_type, cftc_code, report_date)
+            )
+        `);
+        console.log('[Database] COT reports table created');
+
+        console.log('[Database] Creating cot_positions table...');
+        await exec(`
+            CREATE TABLE IF NOT EXISTS cot_positions (
+                report_type TEXT NOT NULL,
+                cftc_code TEXT NOT NULL,
+                report_date TEXT NOT NULL,
+                trader_group TEXT NOT NULL,
+                long_positions INTEGER,
+                short_positions INTEGER,
+                spread_positions INTEGER,
+                PRIMARY KEY (report_type, cftc_code, report_date, trader_group)
+            )
+        `);
+        console.log('[Database] COT positions table created');
+
+        // Markets we track (seeded from utils/marketCatalog.js, CFTC names filled in by ingestion)
+        console.log('[Database] Creating markets table...');
+        await exec(`
+            CREATE TABLE IF NOT EXISTS markets (
+                symbol TEXT PRIMARY KEY,
+                cftc_code TEXT UNIQUE NOT NULL,
+                name TEXT NOT NULL,
+                category TEXT NOT NULL,
+                exchange TEXT,
+                contract_unit TEXT,
+                cftc_name TEXT,
+                latest_report_date TEXT,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('[Database] Markets table created');
+
+        // Latest COT index, z-score and weekly changes per market, trader group and lookback
+        // (recomputed after each ingest)
+        console.log('[Database] Creating cot_analytics table...');
+        await exec(`
+            CREATE TABLE IF NOT EXISTS cot_analytics (
+                report_type TEXT NOT NULL,
+                cftc_code TEXT NOT NULL,
+                trader_group TEXT NOT NULL,
+                lookback_weeks INTEGER NOT NULL,
+                report_date TEXT NOT NULL,
+                weeks INTEGER NOT NULL,
+                net_position INTEGER,
+                net_change INTEGER,
+                net_change_percent REAL,
+                long_change INTEGER,
+                short_change INTEGER,
+                cot_index REAL,
+                z_score REAL,
+                percentile REAL,
+                min_net_position INTEGER,
+                max_net_position INTEGER,
+                open_interest INTEGER,
+                open_interest_change INTEGER,
+                open_interest_change_percent REAL,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (report_type, cftc_code, trader_group, lookback_weeks)
+            )
+        `);
+        console.log('[Database] COT analytics table created');
+
         // Create indexes
         console.log('[Database] Creating indexes...');
         await exec('CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)');
         await exec('CREATE INDEX IF NOT EXISTS idx_users_phone ON users(phone)');
+        await exec('CREATE INDEX IF NOT EXISTS idx_phone_attempts_user ON phone_verification_attempts(user_id)');
         await exec('CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id)');
+        await exec('CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON two_factor_recovery_codes(user_id)');
+        await exec('CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id)');
+        await exec('CREATE INDEX IF NOT EXISTS idx_watchlists_user ON watchlists(user_id)');
+        await exec('CREATE INDEX IF NOT EXISTS idx_alerts_user ON user_alerts(user_id)');
+        await exec('CREATE INDEX IF NOT EXISTS idx_alert_triggers_user ON alert_triggers(user_id, created_at)');
+        await exec('CREATE INDEX IF NOT EXISTS idx_webhooks_user ON webhooks(user_id)');
+        await exec('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at)');
+        await exec('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at)');
+        await exec('CREATE INDEX IF NOT EXISTS idx_cot_reports_date ON cot_reports(report_type, report_date)');
+        await exec('CREATE INDEX IF NOT EXISTS idx_cot_analytics_screen ON cot_analytics(report_type, trader_group, lookback_weeks)');
+        await exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_watchlist_items_symbol ON user_watchlist(watchlist_id, symbol)');
+        await exec('CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_user_id)');
+        await exec('CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at)');
+        await exec('CREATE INDEX IF NOT EXISTS idx_sessions_token ON sessions(refresh_token)');
+        await exec('CREATE INDEX IF NOT EXISTS idx_refresh_history_session ON refresh_token_history(session_id)');
         console.log('[Database] Indexes created');
 
     } catch (error) {
@@ -359,6 +802,21 @@ async function setupSqliteTables() {
                 last_login TEXT
             )
         `);
+        await addColumnIfMissing('users', 'two_factor_secret', 'TEXT');
+        await addColumnIfMissing('users', 'two_factor_enabled', 'INTEGER DEFAULT 0');
+        await addColumnIfMissing('users', 'two_factor_last_step', 'INTEGER');
+        await addColumnIfMissing('users', 'failed_login_attempts', 'INTEGER DEFAULT 0');
+        await addColumnIfMissing('users', 'last_failed_login', 'TEXT');
+        await addColumnIfMissing('users', 'locked_until', 'TEXT');
+        await addColumnIfMissing('users', 'timezone', 'TEXT');
+        await addColumnIfMissing('users', 'preferred_report_type', "TEXT DEFAULT 'legacy'");
+        await addColumnIfMissing('users', 'default_chart_range', "TEXT DEFAULT '1y'");
+        await addColumnIfMissing('users', 'notification_preferences', 'TEXT');
+        await addColumnIfMissing('users', 'role', "TEXT DEFAULT 'user'");
+        await addColumnIfMissing('users', 'disabled_at', 'TEXT');
+        await addColumnIfMissing('users', 'disabled_reason', 'TEXT');
+        await addColumnIfMissing('users', 'password_reset_required', 'INTEGER DEFAULT 0');
+        await addColumnIfMissing('users', 'past_due_since', 'TEXT');
         console.log('[Database] Users table created');
 
         console.log('[Database] Creating phone_verification_attempts table...');
@@ -373,21 +831,42 @@ async function setupSqliteTables() {
                 created_at TEXT DEFAULT CURRENT_TIMESTAMP
             )
         `);
+        await addColumnIfMissing('phone_verification_attempts', 'attempts', 'INTEGER DEFAULT 0');
         console.log('[Database] Phone verification table created');
 
+        console.log('[Database] Creating watchlists table...');
+        await exec(`
+            CREATE TABLE IF NOT EXISTS watchlists (
+                id TEXT PRIMARY KEY,
+                user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+                name TEXT NOT NULL,
+                position INTEGER DEFAULT 0,
+                is_default INTEGER DEFAULT 0,
+                share_token TEXT UNIQUE,
+                shared_at TEXT,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('[Database] Watchlists table created');
+
         console.log('[Database] Creating user_watchlist table...');
         await exec(`
             CREATE TABLE IF NOT EXISTS user_watchlist (
                 id TEXT PRIMARY KEY,
                 user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+                watchlist_id TEXT REFERENCES watchlists(id) ON DELETE CASCADE,
                 symbol TEXT NOT NULL,
                 name TEXT,
                 category TEXT,
+                notes TEXT,
+                position INTEGER DEFAULT 0,
                 added_at TEXT DEFAULT CURRENT_TIMESTAMP,
-                UNIQUE(user_id, symbol)
+                UNIQUE(watchlist_id, symbol)
             )
         `);
         console.log('[Database] Watchlist table created');
+        await rebuildLegacyWatchlistTable();
 
         console.log('[Database] Creating user_alerts table...');
         await exec(`
@@ -404,6 +883,36 @@ async function setupSqliteTables() {
             )
         `);
         console.log('[Database] Alerts table created');
+        await addColumnIfMissing('user_alerts', 'report_type', "TEXT DEFAULT 'legacy'");
+        await addColumnIfMissing('user_alerts', 'trader_group', 'TEXT');
+        await addColumnIfMissing('user_alerts', 'lookback_weeks', 'INTEGER');
+        await addColumnIfMissing('user_alerts', 'updated_at', 'TEXT');
+
+        // Alert triggers (one row per rule per report it fired on)
+        console.log('[Database] Creating alert_triggers table...');
+        await exec(`
+            CREATE TABLE IF NOT EXISTS alert_triggers (
+                id TEXT PRIMARY KEY,
+                alert_id TEXT NOT NULL REFERENCES user_alerts(id) ON DELETE CASCADE,
+                user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+                symbol TEXT NOT NULL,
+                alert_type TEXT NOT NULL,
+                report_type TEXT NOT NULL,
+                report_date TEXT NOT NULL,
+                trader_group TEXT,
+                value REAL,
+                previous_value REAL,
+                threshold_value REAL,
+                threshold_direction TEXT,
+                details TEXT,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(alert_id, report_type, report_date)
+            )
+        `);
+        console.log('[Database] Alert triggers table created');
+        await addColumnIfMissing('alert_triggers', 'email_status', "TEXT DEFAULT 'pending'");
+        await addColumnIfMissing('alert_triggers', 'email_error', 'TEXT');
+        await addColumnIfMissing('alert_triggers', 'emailed_at', 'TEXT');
 
         console.log('[Database] Creating sessions table...');
         await exec(`
@@ -417,8 +926,20 @@ async function setupSqliteTables() {
                 created_at TEXT DEFAULT CURRENT_TIMESTAMP
             )
         `);
+        await addColumnIfMissing('sessions', 'last_used_at', 'TEXT');
+        await addColumnIfMissing('sessions', 'revoked_at', 'TEXT');
         console.log('[Database] Sessions table created');
 
+        console.log('[Database] Creating refresh_token_history table...');
+        await exec(`
+            CREATE TABLE IF NOT EXISTS refresh_token_history (
+                token_hash TEXT PRIMARY KEY,
+                session_id TEXT REFERENCES sessions(id) ON DELETE CASCADE,
+                rotated_at TEXT DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('[Database] Refresh token history table created');
+
         console.log('[Database] Creating password_reset_tokens table...');
         await exec(`
             CREATE TABLE IF NOT EXISTS password_reset_tokens (
@@ -430,10 +951,220 @@ async function setupSqliteTables() {
         `);
         console.log('[Database] Password reset tokens table created');
 
+        console.log('[Database] Creating email_verification_tokens table...');
+        await exec(`
+            CREATE TABLE IF NOT EXISTS email_verification_tokens (
+                user_id TEXT PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+                email TEXT NOT NULL,
+                token_hash TEXT NOT NULL,
+                expires_at TEXT NOT NULL,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('[Database] Email verification tokens table created');
+
+        console.log('[Database] Creating email_change_requests table...');
+        await exec(`
+            CREATE TABLE IF NOT EXISTS email_change_requests (
+                user_id TEXT PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+                new_email TEXT NOT NULL,
+                token_hash TEXT NOT NULL,
+                session_id TEXT,
+                expires_at TEXT NOT NULL,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('[Database] Email change requests table created');
+
+        console.log('[Database] Creating two_factor_recovery_codes table...');
+        await exec(`
+            CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+                id TEXT PRIMARY KEY,
+                user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+                code_hash TEXT NOT NULL,
+                used_at TEXT,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('[Database] Two-factor recovery codes table created');
+
+        console.log('[Database] Creating rate_limit_counters table...');
+        await exec(`
+            CREATE TABLE IF NOT EXISTS rate_limit_counters (
+                counter_key TEXT PRIMARY KEY,
+                count INTEGER NOT NULL DEFAULT 0,
+                window_start INTEGER NOT NULL
+            )
+        `);
+        console.log('[Database] Rate limit counters table created');
+
+        console.log('[Database] Creating api_keys table...');
+        await exec(`
+            CREATE TABLE IF NOT EXISTS api_keys (
+                id TEXT PRIMARY KEY,
+                user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+                name TEXT NOT NULL,
+                key_prefix TEXT NOT NULL,
+                key_hash TEXT UNIQUE NOT NULL,
+                scopes TEXT NOT NULL,
+                rate_limit_per_hour INTEGER NOT NULL,
+                last_used_at TEXT,
+                revoked_at TEXT,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('[Database] API keys table created');
+
+        console.log('[Database] Creating webhooks table...');
+        await exec(`
+            CREATE TABLE IF NOT EXISTS webhooks (
+                id TEXT PRIMARY KEY,
+                user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+                url TEXT NOT NULL,
+                secret TEXT NOT NULL,
+                description TEXT,
+                is_active INTEGER DEFAULT 1,
+                failure_count INTEGER DEFAULT 0,
+                disabled_at TEXT,
+                disabled_reason TEXT,
+                last_delivery_at TEXT,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('[Database] Webhooks table created');
+
+        console.log('[Database] Creating webhook_deliveries table...');
+        await exec(`
+            CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                id TEXT PRIMARY KEY,
+                webhook_id TEXT NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+                user_id TEXT REFERENCES users(id) ON DELETE CASCADE,
+                event_id TEXT NOT NULL,
+                event_type TEXT NOT NULL,
+                payload TEXT NOT NULL,
+                status TEXT DEFAULT 'pending',
+                attempts INTEGER DEFAULT 0,
+                response_status INTEGER,
+                error TEXT,
+                next_attempt_at TEXT,
+                delivered_at TEXT,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('[Database] Webhook deliveries table created');
+
+        console.log('[Database] Creating audit_log table...');
+        await exec(`
+            CREATE TABLE IF NOT EXISTS audit_log (
+                id TEXT PRIMARY KEY,
+                actor_user_id TEXT,
+                action TEXT NOT NULL,
+                target_user_id TEXT,
+                details TEXT,
+                ip_address TEXT,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('[Database] Audit log table created');
+
+        console.log('[Database] Creating cot_reports table...');
+        await exec(`
+            CREATE TABLE IF NOT EXISTS cot_reports (
+                report_type TEXT NOT NULL,
+                cftc_code TEXT NOT NULL,
+                report_date TEXT NOT NULL,
+                market_name TEXT,
+                exchange_name TEXT,
+                open_interest INTEGER,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (report_type, cftc_code, report_date)
+            )
+        `);
+        console.log('[Database] COT reports table created');
+
+        console.log('[Database] Creating cot_positions table...');
+        await exec(`
+            CREATE TABLE IF NOT EXISTS cot_positions (
+                report_type TEXT NOT NULL,
+                cftc_code TEXT NOT NULL,
+                report_date TEXT NOT NULL,
+                trader_group TEXT NOT NULL,
+                long_positions INTEGER,
+                short_positions INTEGER,
+                spread_positions INTEGER,
+                PRIMARY KEY (report_type, cftc_code, report_date, trader_group)
+            )
+        `);
+        console.log('[Database] COT positions table created');
+
+        console.log('[Database] Creating markets table...');
+        await exec(`
+            CREATE TABLE IF NOT EXISTS markets (
+                symbol TEXT PRIMARY KEY,
+                cftc_code TEXT UNIQUE NOT NULL,
+                name TEXT NOT NULL,
+                category TEXT NOT NULL,
+                exchange TEXT,
+                contract_unit TEXT,
+                cftc_name TEXT,
+                latest_report_date TEXT,
+                created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        console.log('[Database] Markets table created');
+
+        console.log('[Database] Creating cot_analytics table...');
+        await exec(`
+            CREATE TABLE IF NOT EXISTS cot_analytics (
+                report_type TEXT NOT NULL,
+                cftc_code TEXT NOT NULL,
+                trader_group TEXT NOT NULL,
+                lookback_weeks INTEGER NOT NULL,
+                report_date TEXT NOT NULL,
+                weeks INTEGER NOT NULL,
+                net_position INTEGER,
+                net_change INTEGER,
+                net_change_percent REAL,
+                long_change INTEGER,
+                short_change INTEGER,
+                cot_index REAL,
+                z_score REAL,
+                percentile REAL,
+                min_net_position INTEGER,
+                max_net_position INTEGER,
+                open_interest INTEGER,
+                open_interest_change INTEGER,
+                open_interest_change_percent REAL,
+                updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                PRIMARY KEY (report_type, cftc_code, trader_group, lookback_weeks)
+            )
+        `);
+        console.log('[Database] COT analytics table created');
+
         console.log('[Database] Creating indexes...');
         await exec('CREATE INDEX IF NOT EXISTS idx_users_email ON users(email)');
         await exec('CREATE INDEX IF NOT EXISTS idx_users_phone ON users(phone)');
+        await exec('CREATE INDEX IF NOT EXISTS idx_phone_attempts_user ON phone_verification_attempts(user_id)');
         await exec('CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id)');
+        await exec('CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON two_factor_recovery_codes(user_id)');
+        await exec('CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id)');
+        await exec('CREATE INDEX IF NOT EXISTS idx_watchlists_user ON watchlists(user_id)');
+        await exec('CREATE INDEX IF NOT EXISTS idx_alerts_user ON user_alerts(user_id)');
+        await exec('CREATE INDEX IF NOT EXISTS idx_alert_triggers_user ON alert_triggers(user_id, created_at)');
+        await exec('CREATE INDEX IF NOT EXISTS idx_webhooks_user ON webhooks(user_id)');
+        await exec('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at)');
+        await exec('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at)');
+        await exec('CREATE INDEX IF NOT EXISTS idx_cot_reports_date ON cot_reports(report_type, report_date)');
+        await exec('CREATE INDEX IF NOT EXISTS idx_cot_analytics_screen ON cot_analytics(report_type, trader_group, lookback_weeks)');
+        await exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_watchlist_items_symbol ON user_watchlist(watchlist_id, symbol)');
+        await exec('CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_user_id)');
+        await exec('CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at)');
+        await exec('CREATE INDEX IF NOT EXISTS idx_sessions_token ON sessions(refresh_token)');
+        await exec('CREATE INDEX IF NOT EXISTS idx_refresh_history_session ON refresh_token_history(session_id)');
         console.log('[Database] Indexes created');
 
     } catch (error) {
@@ -495,8 +1226,10 @@ module.exports = {
     testConnection,
     isInitialized,
     setupTables,
+    addColumnIfMissing,
     getDatabaseType,
     convertPlaceholders,
     USE_POSTGRES,
-    dbPath
+    dbPath,
+    DEFAULT_WATCHLIST_NAME
 };
@@ -0,0 +1,52 @@
+/**
+ * Evaluate Alerts Script
+ * Run with: node evaluate-alerts.js <report.json> [--dry-run] [--no-notify]
+ *
+ * Runs the alert engine against a report given as JSON:
+ *   { "reportType": "legacy", "reportDate": "2024-01-09", "history": { "ES": [ ...weekly rows ] } }
+ * (row format is described in utils/alertEngine.js). Useful for checking rules against
+ * fixture data; --dry-run prints what would fire without recording anything, and
+ * --no-notify records triggers without sending emails or webhooks. Rules that already
+ * fired on the report are counted as duplicates, so a repeat run fires nothing new.
+ * fixtures/alert-report.json fires one rule of each type (see check-alerts.js for the rules).
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const { initDatabase, setupTables } = require('./db');
+const { evaluateReport } = require('./utils/alertEngine');
+
+async function evaluateAlerts() {
+    const args = process.argv.slice(2);
+    const file = args.find(arg => !arg.startsWith('--'));
+    const dryRun = args.includes('--dry-run');
+    const notify = !args.includes('--no-notify');
+
+    if (!file) {
+        console.log('Usage: node evaluate-alerts.js <report.json> [--dry-run] [--no-notify]');
+        process.exit(1);
+    }
+
+    const report = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!report.reportType || !report.reportDate || !report.history) {
+        console.error('Report file must contain reportType, reportDate and history');
+        process.exit(1);
+    }
+
+    await initDatabase();
+    await setupTables();
+
+    const summary = await evaluateReport({ ...report, dryRun, notify });
+
+    console.log(`\n${dryRun ? 'Would trigger' : 'Triggered'}: ${summary.triggered.length}`);
+    for (const trigger of summary.triggered) {
+        console.log(`  ${trigger.symbol} ${trigger.alertType} (alert ${trigger.alertId}) value=${trigger.value} previous=${trigger.previousValue}`);
+    }
+    console.log(`Already fired: ${summary.duplicates}`);
+    process.exit(0);
+}
+
+evaluateAlerts().catch(err => {
+    console.error('Error:', err.message);
+    process.exit(1);
+});
@@ -0,0 +1,78 @@
+/**
+ * COT Ingestion Script
+ * Run with: node ingest-cot.js <file> [more files...] [--type legacy|disaggregated|tff] [--no-alerts] [--no-notify]
+ *
+ * Loads CFTC Commitments of Traders files (futures-only, comma-delimited) from disk.
+ * The report type is read from each file's header unless --type is given.
+ * Re-running a file is safe: rows are upserted and alerts fire at most once per report.
+ * Digest emails wait until every file is loaded, so users who chose a digest get one email
+ * per report date even when the legacy, disaggregated and TFF files are loaded together.
+ *   --no-alerts  load data without evaluating alert rules (e.g. when backfilling)
+ *   --no-notify  evaluate and record alerts without sending emails or webhooks
+ */
+
+require('dotenv').config();
+const { initDatabase, setupTables } = require('./db');
+const { ingestFile } = require('./utils/cotIngest');
+const { sendHeldDigests } = require('./utils/alertNotifications');
+const { REPORT_TYPES } = require('./utils/cotReports');
+
+async function ingestCot() {
+    const args = process.argv.slice(2);
+    const typeIndex = args.indexOf('--type');
+    const reportType = typeIndex === -1 ? undefined : args[typeIndex + 1];
+    const files = args.filter((arg, i) => !arg.startsWith('--') && (typeIndex === -1 || i !== typeIndex + 1));
+
+    if (files.length === 0 || (typeIndex !== -1 && !REPORT_TYPES.includes(reportType))) {
+        console.log(`Usage: node ingest-cot.js <file> [more files...] [--type ${REPORT_TYPES.join('|')}] [--no-alerts] [--no-notify]`);
+        process.exit(1);
+    }
+
+    await initDatabase();
+    await setupTables();
+
+    let failed = false;
+    const alertDates = new Set();
+
+    for (const file of files) {
+        try {
+            const summary = await ingestFile(file, {
+                reportType,
+                alerts: !args.includes('--no-alerts'),
+                notify: !args.includes('--no-notify'),
+                holdDigests: true
+            });
+
+            console.log(`\n${file}`);
+            console.log(`  Report type:     ${summary.reportType}`);
+            console.log(`  Rows loaded:     ${summary.rows}`);
+            console.log(`  Markets:         ${summary.markets} (${summary.trackedMarkets} in catalog)`);
+            console.log(`  Report dates:    ${summary.firstReportDate || '-'} to ${summary.lastReportDate || '-'}`);
+            if (summary.alerts) {
+                console.log(`  Alerts:          ${summary.alerts.triggered.length} triggered, ${summary.alerts.duplicates} already fired`);
+                if (summary.alerts.emails && summary.alerts.emails.held > 0) alertDates.add(summary.alerts.reportDate);
+            }
+            if (summary.errors.length > 0) {
+                console.log(`  Skipped rows:    ${summary.errors.length}`);
+                for (const { line, error } of summary.errors.slice(0, 10)) {
+                    console.log(`    line ${line}: ${error}`);
+                }
+            }
+        } catch (error) {
+            failed = true;
+            console.error(`\n${file}\n  Error: ${error.message}`);
+        }
+    }
+
+    for (const reportDate of alertDates) {
+        const counts = await sendHeldDigests(reportDate);
+        console.log(`\nDigests for ${reportDate}: ${counts.sent} alerts sent, ${counts.failed} failed, ${counts.skipped} skipped`);
+    }
+
+    process.exit(failed ? 1 : 0);
+}
+
+ingestCot().catch(err => {
+    console.error('Error:', err.message);
+    process.exit(1);
+});
@@ -0,0 +1,247 @@
+/**
+ * Alert Model
+ * COT Pulse Backend - PostgreSQL + SQLite compatible
+ *
+ * Alert rules on COT data (user_alerts table). A rule watches one market and,
+ * for most types, one trader group in one report type.
+ */
+
+const db = require('../db');
+const crypto = require('crypto');
+const { REPORT_TYPES, LOOKBACK_WEEKS, DEFAULT_LOOKBACK_WEEKS, isTraderGroup } = require('../utils/cotReports');
+
+/**
+ * Supported alert types.
+ * threshold_value means: contracts (net position), contracts (weekly change),
+ * 0-100 (COT index) or percent (open interest change).
+ */
+const ALERT_TYPES = {
+    net_position_cross: {
+        label: 'Net position crosses',
+        directions: ['above', 'below', 'either'],
+        traderGroup: true,
+        unit: 'contracts'
+    },
+    weekly_change: {
+        label: 'Weekly change exceeds',
+        directions: ['increase', 'decrease', 'either'],
+        traderGroup: true,
+        unit: 'contracts',
+        positiveThreshold: true
+    },
+    cot_index_extreme: {
+        label: 'COT index extreme',
+        directions: ['above', 'below'],
+        traderGroup: true,
+        unit: 'index',
+        min: 0,
+        max: 100,
+        lookback: true
+    },
+    open_interest_change: {
+        label: 'Open interest change',
+        directions: ['increase', 'decrease', 'either'],
+        traderGroup: false,
+        unit: 'percent',
+        positiveThreshold: true
+    }
+};
+
+/**
+ * Shape a row for API responses
+ */
+function format(row) {
+    return {
+        id: row.id,
+        symbol: row.symbol,
+        alertType: row.alert_type,
+        reportType: row.report_type || 'legacy',
+        traderGroup: row.trader_group || null,
+        thresholdValue: row.threshold_value === null ? null : Number(row.threshold_value),
+        thresholdDirection: row.threshold_direction,
+        lookbackWeeks: row.lookback_weeks === null || row.lookback_weeks === undefined ? null : Number(row.lookback_weeks),
+        isActive: !!row.is_active,
+        lastTriggered: row.last_triggered || null,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at || row.created_at
+    };
+}
+
+class Alert {
+    /**
+     * Validate a rule (API field names) and fill in defaults.
+     * Returns { rule } or { error }. The symbol must already be resolved by the caller.
+     */
+    static validate({ alertType, reportType = 'legacy', traderGroup, thresholdValue, thresholdDirection, lookbackWeeks }) {
+        const type = ALERT_TYPES[alertType];
+        if (!type) {
+            return { error: `alertType must be one of: ${Object.keys(ALERT_TYPES).join(', ')}` };
+        }
+
+        if (!REPORT_TYPES.includes(reportType)) {
+            return { error: `reportType must be one of: ${REPORT_TYPES.join(', ')}` };
+        }
+
+        if (type.traderGroup && !isTraderGroup(reportType, traderGroup)) {
+            return { error: `traderGroup is required and must be a ${reportType} trader group` };
+        }
+
+        const threshold = Number(thresholdValue);
+        if (thresholdValue === null || thresholdValue === undefined || thresholdValue === '' || !Number.isFinite(threshold)) {
+            return { error: 'thresholdValue must be a number' };
+        }
+        if (type.positiveThreshold && threshold <= 0) {
+            return { error: 'thresholdValue must be greater than zero' };
+        }
+        if ((type.min !== undefined && threshold < type.min) || (type.max !== undefined && threshold > type.max)) {
+            return { error: `thresholdValue must be between ${type.min} and ${type.max}` };
+        }
+
+        if (!type.directions.includes(thresholdDirection)) {
+            return { error: `thresholdDirection must be one of: ${type.directions.join(', ')}` };
+        }
+
+        let lookback = null;
+        if (type.lookback) {
+            lookback = lookbackWeeks === undefined || lookbackWeeks === null ? DEFAULT_LOOKBACK_WEEKS : Number(lookbackWeeks);
+            if (!LOOKBACK_WEEKS.includes(lookback)) {
+                return { error: `lookbackWeeks must be one of: ${LOOKBACK_WEEKS.join(', ')}` };
+            }
+        }
+
+        return {
+            rule: {
+                alertType,
+                reportType,
+                traderGroup: type.traderGroup ? traderGroup : null,
+                thresholdValue: threshold,
+                thresholdDirection,
+                lookbackWeeks: lookback
+            }
+        };
+    }
+
+    /**
+     * Create a rule (active by default)
+     */
+    static async create(userId, symbol, rule) {
+        const id = crypto.randomUUID();
+        const now = new Date().toISOString();
+
+        await db.query(`
+            INSERT INTO user_alerts (id, user_id, symbol, alert_type, report_type, trader_group,
+                                     threshold_value, threshold_direction, lookback_weeks, is_active,
+                                     created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?, ?)
+        `, [id, userId, symbol, rule.alertType, rule.reportType, rule.traderGroup,
+            rule.thresholdValue, rule.thresholdDirection, rule.lookbackWeeks, now, now]);
+
+        return this.findById(userId, id);
+    }
+
+    /**
+     * List a user's rules, newest first. Filters: symbol, isActive
+     */
+    static async findByUserId(userId, { symbol, isActive } = {}) {
+        const conditions = ['user_id = ?'];
+        const params = [userId];
+
+        if (symbol) {
+            conditions.push('symbol = ?');
+            params.push(symbol);
+        }
+        if (isActive !== undefined) {
+            conditions.push('is_active = ?');
+            params.push(isActive ? 1 : 0);
+        }
+
+        const rows = await db.getAll(`
+            SELECT * FROM user_alerts
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY created_at DESC
+        `, params);
+        return rows.map(format);
+    }
+
+    /**
+     * One of the user's rules (null if it doesn't exist or isn't theirs)
+     */
+    static async findById(userId, alertId) {
+        const row = await db.getOne('SELECT * FROM user_alerts WHERE id = ? AND user_id = ?', [alertId, userId]);
+        return row ? format(row) : null;
+    }
+
+    /**
+     * Active rules on one report type across all users (skipping disabled accounts),
+     * for the alert engine. Includes the owner's userId.
+     */
+    static async findActiveByReportType(reportType) {
+        const rows = await db.getAll(`
+            SELECT a.* FROM user_alerts a
+            JOIN users u ON u.id = a.user_id
+            WHERE a.is_active = 1 AND COALESCE(a.report_type, 'legacy') = ? AND u.disabled_at IS NULL
+            ORDER BY a.symbol, a.created_at
+        `, [reportType]);
+        return rows.map(row => ({ ...format(row), userId: row.user_id }));
+    }
+
+    /**
+     * IDs of a user's active rules, oldest first (the ones a plan limit keeps running)
+     */
+    static async findActiveIdsByUserId(userId) {
+        const rows = await db.getAll(
+            'SELECT id FROM user_alerts WHERE user_id = ? AND is_active = 1 ORDER BY created_at, id',
+            [userId]
+        );
+        return rows.map(row => row.id);
+    }
+
+    /**
+     * Count a user's active rules
+     */
+    static async countActive(userId) {
+        const row = await db.getOne(
+            'SELECT COUNT(*) AS count FROM user_alerts WHERE user_id = ? AND is_active = 1',
+            [userId]
+        );
+        return Number(row.count);
+    }
+
+    /**
+     * Replace a rule's settings
+     */
+    static async update(userId, alertId, symbol, rule) {
+        await db.query(`
+            UPDATE user_alerts
+            SET symbol = ?, alert_type = ?, report_type = ?, trader_group = ?, threshold_value = ?,
+                threshold_direction = ?, lookback_weeks = ?, updated_at = ?
+            WHERE id = ? AND user_id = ?
+        `, [symbol, rule.alertType, rule.reportType, rule.traderGroup, rule.thresholdValue,
+            rule.thresholdDirection, rule.lookbackWeeks, new Date().toISOString(), alertId, userId]);
+
+        return this.findById(userId, alertId);
+    }
+
+    /**
+     * Pause or resume a rule
+     */
+    static async setActive(userId, alertId, isActive) {
+        await db.query(
+            'UPDATE user_alerts SET is_active = ?, updated_at = ? WHERE id = ? AND user_id = ?',
+            [isActive ? 1 : 0, new Date().toISOString(), alertId, userId]
+        );
+        return this.findById(userId, alertId);
+    }
+
+    /**
+     * Delete a rule
+     */
+    static async delete(userId, alertId) {
+        await db.query('DELETE FROM alert_triggers WHERE alert_id = ? AND user_id = ?', [alertId, userId]);
+        await db.query('DELETE FROM user_alerts WHERE id = ? AND user_id = ?', [alertId, userId]);
+    }
+}
+
+Alert.ALERT_TYPES = ALERT_TYPES;
+
+module.exports = Alert;
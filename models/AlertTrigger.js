@@ -0,0 +1,139 @@
+/**
+ * Alert Trigger Model
+ * COT Pulse Backend - PostgreSQL + SQLite compatible
+ *
+ * A record of an alert rule firing on a report, with the values that fired it.
+ * (alert_id, report_type, report_date) is unique, so a rule fires at most once per report,
+ * even when two engine runs over the same report overlap.
+ */
+
+const db = require('../db');
+const crypto = require('crypto');
+
+/**
+ * Shape a row for API responses
+ */
+function format(row) {
+    return {
+        id: row.id,
+        alertId: row.alert_id,
+        userId: row.user_id,
+        symbol: row.symbol,
+        alertType: row.alert_type,
+        reportType: row.report_type,
+        reportDate: row.report_date,
+        traderGroup: row.trader_group || null,
+        value: row.value === null ? null : Number(row.value),
+        previousValue: row.previous_value === null ? null : Number(row.previous_value),
+        thresholdValue: row.threshold_value === null ? null : Number(row.threshold_value),
+        thresholdDirection: row.threshold_direction,
+        details: row.details ? JSON.parse(row.details) : {},
+        emailStatus: row.email_status || 'pending',
+        emailError: row.email_error || null,
+        emailedAt: row.emailed_at || null,
+        createdAt: row.created_at
+    };
+}
+
+class AlertTrigger {
+    /**
+     * Check whether a rule already fired on a report (for dry runs; create() is the real check)
+     */
+    static async exists(alertId, reportType, reportDate) {
+        const row = await db.getOne(
+            'SELECT id FROM alert_triggers WHERE alert_id = ? AND report_type = ? AND report_date = ?',
+            [alertId, reportType, reportDate]
+        );
+        return !!row;
+    }
+
+    /**
+     * Record a trigger and stamp the rule's last_triggered.
+     * Returns null without changing anything if the rule already fired on this report.
+     */
+    static async create(alert, { reportType, reportDate, value, previousValue, details }) {
+        const id = crypto.randomUUID();
+        const now = new Date().toISOString();
+
+        await db.query(`
+            INSERT INTO alert_triggers (id, alert_id, user_id, symbol, alert_type, report_type, report_date,
+                                        trader_group, value, previous_value, threshold_value,
+                                        threshold_direction, details, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT (alert_id, report_type, report_date) DO NOTHING
+        `, [id, alert.id, alert.userId, alert.symbol, alert.alertType, reportType, reportDate,
+            alert.traderGroup, value, previousValue, alert.thresholdValue, alert.thresholdDirection,
+            JSON.stringify(details || {}), now]);
+
+        const trigger = await this.findById(id);
+        if (!trigger) return null;
+
+        await db.query('UPDATE user_alerts SET last_triggered = ? WHERE id = ?', [now, alert.id]);
+
+        return trigger;
+    }
+
+    /**
+     * Record the email delivery outcome for one or more triggers.
+     * status: sent | failed | skipped
+     */
+    static async setEmailStatus(triggerIds, status, error = null) {
+        const emailedAt = status === 'sent' ? new Date().toISOString() : null;
+        for (const triggerId of triggerIds) {
+            await db.query(
+                'UPDATE alert_triggers SET email_status = ?, email_error = ?, emailed_at = ? WHERE id = ?',
+                [status, error, emailedAt, triggerId]
+            );
+        }
+    }
+
+    /**
+     * Triggers from one report date whose email hasn't gone out yet (held for a digest)
+     */
+    static async findEmailPending(reportDate) {
+        const rows = await db.getAll(`
+            SELECT * FROM alert_triggers
+            WHERE report_date = ? AND COALESCE(email_status, 'pending') = 'pending'
+            ORDER BY user_id, report_type, symbol
+        `, [reportDate]);
+        return rows.map(format);
+    }
+
+    /**
+     * Find a trigger by ID
+     */
+    static async findById(triggerId) {
+        const row = await db.getOne('SELECT * FROM alert_triggers WHERE id = ?', [triggerId]);
+        return row ? format(row) : null;
+    }
+
+    /**
+     * A user's trigger history, newest first. Filters: alertId, symbol
+     */
+    static async findByUserId(userId, { alertId, symbol, limit = 50, offset = 0 } = {}) {
+        const conditions = ['user_id = ?'];
+        const params = [userId];
+
+        if (alertId) {
+            conditions.push('alert_id = ?');
+            params.push(alertId);
+        }
+        if (symbol) {
+            conditions.push('symbol = ?');
+            params.push(symbol);
+        }
+
+        const where = conditions.join(' AND ');
+        const rows = await db.getAll(`
+            SELECT * FROM alert_triggers
+            WHERE ${where}
+            ORDER BY created_at DESC, report_date DESC
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset]);
+        const countRow = await db.getOne(`SELECT COUNT(*) AS count FROM alert_triggers WHERE ${where}`, params);
+
+        return { triggers: rows.map(format), total: Number(countRow.count) };
+    }
+}
+
+module.exports = AlertTrigger;
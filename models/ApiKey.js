@@ -0,0 +1,171 @@
+/**
+ * API Key Model
+ * COT Pulse Backend - PostgreSQL + SQLite compatible
+ *
+ * Personal API keys for scripts and integrations. The full key is shown once
+ * at creation; only its SHA-256 hash and a short display prefix are stored.
+ */
+
+const db = require('../db');
+const crypto = require('crypto');
+
+// Prefix that identifies COT Pulse keys (also lets the auth middleware tell keys from JWTs)
+const KEY_PREFIX = 'cotp_';
+
+// Scopes a key can be granted
+const SCOPES = [
+    'account:read',
+    'markets:read',
+    'watchlist:read',
+    'watchlist:write',
+    'alerts:read',
+    'alerts:write'
+];
+
+// Requests per hour allowed per key, unless a lower limit is chosen
+const DEFAULT_RATE_LIMIT_PER_HOUR = 1000;
+const MAX_RATE_LIMIT_PER_HOUR = 5000;
+
+// Active keys allowed per user
+const MAX_KEYS_PER_USER = 10;
+
+/**
+ * Hash a key for storage/lookup
+ */
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Shape a row for API responses (never includes the hash)
+ */
+function format(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        prefix: row.key_prefix,
+        scopes: JSON.parse(row.scopes),
+        rateLimitPerHour: Number(row.rate_limit_per_hour),
+        lastUsedAt: row.last_used_at,
+        createdAt: row.created_at
+    };
+}
+
+class ApiKey {
+    /**
+     * Create a key. Returns { apiKey, key } where key is the plain secret.
+     */
+    static async create(userId, { name, scopes, rateLimitPerHour = DEFAULT_RATE_LIMIT_PER_HOUR }) {
+        const id = crypto.randomUUID();
+        const key = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+        const keyPrefix = key.slice(0, KEY_PREFIX.length + 8);
+        const now = new Date().toISOString();
+
+        await db.query(`
+            INSERT INTO api_keys (id, user_id, name, key_prefix, key_hash, scopes, rate_limit_per_hour, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [id, userId, name, keyPrefix, hashKey(key), JSON.stringify(scopes), rateLimitPerHour, now]);
+
+        return {
+            apiKey: format({
+                id,
+                name,
+                key_prefix: keyPrefix,
+                scopes: JSON.stringify(scopes),
+                rate_limit_per_hour: rateLimitPerHour,
+                last_used_at: null,
+                created_at: now
+            }),
+            key
+        };
+    }
+
+    /**
+     * List a user's active keys
+     */
+    static async findActiveByUserId(userId) {
+        const rows = await db.getAll(`
+            SELECT * FROM api_keys
+            WHERE user_id = ? AND revoked_at IS NULL
+            ORDER BY created_at DESC
+        `, [userId]);
+        return rows.map(format);
+    }
+
+    /**
+     * Count a user's active keys
+     */
+    static async countActiveByUserId(userId) {
+        const row = await db.getOne(
+            'SELECT COUNT(*) AS count FROM api_keys WHERE user_id = ? AND revoked_at IS NULL',
+            [userId]
+        );
+        return Number(row.count);
+    }
+
+    /**
+     * Look up an active key by its plain value
+     */
+    static async findByKey(key) {
+        const row = await db.getOne(
+            'SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL',
+            [hashKey(key)]
+        );
+        if (!row) return null;
+        return { ...format(row), userId: row.user_id };
+    }
+
+    /**
+     * Record use of a key (at most once a minute to avoid a write per request)
+     */
+    static async touch(apiKey) {
+        const now = Date.now();
+        if (apiKey.lastUsedAt && now - new Date(apiKey.lastUsedAt).getTime() < 60 * 1000) return;
+
+        await db.query('UPDATE api_keys SET last_used_at = ? WHERE id = ?', [new Date(now).toISOString(), apiKey.id]);
+    }
+
+    /**
+     * Revoke one of the user's keys. Returns false if it wasn't found.
+     */
+    static async revoke(userId, keyId) {
+        const row = await db.getOne(
+            'SELECT id FROM api_keys WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+            [keyId, userId]
+        );
+        if (!row) return false;
+
+        await db.query('UPDATE api_keys SET revoked_at = ? WHERE id = ?', [new Date().toISOString(), keyId]);
+        return true;
+    }
+
+    /**
+     * Revoke all of a user's keys (e.g. when an admin forces a password reset).
+     * Returns the number revoked.
+     */
+    static async revokeAllForUser(userId) {
+        const { count } = await db.getOne(
+            'SELECT COUNT(*) AS count FROM api_keys WHERE user_id = ? AND revoked_at IS NULL',
+            [userId]
+        );
+        await db.query(
+            'UPDATE api_keys SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL',
+            [new Date().toISOString(), userId]
+        );
+        return Number(count);
+    }
+
+    /**
+     * Check whether a value looks like one of our keys
+     */
+    static isApiKey(value) {
+        return typeof value === 'string' && value.startsWith(KEY_PREFIX);
+    }
+}
+
+ApiKey.SCOPES = SCOPES;
+ApiKey.DEFAULT_RATE_LIMIT_PER_HOUR = DEFAULT_RATE_LIMIT_PER_HOUR;
+ApiKey.MAX_RATE_LIMIT_PER_HOUR = MAX_RATE_LIMIT_PER_HOUR;
+ApiKey.MAX_KEYS_PER_USER = MAX_KEYS_PER_USER;
+
+module.exports = ApiKey;
@@ -0,0 +1,68 @@
+/**
+ * Audit Log Model
+ * COT Pulse Backend - PostgreSQL + SQLite compatible
+ *
+ * Append-only record of privileged actions (role changes, admin actions).
+ * Entries outlive the accounts they mention: when a user deletes their account, entries
+ * about them keep only the opaque user id, and the IPs of their own actions are removed.
+ */
+
+const db = require('../db');
+const crypto = require('crypto');
+
+class AuditLog {
+    /**
+     * Record an action
+     *
+     * @param {string|null} actorUserId - Who did it (null for CLI/system)
+     * @param {string} action - e.g. 'user.role_changed'
+     * @param {string|null} targetUserId - Who it was done to
+     * @param {Object} details - Extra context, stored as JSON
+     * @param {string} [ipAddress]
+     */
+    static async record({ actorUserId = null, action, targetUserId = null, details = {}, ipAddress = null }) {
+        const id = crypto.randomUUID();
+        const now = new Date().toISOString();
+
+        await db.query(`
+            INSERT INTO audit_log (id, actor_user_id, action, target_user_id, details, ip_address, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [id, actorUserId, action, targetUserId, JSON.stringify(details), ipAddress, now]);
+
+        console.log(`[Audit] ${action} by ${actorUserId || 'system'} on ${targetUserId || '-'}`);
+        return id;
+    }
+
+    /**
+     * Strip personal data from a deleted user's entries (the IP addresses they acted from)
+     */
+    static async anonymizeUser(userId) {
+        await db.query('UPDATE audit_log SET ip_address = NULL WHERE actor_user_id = ?', [userId]);
+    }
+
+    /**
+     * List entries, newest first, optionally for one target user
+     */
+    static async find({ targetUserId, limit = 50, offset = 0 } = {}) {
+        const where = targetUserId ? 'WHERE target_user_id = ?' : '';
+        const params = targetUserId ? [targetUserId, limit, offset] : [limit, offset];
+
+        const rows = await db.getAll(`
+            SELECT * FROM audit_log ${where}
+            ORDER BY created_at DESC
+            LIMIT ? OFFSET ?
+        `, params);
+
+        return rows.map(row => ({
+            id: row.id,
+            actorUserId: row.actor_user_id,
+            action: row.action,
+            targetUserId: row.target_user_id,
+            details: row.details ? JSON.parse(row.details) : {},
+            ipAddress: row.ip_address,
+            createdAt: row.created_at
+        }));
+    }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,199 @@
+/**
+ * COT Analytics Model
+ * COT Pulse Backend - PostgreSQL + SQLite compatible
+ *
+ * Precomputed positioning analytics: one row per market, report type, trader group and
+ * lookback window, as of the market's latest report. Rows are rebuilt after every ingest
+ * (see refreshAnalytics in utils/cotIngest.js); the math lives in utils/cotAnalytics.js.
+ */
+
+const db = require('../db');
+const CotReport = require('./CotReport');
+
+const COLUMNS = {
+    reportDate: 'report_date',
+    weeks: 'weeks',
+    netPosition: 'net_position',
+    netChange: 'net_change',
+    netChangePercent: 'net_change_percent',
+    longChange: 'long_change',
+    shortChange: 'short_change',
+    cotIndex: 'cot_index',
+    zScore: 'z_score',
+    percentile: 'percentile',
+    minNetPosition: 'min_net_position',
+    maxNetPosition: 'max_net_position',
+    openInterest: 'open_interest',
+    openInterestChange: 'open_interest_change',
+    openInterestChangePercent: 'open_interest_change_percent'
+};
+
+// Values the screener can filter and rank by (API name -> column)
+const SCREENER_METRICS = {
+    cot_index: 'cot_index',
+    percentile: 'percentile',
+    z_score: 'z_score',
+    net_change: 'net_change',
+    net_change_percent: 'net_change_percent',
+    open_interest_change: 'open_interest_change',
+    open_interest_change_percent: 'open_interest_change_percent'
+};
+
+/**
+ * Number or null
+ */
+function toNumber(value) {
+    return value === null || value === undefined ? null : Number(value);
+}
+
+/**
+ * Shape a row for API responses
+ */
+function format(row) {
+    const analytics = {
+        reportType: row.report_type,
+        cftcCode: row.cftc_code,
+        traderGroup: row.trader_group,
+        lookbackWeeks: Number(row.lookback_weeks)
+    };
+    for (const [field, column] of Object.entries(COLUMNS)) {
+        analytics[field] = field === 'reportDate' ? row[column] : toNumber(row[column]);
+    }
+    analytics.updatedAt = row.updated_at;
+    return analytics;
+}
+
+/**
+ * Shape a screener row (analytics joined with its market) for API responses
+ */
+function formatScreenerRow(row) {
+    const analytics = format(row);
+    return {
+        symbol: row.symbol,
+        name: row.name,
+        category: row.category,
+        exchange: row.exchange || null,
+        reportDate: analytics.reportDate,
+        weeks: analytics.weeks,
+        netPosition: analytics.netPosition,
+        netChange: analytics.netChange,
+        netChangePercent: analytics.netChangePercent,
+        cotIndex: analytics.cotIndex,
+        zScore: analytics.zScore,
+        percentile: analytics.percentile,
+        openInterest: analytics.openInterest,
+        openInterestChange: analytics.openInterestChange,
+        openInterestChangePercent: analytics.openInterestChangePercent
+    };
+}
+
+class CotAnalytics {
+    /**
+     * Replace a market's analytics for a report type.
+     * entries: [{ traderGroup, lookbackWeeks, ...summary from cotAnalytics.summarize }]
+     */
+    static async replaceForMarket(reportType, cftcCode, entries) {
+        await db.query('DELETE FROM cot_analytics WHERE report_type = ? AND cftc_code = ?', [reportType, cftcCode]);
+        if (entries.length === 0) return;
+
+        const now = new Date().toISOString();
+        const fields = Object.keys(COLUMNS);
+        const columns = ['report_type', 'cftc_code', 'trader_group', 'lookback_weeks',
+            ...fields.map(field => COLUMNS[field]), 'updated_at'];
+        const placeholder = `(${columns.map(() => '?').join(', ')})`;
+
+        await db.query(`
+            INSERT INTO cot_analytics (${columns.join(', ')})
+            VALUES ${entries.map(() => placeholder).join(', ')}
+        `, entries.flatMap(entry => [
+            reportType, cftcCode, entry.traderGroup, entry.lookbackWeeks,
+            ...fields.map(field => entry[field] === undefined ? null : entry[field]),
+            now
+        ]));
+    }
+
+    /**
+     * A market's analytics. Options: { reportType, lookbackWeeks } (both optional)
+     */
+    static async findByCftcCode(cftcCode, { reportType, lookbackWeeks } = {}) {
+        const conditions = ['cftc_code = ?'];
+        const params = [cftcCode];
+
+        if (reportType) {
+            conditions.push('report_type = ?');
+            params.push(reportType);
+        }
+        if (lookbackWeeks) {
+            conditions.push('lookback_weeks = ?');
+            params.push(lookbackWeeks);
+        }
+
+        const rows = await db.getAll(`
+            SELECT * FROM cot_analytics
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY report_type, trader_group, lookback_weeks
+        `, params);
+        return rows.map(format);
+    }
+
+    /**
+     * Rank markets by one metric for a trader group and lookback window.
+     * Options: { reportType, traderGroup, lookbackWeeks, metric (a SCREENER_METRICS key),
+     *   categories, min, max, extreme, order ('asc'|'desc'), limit, offset }
+     * extreme N keeps values within N of either end of the 0-100 scale and ranks the most
+     * extreme first (cot_index and percentile only). Markets without a value are left out,
+     * and so are markets missing from the latest report (their analytics would be stale).
+     * Returns { results, total, reportDate } where reportDate is the latest report screened.
+     */
+    static async screen({ reportType, traderGroup, lookbackWeeks, metric, categories, min, max, extreme, order, limit, offset }) {
+        const reportDate = await CotReport.latestReportDate(reportType);
+        if (!reportDate) return { results: [], total: 0, reportDate: null };
+
+        const column = `a.${SCREENER_METRICS[metric]}`;
+        const conditions = ['a.report_type = ?', 'a.trader_group = ?', 'a.lookback_weeks = ?', 'a.report_date = ?', `${column} IS NOT NULL`];
+        const params = [reportType, traderGroup, lookbackWeeks, reportDate];
+
+        if (categories && categories.length > 0) {
+            conditions.push(`LOWER(m.category) IN (${categories.map(() => '?').join(', ')})`);
+            params.push(...categories.map(category => category.toLowerCase()));
+        }
+        if (min !== undefined) {
+            conditions.push(`${column} >= ?`);
+            params.push(min);
+        }
+        if (max !== undefined) {
+            conditions.push(`${column} <= ?`);
+            params.push(max);
+        }
+        if (extreme !== undefined) {
+            conditions.push(`(${column} <= ? OR ${column} >= ?)`);
+            params.push(extreme, 100 - extreme);
+        }
+
+        const from = `
+            FROM cot_analytics a
+            JOIN markets m ON m.cftc_code = a.cftc_code
+            WHERE ${conditions.join(' AND ')}
+        `;
+        const direction = order === 'asc' ? 'ASC' : 'DESC';
+        const rank = extreme !== undefined ? `ABS(${column} - 50)` : column;
+
+        const countRow = await db.getOne(`SELECT COUNT(*) AS count ${from}`, params);
+        const rows = await db.getAll(`
+            SELECT a.*, m.symbol, m.name, m.category, m.exchange
+            ${from}
+            ORDER BY ${rank} ${direction}, m.symbol
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset]);
+
+        return {
+            results: rows.map(formatScreenerRow),
+            total: Number(countRow.count),
+            reportDate
+        };
+    }
+}
+
+CotAnalytics.SCREENER_METRICS = Object.keys(SCREENER_METRICS);
+
+module.exports = CotAnalytics;
@@ -0,0 +1,185 @@
+/**
+ * COT Report Model
+ * COT Pulse Backend - PostgreSQL + SQLite compatible
+ *
+ * Weekly Commitments of Traders data. cot_reports holds one row per market per report
+ * (open interest and market names); cot_positions holds long/short/spreading per trader group.
+ * Rows use the shape the ingester produces and the alert engine reads:
+ *   { reportType, cftcCode, reportDate, marketName, exchangeName, openInterest,
+ *     positions: { [traderGroup]: { long, short, spreading } } }
+ */
+
+const db = require('../db');
+
+// Rows per INSERT statement. SQLite saves the whole file after every write,
+// so loading a year of reports row by row would be very slow.
+const BATCH_SIZE = 200;
+
+/**
+ * Number or null (pg returns numbers for INTEGER columns, sql.js too, but be safe)
+ */
+function toNumber(value) {
+    return value === null || value === undefined ? null : Number(value);
+}
+
+/**
+ * Combine cot_reports rows with their cot_positions rows
+ */
+function combine(reportRows, positionRows) {
+    const byDate = new Map();
+
+    for (const row of reportRows) {
+        byDate.set(row.report_date, {
+            reportType: row.report_type,
+            cftcCode: row.cftc_code,
+            reportDate: row.report_date,
+            marketName: row.market_name,
+            exchangeName: row.exchange_name,
+            openInterest: toNumber(row.open_interest),
+            positions: {}
+        });
+    }
+
+    for (const row of positionRows) {
+        const report = byDate.get(row.report_date);
+        if (!report) continue;
+        report.positions[row.trader_group] = {
+            long: toNumber(row.long_positions),
+            short: toNumber(row.short_positions),
+            spreading: toNumber(row.spread_positions)
+        };
+    }
+
+    return [...byDate.values()];
+}
+
+/**
+ * Run a multi-row upsert in batches
+ */
+async function upsertInBatches(rows, { table, columns, conflict, update }) {
+    const placeholder = `(${columns.map(() => '?').join(', ')})`;
+
+    for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+        const batch = rows.slice(i, i + BATCH_SIZE);
+        await db.query(`
+            INSERT INTO ${table} (${columns.join(', ')})
+            VALUES ${batch.map(() => placeholder).join(', ')}
+            ON CONFLICT (${conflict.join(', ')}) DO UPDATE SET
+                ${update.map(column => `${column} = excluded.${column}`).join(', ')}
+        `, batch.flat());
+    }
+}
+
+class CotReport {
+    /**
+     * Insert or update report rows and their positions. Re-loading the same rows is a no-op.
+     * Rows must be unique by (reportType, cftcCode, reportDate).
+     */
+    static async upsert(rows) {
+        const now = new Date().toISOString();
+
+        await upsertInBatches(
+            rows.map(row => [row.reportType, row.cftcCode, row.reportDate, row.marketName,
+                row.exchangeName, row.openInterest, now, now]),
+            {
+                table: 'cot_reports',
+                columns: ['report_type', 'cftc_code', 'report_date', 'market_name', 'exchange_name',
+                    'open_interest', 'created_at', 'updated_at'],
+                conflict: ['report_type', 'cftc_code', 'report_date'],
+                update: ['market_name', 'exchange_name', 'open_interest', 'updated_at']
+            }
+        );
+
+        const positions = [];
+        for (const row of rows) {
+            for (const [traderGroup, position] of Object.entries(row.positions)) {
+                positions.push([row.reportType, row.cftcCode, row.reportDate, traderGroup,
+                    position.long, position.short, position.spreading]);
+            }
+        }
+
+        await upsertInBatches(positions, {
+            table: 'cot_positions',
+            columns: ['report_type', 'cftc_code', 'report_date', 'trader_group',
+                'long_positions', 'short_positions', 'spread_positions'],
+            conflict: ['report_type', 'cftc_code', 'report_date', 'trader_group'],
+            update: ['long_positions', 'short_positions', 'spread_positions']
+        });
+    }
+
+    /**
+     * Most recent report date loaded for a report type (null if none)
+     */
+    static async latestReportDate(reportType) {
+        const row = await db.getOne(
+            'SELECT MAX(report_date) AS report_date FROM cot_reports WHERE report_type = ?',
+            [reportType]
+        );
+        return row && row.report_date ? row.report_date : null;
+    }
+
+    /**
+     * The last `weeks` reports of a market up to and including `to`, oldest first
+     */
+    static async findRecent(reportType, cftcCode, to, weeks) {
+        const reportRows = await db.getAll(`
+            SELECT * FROM cot_reports
+            WHERE report_type = ? AND cftc_code = ? AND report_date <= ?
+            ORDER BY report_date DESC
+            LIMIT ?
+        `, [reportType, cftcCode, to, weeks]);
+        if (reportRows.length === 0) return [];
+
+        const from = reportRows[reportRows.length - 1].report_date;
+        const positionRows = await db.getAll(`
+            SELECT * FROM cot_positions
+            WHERE report_type = ? AND cftc_code = ? AND report_date >= ? AND report_date <= ?
+        `, [reportType, cftcCode, from, to]);
+
+        return combine(reportRows.reverse(), positionRows);
+    }
+
+    /**
+     * Reports of a market in a date range, oldest first.
+     * Options: { from, to, after, limit } - all dates inclusive except `after` (a cursor:
+     * only reports later than it). Returns { reports, hasMore }.
+     */
+    static async findRange(reportType, cftcCode, { from, to, after, limit }) {
+        const conditions = ['report_type = ?', 'cftc_code = ?'];
+        const params = [reportType, cftcCode];
+
+        if (from) {
+            conditions.push('report_date >= ?');
+            params.push(from);
+        }
+        if (to) {
+            conditions.push('report_date <= ?');
+            params.push(to);
+        }
+        if (after) {
+            conditions.push('report_date > ?');
+            params.push(after);
+        }
+
+        // One extra row tells us whether there is another page
+        const reportRows = await db.getAll(`
+            SELECT * FROM cot_reports
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY report_date
+            LIMIT ?
+        `, [...params, limit + 1]);
+
+        const hasMore = reportRows.length > limit;
+        const page = reportRows.slice(0, limit);
+        if (page.length === 0) return { reports: [], hasMore: false };
+
+        const positionRows = await db.getAll(`
+            SELECT * FROM cot_positions
+            WHERE report_type = ? AND cftc_code = ? AND report_date >= ? AND report_date <= ?
+        `, [reportType, cftcCode, page[0].report_date, page[page.length - 1].report_date]);
+
+        return { reports: combine(page, positionRows), hasMore };
+    }
+}
+
+module.exports = CotReport;
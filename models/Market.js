@@ -0,0 +1,124 @@
+/**
+ * Market Model
+ * COT Pulse Backend - PostgreSQL + SQLite compatible
+ *
+ * Futures markets we track. Rows are seeded from utils/marketCatalog.js (symbol, name,
+ * category, exchange, contract unit, CFTC code); ingestion fills in the CFTC's own market
+ * name and the latest report loaded. Watchlists and alerts only accept symbols from here.
+ */
+
+const db = require('../db');
+const { normalizeSymbol } = require('../utils/marketCatalog');
+
+/**
+ * Shape a row for API responses
+ */
+function format(row) {
+    return {
+        symbol: row.symbol,
+        name: row.name,
+        category: row.category,
+        exchange: row.exchange || null,
+        contractUnit: row.contract_unit || null,
+        cftcCode: row.cftc_code,
+        cftcName: row.cftc_name || null,
+        latestReportDate: row.latest_report_date || null
+    };
+}
+
+class Market {
+    /**
+     * All markets by category and name.
+     * Options: { category, search } - search matches symbol, name, CFTC code or CFTC name
+     */
+    static async findAll({ category, search } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (category) {
+            conditions.push('LOWER(category) = ?');
+            params.push(category.toLowerCase());
+        }
+        if (search) {
+            const pattern = `%${search.toLowerCase()}%`;
+            conditions.push(`(LOWER(symbol) LIKE ? OR LOWER(name) LIKE ? OR LOWER(cftc_code) LIKE ?
+                OR LOWER(COALESCE(cftc_name, '')) LIKE ?)`);
+            params.push(pattern, pattern, pattern, pattern);
+        }
+
+        const rows = await db.getAll(`
+            SELECT * FROM markets
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY category, name
+        `, params);
+        return rows.map(format);
+    }
+
+    /**
+     * Look up a market by symbol (case-insensitive). Returns null if unknown.
+     */
+    static async findBySymbol(symbol) {
+        const normalized = normalizeSymbol(symbol);
+        if (!normalized) return null;
+        const row = await db.getOne('SELECT * FROM markets WHERE symbol = ?', [normalized]);
+        return row ? format(row) : null;
+    }
+
+    /**
+     * Look up a market by CFTC contract market code. Returns null if untracked.
+     */
+    static async findByCftcCode(cftcCode) {
+        const row = await db.getOne('SELECT * FROM markets WHERE cftc_code = ?', [cftcCode]);
+        return row ? format(row) : null;
+    }
+
+    /**
+     * CFTC codes of every market, for jobs that walk the whole catalog
+     */
+    static async allCftcCodes() {
+        const rows = await db.getAll('SELECT cftc_code FROM markets ORDER BY cftc_code');
+        return rows.map(row => row.cftc_code);
+    }
+
+    /**
+     * Category names in use, alphabetically
+     */
+    static async categories() {
+        const rows = await db.getAll('SELECT DISTINCT category FROM markets ORDER BY category');
+        return rows.map(row => row.category);
+    }
+
+    /**
+     * Stamp tracked markets with the CFTC market name and latest report date from
+     * freshly ingested rows ({ cftcCode, reportDate, marketName }). Returns the
+     * tracked markets among the rows as [{ symbol, cftcCode }].
+     */
+    static async recordReports(rows) {
+        const latest = new Map();
+        for (const row of rows) {
+            const current = latest.get(row.cftcCode);
+            if (!current || row.reportDate > current.reportDate) latest.set(row.cftcCode, row);
+        }
+        if (latest.size === 0) return [];
+
+        const codes = [...latest.keys()];
+        const tracked = await db.getAll(
+            `SELECT symbol, cftc_code, latest_report_date FROM markets WHERE cftc_code IN (${codes.map(() => '?').join(', ')})`,
+            codes
+        );
+
+        const now = new Date().toISOString();
+        for (const market of tracked) {
+            const row = latest.get(market.cftc_code);
+            if (market.latest_report_date && market.latest_report_date > row.reportDate) continue;
+            await db.query(
+                'UPDATE markets SET cftc_name = ?, latest_report_date = ?, updated_at = ? WHERE symbol = ?',
+                [row.marketName || null, row.reportDate, now, market.symbol]
+            );
+        }
+
+        return tracked.map(market => ({ symbol: market.symbol, cftcCode: market.cftc_code }));
+    }
+}
+
+module.exports = Market;
@@ -0,0 +1,160 @@
+/**
+ * Session Model
+ * COT Pulse Backend - PostgreSQL + SQLite compatible
+ *
+ * One row per signed-in device. Refresh tokens are rotated on every use and
+ * only their SHA-256 hash is stored; rotated hashes are kept in
+ * refresh_token_history so a replayed token can be detected.
+ */
+
+const db = require('../db');
+const crypto = require('crypto');
+
+// Refresh token lifetime (30 days, extended on every rotation)
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Hash a refresh token for storage/lookup
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+class Session {
+    /**
+     * Create a new session and return it with its first refresh token.
+     * ttlMs shortens the lifetime (e.g. for impersonation sessions).
+     */
+    static async create(userId, { deviceInfo, ipAddress, ttlMs = REFRESH_TOKEN_TTL_MS } = {}) {
+        const id = crypto.randomUUID();
+        const refreshToken = crypto.randomBytes(48).toString('hex');
+        const now = new Date().toISOString();
+        const expiresAt = new Date(Date.now() + ttlMs).toISOString();
+
+        await db.query(`
+            INSERT INTO sessions (id, user_id, refresh_token, device_info, ip_address, expires_at, created_at, last_used_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [id, userId, hashToken(refreshToken), deviceInfo || null, ipAddress || null, expiresAt, now, now]);
+
+        return {
+            session: { id, user_id: userId, expires_at: expiresAt, created_at: now },
+            refreshToken
+        };
+    }
+
+    /**
+     * Find session by ID
+     */
+    static async findById(sessionId) {
+        return await db.getOne('SELECT * FROM sessions WHERE id = ?', [sessionId]);
+    }
+
+    /**
+     * Exchange a refresh token for a new one.
+     * Presenting a token that was already rotated revokes the whole session,
+     * since either the legitimate client or an attacker is holding a stale copy.
+     * The swap only succeeds if the session still holds this token, so when two
+     * requests refresh at once one wins and the other gets 'Invalid refresh token'.
+     */
+    static async rotate(refreshToken, { ipAddress } = {}) {
+        const tokenHash = hashToken(refreshToken);
+
+        const session = await db.getOne('SELECT * FROM sessions WHERE refresh_token = ?', [tokenHash]);
+
+        if (!session) {
+            const reused = await db.getOne(
+                'SELECT session_id FROM refresh_token_history WHERE token_hash = ?',
+                [tokenHash]
+            );
+            if (reused) {
+                await this.revoke(reused.session_id);
+                console.warn(`[Session] Refresh token reuse detected, revoked session ${reused.session_id}`);
+                throw new Error('Refresh token reuse detected');
+            }
+            throw new Error('Invalid refresh token');
+        }
+
+        if (session.revoked_at) {
+            throw new Error('Session has been revoked');
+        }
+
+        if (new Date(session.expires_at) < new Date()) {
+            throw new Error('Refresh token has expired');
+        }
+
+        const newRefreshToken = crypto.randomBytes(48).toString('hex');
+        const now = new Date().toISOString();
+        const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS).toISOString();
+
+        const swapped = await db.query(`
+            UPDATE sessions
+            SET refresh_token = ?, expires_at = ?, last_used_at = ?, ip_address = COALESCE(?, ip_address)
+            WHERE id = ? AND refresh_token = ? AND revoked_at IS NULL
+        `, [hashToken(newRefreshToken), expiresAt, now, ipAddress || null, session.id, tokenHash]);
+
+        if (swapped.rowCount === 0) {
+            throw new Error('Invalid refresh token');
+        }
+
+        await db.query(
+            'INSERT INTO refresh_token_history (token_hash, session_id, rotated_at) VALUES (?, ?, ?)',
+            [tokenHash, session.id, now]
+        );
+
+        return {
+            session: { ...session, expires_at: expiresAt, last_used_at: now },
+            refreshToken: newRefreshToken
+        };
+    }
+
+    /**
+     * List a user's active (not revoked, not expired) sessions
+     */
+    static async findActiveByUserId(userId) {
+        return await db.getAll(`
+            SELECT id, device_info, ip_address, created_at, last_used_at, expires_at
+            FROM sessions
+            WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+            ORDER BY last_used_at DESC
+        `, [userId, new Date().toISOString()]);
+    }
+
+    /**
+     * Check whether a session can still be used
+     */
+    static isActive(session) {
+        return !!session && !session.revoked_at && new Date(session.expires_at) > new Date();
+    }
+
+    /**
+     * Revoke a single session
+     */
+    static async revoke(sessionId) {
+        const now = new Date().toISOString();
+        await db.query(
+            'UPDATE sessions SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL',
+            [now, sessionId]
+        );
+    }
+
+    /**
+     * Revoke all of a user's sessions, optionally keeping one (e.g. the current device)
+     */
+    static async revokeAllForUser(userId, { exceptSessionId = null } = {}) {
+        const now = new Date().toISOString();
+
+        if (exceptSessionId) {
+            await db.query(
+                'UPDATE sessions SET revoked_at = ? WHERE user_id = ? AND id != ? AND revoked_at IS NULL',
+                [now, userId, exceptSessionId]
+            );
+        } else {
+            await db.query(
+                'UPDATE sessions SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL',
+                [now, userId]
+            );
+        }
+    }
+}
+
+module.exports = Session;
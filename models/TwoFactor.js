@@ -0,0 +1,157 @@
+/**
+ * Two-Factor Authentication Model
+ * COT Pulse Backend - PostgreSQL + SQLite compatible
+ *
+ * TOTP secrets live on the users row (encrypted); recovery codes are
+ * stored hashed in two_factor_recovery_codes and can each be used once.
+ */
+
+const db = require('../db');
+const crypto = require('crypto');
+const totp = require('../utils/totp');
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Normalize and hash a recovery code
+ */
+function hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+class TwoFactor {
+    /**
+     * Start enrollment: store a new (not yet enabled) secret
+     */
+    static async startEnrollment(user) {
+        const secret = totp.generateSecret();
+        const now = new Date().toISOString();
+
+        await db.query(`
+            UPDATE users
+            SET two_factor_secret = ?, two_factor_enabled = 0, two_factor_last_step = NULL, updated_at = ?
+            WHERE id = ?
+        `, [totp.encryptSecret(secret), now, user.id]);
+
+        return {
+            secret,
+            otpauthUrl: totp.buildOtpauthUrl(secret, user.email)
+        };
+    }
+
+    /**
+     * Get the 2FA state for a user
+     */
+    static async getState(userId) {
+        return await db.getOne(
+            'SELECT two_factor_secret, two_factor_enabled, two_factor_last_step FROM users WHERE id = ?',
+            [userId]
+        );
+    }
+
+    /**
+     * Check a TOTP code for the user, rejecting codes that were already used
+     */
+    static async verifyTotp(userId, code) {
+        const state = await this.getState(userId);
+        if (!state || !state.two_factor_secret) return false;
+
+        const step = totp.verifyCode(totp.decryptSecret(state.two_factor_secret), code);
+        if (step === null) return false;
+        if (state.two_factor_last_step !== null && state.two_factor_last_step !== undefined &&
+            step <= Number(state.two_factor_last_step)) {
+            return false;
+        }
+
+        await db.query('UPDATE users SET two_factor_last_step = ? WHERE id = ?', [step, userId]);
+        return true;
+    }
+
+    /**
+     * Consume a recovery code. Returns true if it was valid and unused.
+     */
+    static async useRecoveryCode(userId, code) {
+        const record = await db.getOne(
+            'SELECT id FROM two_factor_recovery_codes WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+            [userId, hashRecoveryCode(code)]
+        );
+        if (!record) return false;
+
+        await db.query(
+            'UPDATE two_factor_recovery_codes SET used_at = ? WHERE id = ?',
+            [new Date().toISOString(), record.id]
+        );
+        return true;
+    }
+
+    /**
+     * Verify a second factor: either a TOTP code or a recovery code
+     */
+    static async verify(userId, { code, recoveryCode }) {
+        if (code) return this.verifyTotp(userId, String(code).trim());
+        if (recoveryCode) return this.useRecoveryCode(userId, recoveryCode);
+        return false;
+    }
+
+    /**
+     * Replace the user's recovery codes. Returns the plain codes (shown once).
+     */
+    static async generateRecoveryCodes(userId) {
+        const now = new Date().toISOString();
+        const codes = [];
+
+        await db.query('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+
+        for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+            const raw = crypto.randomBytes(5).toString('hex');
+            const code = `${raw.slice(0, 5)}-${raw.slice(5)}`;
+            codes.push(code);
+
+            await db.query(`
+                INSERT INTO two_factor_recovery_codes (id, user_id, code_hash, created_at)
+                VALUES (?, ?, ?, ?)
+            `, [crypto.randomUUID(), userId, hashRecoveryCode(code), now]);
+        }
+
+        return codes;
+    }
+
+    /**
+     * Count unused recovery codes
+     */
+    static async remainingRecoveryCodes(userId) {
+        const row = await db.getOne(
+            'SELECT COUNT(*) AS count FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+            [userId]
+        );
+        return Number(row.count);
+    }
+
+    /**
+     * Turn 2FA on after the first code has been confirmed
+     */
+    static async enable(userId) {
+        const now = new Date().toISOString();
+        await db.query(
+            'UPDATE users SET two_factor_enabled = 1, updated_at = ? WHERE id = ?',
+            [now, userId]
+        );
+        return this.generateRecoveryCodes(userId);
+    }
+
+    /**
+     * Turn 2FA off and remove the secret and recovery codes
+     */
+    static async disable(userId) {
+        const now = new Date().toISOString();
+        await db.query(`
+            UPDATE users
+            SET two_factor_enabled = 0, two_factor_secret = NULL, two_factor_last_step = NULL, updated_at = ?
+            WHERE id = ?
+        `, [now, userId]);
+        await db.query('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+    }
+}
+
+module.exports = TwoFactor;
@@ -4,11 +4,48 @@
  */
 
 const db = require('../db');
+const AuditLog = require('./AuditLog');
 const bcrypt = require('bcryptjs');
 const crypto = require('crypto');
 
 const SALT_ROUNDS = 12;
 
+// Access roles, from least to most privileged
+const ROLES = ['user', 'support', 'admin'];
+
+// Columns the admin user search can sort by
+const SEARCH_SORT_COLUMNS = ['created_at', 'last_login', 'email', 'name'];
+
+// Allowed values for dashboard preferences
+const REPORT_TYPES = ['legacy', 'disaggregated', 'tff'];
+const CHART_RANGES = ['3m', '6m', '1y', '2y', '5y', 'max'];
+
+// Tables with rows owned by a user. Cleared explicitly on account deletion
+// because SQLite doesn't enforce ON DELETE CASCADE without PRAGMA foreign_keys.
+const USER_OWNED_TABLES = [
+    'user_watchlist',
+    'watchlists',
+    'alert_triggers',
+    'webhook_deliveries',
+    'webhooks',
+    'user_alerts',
+    'phone_verification_attempts',
+    'password_reset_tokens',
+    'email_verification_tokens',
+    'email_change_requests',
+    'two_factor_recovery_codes',
+    'api_keys',
+    'sessions'
+];
+
+// Notification preferences a user can toggle, with their defaults
+const DEFAULT_NOTIFICATION_PREFERENCES = {
+    alertEmails: true,
+    alertDigest: false, // true: one email per report release instead of one per triggered alert
+    weeklySummary: true,
+    productUpdates: false
+};
+
 class User {
     /**
      * Create a new user
@@ -28,6 +65,7 @@ class User {
                 id,
                 email: email.toLowerCase().trim(),
                 name,
+                role: 'user',
                 phone_verified: 0,
                 created_at: now
             };
@@ -53,6 +91,9 @@ class User {
         return await db.getOne(`
             SELECT id, email, name, phone, phone_verified, email_verified,
                    subscription_tier, subscription_status, stripe_customer_id,
+                   two_factor_enabled, failed_login_attempts, last_failed_login, locked_until,
+                   timezone, preferred_report_type, default_chart_range, notification_preferences,
+                   role, disabled_at, disabled_reason, password_reset_required, past_due_since,
                    created_at, last_login
             FROM users WHERE id = ?
         `, [userId]);
@@ -65,6 +106,15 @@ class User {
         return await bcrypt.compare(plainPassword, passwordHash);
     }
 
+    /**
+     * Check a user's current password (for re-authentication on sensitive actions)
+     */
+    static async checkPassword(userId, plainPassword) {
+        const row = await db.getOne('SELECT password_hash FROM users WHERE id = ?', [userId]);
+        if (!row || !plainPassword) return false;
+        return await bcrypt.compare(plainPassword, row.password_hash);
+    }
+
     /**
      * Update user's phone number
      */
@@ -93,6 +143,20 @@ class User {
         return this.findById(userId);
     }
 
+    /**
+     * Mark email as verified
+     */
+    static async markEmailVerified(userId) {
+        const now = new Date().toISOString();
+        await db.query(`
+            UPDATE users
+            SET email_verified = 1, updated_at = ?
+            WHERE id = ?
+        `, [now, userId]);
+
+        return this.findById(userId);
+    }
+
     /**
      * Update last login timestamp
      */
@@ -102,15 +166,54 @@ class User {
     }
 
     /**
-     * Update subscription tier
+     * Record a failed login attempt. Returns the new consecutive failure count.
+     */
+    static async recordFailedLogin(userId) {
+        const now = new Date().toISOString();
+        await db.query(`
+            UPDATE users
+            SET failed_login_attempts = COALESCE(failed_login_attempts, 0) + 1, last_failed_login = ?
+            WHERE id = ?
+        `, [now, userId]);
+
+        const row = await db.getOne('SELECT failed_login_attempts FROM users WHERE id = ?', [userId]);
+        return Number(row.failed_login_attempts);
+    }
+
+    /**
+     * Lock the account until the given time and restart the failure count
+     */
+    static async lockAccount(userId, lockedUntil) {
+        await db.query(`
+            UPDATE users
+            SET locked_until = ?, failed_login_attempts = 0
+            WHERE id = ?
+        `, [lockedUntil, userId]);
+    }
+
+    /**
+     * Clear failed login tracking after a successful login
+     */
+    static async resetFailedLogins(userId) {
+        await db.query(`
+            UPDATE users
+            SET failed_login_attempts = 0, last_failed_login = NULL, locked_until = NULL
+            WHERE id = ?
+        `, [userId]);
+    }
+
+    /**
+     * Update subscription tier.
+     * Also tracks when a subscription first went past_due, for the grace period.
      */
     static async updateSubscription(userId, tier, status = 'active') {
         const now = new Date().toISOString();
         await db.query(`
             UPDATE users
-            SET subscription_tier = ?, subscription_status = ?, updated_at = ?
+            SET subscription_tier = ?, subscription_status = ?, updated_at = ?,
+                past_due_since = CASE WHEN ? = 'past_due' THEN COALESCE(past_due_since, ?) ELSE NULL END
             WHERE id = ?
-        `, [tier, status, now, userId]);
+        `, [tier, status, now, status, now, userId]);
 
         return await db.getOne(`
             SELECT id, email, subscription_tier, subscription_status
@@ -118,6 +221,88 @@ class User {
         `, [userId]);
     }
 
+    /**
+     * Update access role
+     */
+    static async updateRole(userId, role) {
+        const now = new Date().toISOString();
+        await db.query(`
+            UPDATE users
+            SET role = ?, updated_at = ?
+            WHERE id = ?
+        `, [role, now, userId]);
+
+        return this.findById(userId);
+    }
+
+    /**
+     * Disable an account (reason is shown to staff only) or re-enable it
+     */
+    static async setDisabled(userId, disabled, reason = null) {
+        const now = new Date().toISOString();
+        await db.query(`
+            UPDATE users
+            SET disabled_at = ?, disabled_reason = ?, updated_at = ?
+            WHERE id = ?
+        `, [disabled ? now : null, disabled ? reason : null, now, userId]);
+
+        return this.findById(userId);
+    }
+
+    /**
+     * Block password login until the user sets a new password
+     */
+    static async requirePasswordReset(userId) {
+        const now = new Date().toISOString();
+        await db.query(`
+            UPDATE users
+            SET password_reset_required = 1, updated_at = ?
+            WHERE id = ?
+        `, [now, userId]);
+    }
+
+    /**
+     * Search users for the admin console.
+     * Returns { users, total } where total ignores limit/offset.
+     */
+    static async search({ search, tier, status, role, sort = 'created_at', order = 'desc', limit = 25, offset = 0 } = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (search) {
+            conditions.push("(LOWER(email) LIKE ? OR LOWER(COALESCE(name, '')) LIKE ?)");
+            const pattern = `%${search.toLowerCase()}%`;
+            params.push(pattern, pattern);
+        }
+        if (tier) {
+            conditions.push('subscription_tier = ?');
+            params.push(tier);
+        }
+        if (status) {
+            conditions.push('subscription_status = ?');
+            params.push(status);
+        }
+        if (role) {
+            conditions.push("COALESCE(role, 'user') = ?");
+            params.push(role);
+        }
+
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+        const sortColumn = SEARCH_SORT_COLUMNS.includes(sort) ? sort : 'created_at';
+        const sortOrder = order === 'asc' ? 'ASC' : 'DESC';
+
+        const countRow = await db.getOne(`SELECT COUNT(*) AS count FROM users ${where}`, params);
+        const users = await db.getAll(`
+            SELECT id, email, name, email_verified, subscription_tier, subscription_status,
+                   role, disabled_at, created_at, last_login
+            FROM users ${where}
+            ORDER BY ${sortColumn} ${sortOrder}, id
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset]);
+
+        return { users, total: Number(countRow.count) };
+    }
+
     /**
      * Update Stripe customer ID
      */
@@ -140,7 +325,14 @@ class User {
     /**
      * Update user profile
      */
-    static async updateProfile(userId, { name, email }) {
+    static async updateProfile(userId, {
+        name,
+        email,
+        timezone,
+        preferredReportType,
+        defaultChartRange,
+        notificationPreferences
+    }) {
         const now = new Date().toISOString();
         const updates = [];
         const values = [];
@@ -153,6 +345,22 @@ class User {
             updates.push('email = ?');
             values.push(email.toLowerCase().trim());
         }
+        if (timezone !== undefined) {
+            updates.push('timezone = ?');
+            values.push(timezone);
+        }
+        if (preferredReportType) {
+            updates.push('preferred_report_type = ?');
+            values.push(preferredReportType);
+        }
+        if (defaultChartRange) {
+            updates.push('default_chart_range = ?');
+            values.push(defaultChartRange);
+        }
+        if (notificationPreferences) {
+            updates.push('notification_preferences = ?');
+            values.push(JSON.stringify(notificationPreferences));
+        }
 
         if (updates.length === 0) {
             return await this.findById(userId);
@@ -170,9 +378,23 @@ class User {
     }
 
     /**
-     * Delete user account
+     * Delete user account and everything linked to it
      */
     static async delete(userId) {
+        // Throttling counters keyed by the account (its email, or its id as the last part of the key)
+        const user = await db.getOne('SELECT email FROM users WHERE id = ?', [userId]);
+        await db.query(
+            'DELETE FROM rate_limit_counters WHERE counter_key = ? OR counter_key LIKE ?',
+            [`forgot-password-email:${user ? user.email : ''}`, `%:${userId}`]
+        );
+        await db.query(
+            'DELETE FROM refresh_token_history WHERE session_id IN (SELECT id FROM sessions WHERE user_id = ?)',
+            [userId]
+        );
+        for (const table of USER_OWNED_TABLES) {
+            await db.query(`DELETE FROM ${table} WHERE user_id = ?`, [userId]);
+        }
+        await AuditLog.anonymizeUser(userId);
         await db.query('DELETE FROM users WHERE id = ?', [userId]);
     }
 
@@ -184,10 +406,31 @@ class User {
         const now = new Date().toISOString();
         await db.query(`
             UPDATE users
-            SET password_hash = ?, updated_at = ?
+            SET password_hash = ?, password_reset_required = 0, updated_at = ?
             WHERE id = ?
         `, [passwordHash, now, userId]);
     }
+
+    /**
+     * Parse stored notification preferences, filling in defaults
+     */
+    static getNotificationPreferences(user) {
+        let stored = {};
+        if (user && user.notification_preferences) {
+            try {
+                stored = JSON.parse(user.notification_preferences);
+            } catch (error) {
+                stored = {};
+            }
+        }
+        return { ...DEFAULT_NOTIFICATION_PREFERENCES, ...stored };
+    }
 }
 
+User.ROLES = ROLES;
+User.SEARCH_SORT_COLUMNS = SEARCH_SORT_COLUMNS;
+User.REPORT_TYPES = REPORT_TYPES;
+User.CHART_RANGES = CHART_RANGES;
+User.DEFAULT_NOTIFICATION_PREFERENCES = DEFAULT_NOTIFICATION_PREFERENCES;
+
 module.exports = User;
@@ -0,0 +1,330 @@
+/**
+ * Watchlist Model
+ * COT Pulse Backend - PostgreSQL + SQLite compatible
+ *
+ * Users keep any number of named watchlists (watchlists table); each holds
+ * ordered symbols with optional notes (user_watchlist table). Every user has
+ * one default list, which backs the original /api/watchlist endpoints.
+ */
+
+const db = require('../db');
+const crypto = require('crypto');
+
+/**
+ * Shape a list row for API responses
+ */
+function formatList(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        position: Number(row.position),
+        isDefault: !!row.is_default,
+        shared: !!row.share_token,
+        shareToken: row.share_token || null,
+        sharedAt: row.shared_at || null,
+        itemCount: row.item_count !== undefined ? Number(row.item_count) : undefined,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * Shape an item row for API responses
+ */
+function formatItem(row) {
+    return {
+        symbol: row.symbol,
+        name: row.name,
+        category: row.category,
+        notes: row.notes || null,
+        position: Number(row.position),
+        addedAt: row.added_at
+    };
+}
+
+class Watchlist {
+    // ============================================
+    // LISTS
+    // ============================================
+
+    /**
+     * All of a user's watchlists in display order, with item counts
+     */
+    static async findAllByUserId(userId) {
+        const rows = await db.getAll(`
+            SELECT w.*, (SELECT COUNT(*) FROM user_watchlist i WHERE i.watchlist_id = w.id) AS item_count
+            FROM watchlists w
+            WHERE w.user_id = ?
+            ORDER BY w.position, w.created_at
+        `, [userId]);
+        return rows.map(formatList);
+    }
+
+    /**
+     * One of the user's watchlists (null if it doesn't exist or isn't theirs)
+     */
+    static async findById(userId, watchlistId) {
+        const row = await db.getOne('SELECT * FROM watchlists WHERE id = ? AND user_id = ?', [watchlistId, userId]);
+        return row ? formatList(row) : null;
+    }
+
+    /**
+     * The user's default watchlist, created on first use
+     */
+    static async getOrCreateDefault(userId) {
+        const row = await db.getOne('SELECT * FROM watchlists WHERE user_id = ? AND is_default = 1', [userId]);
+        if (row) return formatList(row);
+
+        return this.create(userId, db.DEFAULT_WATCHLIST_NAME, { isDefault: true });
+    }
+
+    /**
+     * Count a user's watchlists
+     */
+    static async count(userId) {
+        const row = await db.getOne('SELECT COUNT(*) AS count FROM watchlists WHERE user_id = ?', [userId]);
+        return Number(row.count);
+    }
+
+    /**
+     * Create a watchlist at the end of the user's lists
+     */
+    static async create(userId, name, { isDefault = false } = {}) {
+        const id = crypto.randomUUID();
+        const now = new Date().toISOString();
+
+        const last = await db.getOne('SELECT MAX(position) AS position FROM watchlists WHERE user_id = ?', [userId]);
+        const position = last && last.position !== null ? Number(last.position) + 1 : 0;
+
+        await db.query(`
+            INSERT INTO watchlists (id, user_id, name, position, is_default, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `, [id, userId, name, position, isDefault ? 1 : 0, now, now]);
+
+        return formatList({ id, name, position, is_default: isDefault, created_at: now, updated_at: now, item_count: 0 });
+    }
+
+    /**
+     * Rename a watchlist
+     */
+    static async rename(userId, watchlistId, name) {
+        await db.query(
+            'UPDATE watchlists SET name = ?, updated_at = ? WHERE id = ? AND user_id = ?',
+            [name, new Date().toISOString(), watchlistId, userId]
+        );
+        return this.findById(userId, watchlistId);
+    }
+
+    /**
+     * Delete a watchlist and its items
+     */
+    static async delete(userId, watchlistId) {
+        await db.query('DELETE FROM user_watchlist WHERE watchlist_id = ? AND user_id = ?', [watchlistId, userId]);
+        await db.query('DELETE FROM watchlists WHERE id = ? AND user_id = ?', [watchlistId, userId]);
+    }
+
+    /**
+     * Set list positions to match the given ID order
+     */
+    static async reorderLists(userId, watchlistIds) {
+        for (let i = 0; i < watchlistIds.length; i++) {
+            await db.query(
+                'UPDATE watchlists SET position = ? WHERE id = ? AND user_id = ?',
+                [i, watchlistIds[i], userId]
+            );
+        }
+        return this.findAllByUserId(userId);
+    }
+
+    /**
+     * Create (or replace) the read-only share token for a list
+     */
+    static async share(userId, watchlistId) {
+        const token = crypto.randomBytes(24).toString('base64url');
+        const now = new Date().toISOString();
+
+        await db.query(
+            'UPDATE watchlists SET share_token = ?, shared_at = ?, updated_at = ? WHERE id = ? AND user_id = ?',
+            [token, now, now, watchlistId, userId]
+        );
+        return this.findById(userId, watchlistId);
+    }
+
+    /**
+     * Revoke a list's share token; old links stop working immediately
+     */
+    static async unshare(userId, watchlistId) {
+        await db.query(
+            'UPDATE watchlists SET share_token = NULL, shared_at = NULL, updated_at = ? WHERE id = ? AND user_id = ?',
+            [new Date().toISOString(), watchlistId, userId]
+        );
+        return this.findById(userId, watchlistId);
+    }
+
+    /**
+     * Look up a shared list by its token
+     */
+    static async findByShareToken(token) {
+        const row = await db.getOne('SELECT * FROM watchlists WHERE share_token = ?', [token]);
+        return row ? formatList(row) : null;
+    }
+
+    // ============================================
+    // ITEMS
+    // ============================================
+
+    /**
+     * Items in a watchlist in display order
+     */
+    static async findItems(watchlistId) {
+        const rows = await db.getAll(`
+            SELECT symbol, name, category, notes, position, added_at
+            FROM user_watchlist
+            WHERE watchlist_id = ?
+            ORDER BY position, added_at
+        `, [watchlistId]);
+        return rows.map(formatItem);
+    }
+
+    /**
+     * Count items in a watchlist
+     */
+    static async countItems(watchlistId) {
+        const row = await db.getOne('SELECT COUNT(*) AS count FROM user_watchlist WHERE watchlist_id = ?', [watchlistId]);
+        return Number(row.count);
+    }
+
+    /**
+     * Check whether a symbol is already in a watchlist
+     */
+    static async hasItem(watchlistId, symbol) {
+        const row = await db.getOne(
+            'SELECT id FROM user_watchlist WHERE watchlist_id = ? AND symbol = ?',
+            [watchlistId, symbol]
+        );
+        return !!row;
+    }
+
+    /**
+     * Append a market to the end of a watchlist
+     */
+    static async addItem(userId, watchlistId, market, notes = null) {
+        const id = crypto.randomUUID();
+        const now = new Date().toISOString();
+
+        const last = await db.getOne(
+            'SELECT MAX(position) AS position FROM user_watchlist WHERE watchlist_id = ?',
+            [watchlistId]
+        );
+        const position = last && last.position !== null ? Number(last.position) + 1 : 0;
+
+        await db.query(`
+            INSERT INTO user_watchlist (id, user_id, watchlist_id, symbol, name, category, notes, position, added_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `, [id, userId, watchlistId, market.symbol, market.name, market.category, notes, position, now]);
+
+        return formatItem({ ...market, notes, position, added_at: now });
+    }
+
+    /**
+     * Append several markets in one insert (all or none). entries: [{ market, notes }]
+     */
+    static async addItems(userId, watchlistId, entries) {
+        if (entries.length === 0) return [];
+        const now = new Date().toISOString();
+
+        const last = await db.getOne(
+            'SELECT MAX(position) AS position FROM user_watchlist WHERE watchlist_id = ?',
+            [watchlistId]
+        );
+        const start = last && last.position !== null ? Number(last.position) + 1 : 0;
+        const items = entries.map(({ market, notes = null }, index) => ({ market, notes, position: start + index }));
+
+        await db.query(`
+            INSERT INTO user_watchlist (id, user_id, watchlist_id, symbol, name, category, notes, position, added_at)
+            VALUES ${items.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}
+        `, items.flatMap(({ market, notes, position }) => [
+            crypto.randomUUID(), userId, watchlistId, market.symbol, market.name, market.category, notes, position, now
+        ]));
+
+        return items.map(({ market, notes, position }) => formatItem({ ...market, notes, position, added_at: now }));
+    }
+
+    /**
+     * Set the notes on an item. Returns null if the symbol isn't in the list.
+     */
+    static async updateItemNotes(watchlistId, symbol, notes) {
+        if (!await this.hasItem(watchlistId, symbol)) return null;
+
+        await db.query(
+            'UPDATE user_watchlist SET notes = ? WHERE watchlist_id = ? AND symbol = ?',
+            [notes, watchlistId, symbol]
+        );
+
+        const row = await db.getOne(
+            'SELECT symbol, name, category, notes, position, added_at FROM user_watchlist WHERE watchlist_id = ? AND symbol = ?',
+            [watchlistId, symbol]
+        );
+        return formatItem(row);
+    }
+
+    /**
+     * Remove a symbol. Returns false if it wasn't in the list.
+     */
+    static async removeItem(watchlistId, symbol) {
+        if (!await this.hasItem(watchlistId, symbol)) return false;
+
+        await db.query('DELETE FROM user_watchlist WHERE watchlist_id = ? AND symbol = ?', [watchlistId, symbol]);
+        return true;
+    }
+
+    /**
+     * Set item positions to match the given symbol order (symbols must already be in the list)
+     */
+    static async reorderItems(watchlistId, symbols) {
+        for (let i = 0; i < symbols.length; i++) {
+            await db.query(
+                'UPDATE user_watchlist SET position = ? WHERE watchlist_id = ? AND symbol = ?',
+                [i, watchlistId, symbols[i]]
+            );
+        }
+        return this.findItems(watchlistId);
+    }
+
+    /**
+     * Replace a list's items with the given markets, in order.
+     * Symbols that stay keep their added_at and notes.
+     */
+    static async replaceItems(userId, watchlistId, markets) {
+        const existing = await db.getAll('SELECT symbol FROM user_watchlist WHERE watchlist_id = ?', [watchlistId]);
+        const keep = new Set(markets.map(market => market.symbol));
+
+        for (const row of existing) {
+            if (!keep.has(row.symbol)) {
+                await db.query('DELETE FROM user_watchlist WHERE watchlist_id = ? AND symbol = ?', [watchlistId, row.symbol]);
+            }
+        }
+
+        const current = new Set(existing.map(row => row.symbol));
+        const now = new Date().toISOString();
+
+        for (let i = 0; i < markets.length; i++) {
+            const market = markets[i];
+            if (current.has(market.symbol)) {
+                await db.query(
+                    'UPDATE user_watchlist SET position = ? WHERE watchlist_id = ? AND symbol = ?',
+                    [i, watchlistId, market.symbol]
+                );
+            } else {
+                await db.query(`
+                    INSERT INTO user_watchlist (id, user_id, watchlist_id, symbol, name, category, position, added_at)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                `, [crypto.randomUUID(), userId, watchlistId, market.symbol, market.name, market.category, i, now]);
+            }
+        }
+
+        return this.findItems(watchlistId);
+    }
+}
+
+module.exports = Watchlist;
@@ -0,0 +1,311 @@
+/**
+ * Webhook Model
+ * COT Pulse Backend - PostgreSQL + SQLite compatible
+ *
+ * User-registered endpoints that receive signed event payloads (webhooks table),
+ * and the log of every delivery made to them (webhook_deliveries table).
+ * Signing secrets are stored encrypted, like 2FA secrets (utils/totp.js).
+ */
+
+const db = require('../db');
+const crypto = require('crypto');
+const { encryptSecret, decryptSecret } = require('../utils/totp');
+
+// Prefix that identifies webhook signing secrets
+const SECRET_PREFIX = 'whsec_';
+
+// Endpoints allowed per user
+const MAX_WEBHOOKS_PER_USER = 5;
+
+/**
+ * Generate a signing secret
+ */
+function generateSecret() {
+    return SECRET_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * A raw row with its signing secret decrypted, for signing deliveries
+ */
+function withSecret(row) {
+    return row ? { ...row, secret: decryptSecret(row.secret) } : null;
+}
+
+/**
+ * Shape a webhook row for API responses (never includes the secret)
+ */
+function formatWebhook(row) {
+    return {
+        id: row.id,
+        url: row.url,
+        description: row.description || null,
+        isActive: !!row.is_active,
+        failureCount: Number(row.failure_count || 0),
+        disabledAt: row.disabled_at || null,
+        disabledReason: row.disabled_reason || null,
+        lastDeliveryAt: row.last_delivery_at || null,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * Shape a delivery row for API responses
+ */
+function formatDelivery(row) {
+    return {
+        id: row.id,
+        webhookId: row.webhook_id,
+        eventId: row.event_id,
+        eventType: row.event_type,
+        payload: JSON.parse(row.payload),
+        status: row.status,
+        attempts: Number(row.attempts || 0),
+        responseStatus: row.response_status === null || row.response_status === undefined ? null : Number(row.response_status),
+        error: row.error || null,
+        nextAttemptAt: row.next_attempt_at || null,
+        deliveredAt: row.delivered_at || null,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+class Webhook {
+    /**
+     * Register an endpoint. Returns { webhook, secret } where secret is only shown once.
+     */
+    static async create(userId, { url, description }) {
+        const id = crypto.randomUUID();
+        const secret = generateSecret();
+        const now = new Date().toISOString();
+
+        await db.query(`
+            INSERT INTO webhooks (id, user_id, url, secret, description, is_active, failure_count, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, 1, 0, ?, ?)
+        `, [id, userId, url, encryptSecret(secret), description || null, now, now]);
+
+        return { webhook: await this.findById(userId, id), secret };
+    }
+
+    /**
+     * List a user's endpoints, oldest first
+     */
+    static async findByUserId(userId) {
+        const rows = await db.getAll(
+            'SELECT * FROM webhooks WHERE user_id = ? ORDER BY created_at',
+            [userId]
+        );
+        return rows.map(formatWebhook);
+    }
+
+    /**
+     * One of the user's endpoints (null if it doesn't exist or isn't theirs)
+     */
+    static async findById(userId, webhookId) {
+        const row = await db.getOne('SELECT * FROM webhooks WHERE id = ? AND user_id = ?', [webhookId, userId]);
+        return row ? formatWebhook(row) : null;
+    }
+
+    /**
+     * Raw row including the secret, for signing deliveries
+     */
+    static async findForDelivery(webhookId) {
+        return withSecret(await db.getOne('SELECT * FROM webhooks WHERE id = ?', [webhookId]));
+    }
+
+    /**
+     * Active endpoints of a user, including secrets, for signing deliveries
+     */
+    static async findActiveForDelivery(userId) {
+        const rows = await db.getAll(
+            'SELECT * FROM webhooks WHERE user_id = ? AND is_active = 1 ORDER BY created_at',
+            [userId]
+        );
+        return rows.map(withSecret);
+    }
+
+    /**
+     * Count a user's endpoints
+     */
+    static async countByUserId(userId) {
+        const row = await db.getOne('SELECT COUNT(*) AS count FROM webhooks WHERE user_id = ?', [userId]);
+        return Number(row.count);
+    }
+
+    /**
+     * Change an endpoint's URL and/or description
+     */
+    static async update(userId, webhookId, { url, description }) {
+        const current = await this.findById(userId, webhookId);
+        if (!current) return null;
+
+        await db.query(
+            'UPDATE webhooks SET url = ?, description = ?, updated_at = ? WHERE id = ? AND user_id = ?',
+            [url !== undefined ? url : current.url,
+             description !== undefined ? description || null : current.description,
+             new Date().toISOString(), webhookId, userId]
+        );
+        return this.findById(userId, webhookId);
+    }
+
+    /**
+     * Enable or disable an endpoint. Enabling clears the failure count.
+     */
+    static async setActive(userId, webhookId, isActive, reason = null) {
+        const now = new Date().toISOString();
+
+        if (isActive) {
+            await db.query(`
+                UPDATE webhooks
+                SET is_active = 1, failure_count = 0, disabled_at = NULL, disabled_reason = NULL, updated_at = ?
+                WHERE id = ? AND user_id = ?
+            `, [now, webhookId, userId]);
+        } else {
+            await db.query(`
+                UPDATE webhooks SET is_active = 0, disabled_at = ?, disabled_reason = ?, updated_at = ?
+                WHERE id = ? AND user_id = ?
+            `, [now, reason, now, webhookId, userId]);
+            await this.abandonPendingDeliveries(webhookId, 'Webhook disabled');
+        }
+
+        return this.findById(userId, webhookId);
+    }
+
+    /**
+     * Replace the signing secret. Returns the new secret (only shown once).
+     */
+    static async rotateSecret(userId, webhookId) {
+        const secret = generateSecret();
+        await db.query(
+            'UPDATE webhooks SET secret = ?, updated_at = ? WHERE id = ? AND user_id = ?',
+            [encryptSecret(secret), new Date().toISOString(), webhookId, userId]
+        );
+        return secret;
+    }
+
+    /**
+     * Delete an endpoint and its delivery log
+     */
+    static async delete(userId, webhookId) {
+        await db.query('DELETE FROM webhook_deliveries WHERE webhook_id = ? AND user_id = ?', [webhookId, userId]);
+        await db.query('DELETE FROM webhooks WHERE id = ? AND user_id = ?', [webhookId, userId]);
+    }
+
+    /**
+     * A delivery succeeded: clear the endpoint's consecutive failure count
+     */
+    static async recordSuccess(webhookId) {
+        const now = new Date().toISOString();
+        await db.query(
+            'UPDATE webhooks SET failure_count = 0, last_delivery_at = ? WHERE id = ?',
+            [now, webhookId]
+        );
+    }
+
+    /**
+     * A delivery ran out of retries. Returns the new consecutive failure count.
+     */
+    static async recordFailure(webhookId) {
+        await db.query(
+            'UPDATE webhooks SET failure_count = failure_count + 1, last_delivery_at = ? WHERE id = ?',
+            [new Date().toISOString(), webhookId]
+        );
+        const row = await db.getOne('SELECT failure_count FROM webhooks WHERE id = ?', [webhookId]);
+        return row ? Number(row.failure_count) : 0;
+    }
+
+    // ============================================
+    // DELIVERIES
+    // ============================================
+
+    /**
+     * Queue a delivery of an event to an endpoint (due immediately)
+     */
+    static async createDelivery(webhook, { eventId, eventType, payload }) {
+        const id = crypto.randomUUID();
+        const now = new Date().toISOString();
+
+        await db.query(`
+            INSERT INTO webhook_deliveries (id, webhook_id, user_id, event_id, event_type, payload, status,
+                                            attempts, next_attempt_at, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, 'pending', 0, ?, ?, ?)
+        `, [id, webhook.id, webhook.user_id, eventId, eventType, JSON.stringify(payload), now, now, now]);
+
+        return this.findDelivery(id);
+    }
+
+    /**
+     * Find a delivery by ID
+     */
+    static async findDelivery(deliveryId) {
+        const row = await db.getOne('SELECT * FROM webhook_deliveries WHERE id = ?', [deliveryId]);
+        return row ? formatDelivery(row) : null;
+    }
+
+    /**
+     * An endpoint's delivery log, newest first
+     */
+    static async findDeliveries(webhookId, { status, limit = 50, offset = 0 } = {}) {
+        const conditions = ['webhook_id = ?'];
+        const params = [webhookId];
+
+        if (status) {
+            conditions.push('status = ?');
+            params.push(status);
+        }
+
+        const where = conditions.join(' AND ');
+        const rows = await db.getAll(`
+            SELECT * FROM webhook_deliveries
+            WHERE ${where}
+            ORDER BY created_at DESC
+            LIMIT ? OFFSET ?
+        `, [...params, limit, offset]);
+        const countRow = await db.getOne(`SELECT COUNT(*) AS count FROM webhook_deliveries WHERE ${where}`, params);
+
+        return { deliveries: rows.map(formatDelivery), total: Number(countRow.count) };
+    }
+
+    /**
+     * Pending deliveries whose next attempt is due, oldest first
+     */
+    static async findDueDeliveries(limit = 50) {
+        const rows = await db.getAll(`
+            SELECT * FROM webhook_deliveries
+            WHERE status = 'pending' AND next_attempt_at <= ?
+            ORDER BY next_attempt_at
+            LIMIT ?
+        `, [new Date().toISOString(), limit]);
+        return rows.map(formatDelivery);
+    }
+
+    /**
+     * Record the outcome of an attempt.
+     * status: pending (retry at nextAttemptAt) | succeeded | failed
+     */
+    static async updateDelivery(deliveryId, { status, attempts, responseStatus, error, nextAttemptAt }) {
+        const now = new Date().toISOString();
+        await db.query(`
+            UPDATE webhook_deliveries
+            SET status = ?, attempts = ?, response_status = ?, error = ?, next_attempt_at = ?,
+                delivered_at = ?, updated_at = ?
+            WHERE id = ?
+        `, [status, attempts, responseStatus === undefined ? null : responseStatus, error || null,
+            nextAttemptAt || null, status === 'succeeded' ? now : null, now, deliveryId]);
+        return this.findDelivery(deliveryId);
+    }
+
+    /**
+     * Stop retrying an endpoint's pending deliveries
+     */
+    static async abandonPendingDeliveries(webhookId, reason) {
+        await db.query(`
+            UPDATE webhook_deliveries SET status = 'failed', error = ?, next_attempt_at = NULL, updated_at = ?
+            WHERE webhook_id = ? AND status = 'pending'
+        `, [reason, new Date().toISOString(), webhookId]);
+    }
+}
+
+Webhook.MAX_WEBHOOKS_PER_USER = MAX_WEBHOOKS_PER_USER;
+
+module.exports = Webhook;
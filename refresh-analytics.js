@@ -0,0 +1,42 @@
+/**
+ * Refresh Analytics Script
+ * Run with: node refresh-analytics.js [--type legacy|disaggregated|tff]
+ *
+ * Rebuilds the precomputed COT analytics (COT index, z-scores, weekly changes) for every
+ * market in the catalog. Ingestion already does this for the markets it loads; use this
+ * after adding markets to the catalog or changing the analytics math.
+ */
+
+require('dotenv').config();
+const { initDatabase, setupTables } = require('./db');
+const Market = require('./models/Market');
+const { refreshAnalytics } = require('./utils/cotIngest');
+const { REPORT_TYPES } = require('./utils/cotReports');
+
+async function refreshAllAnalytics() {
+    const args = process.argv.slice(2);
+    const typeIndex = args.indexOf('--type');
+    const reportType = typeIndex === -1 ? undefined : args[typeIndex + 1];
+
+    if (typeIndex !== -1 && !REPORT_TYPES.includes(reportType)) {
+        console.log(`Usage: node refresh-analytics.js [--type ${REPORT_TYPES.join('|')}]`);
+        process.exit(1);
+    }
+
+    await initDatabase();
+    await setupTables();
+
+    const cftcCodes = await Market.allCftcCodes();
+
+    for (const type of reportType ? [reportType] : REPORT_TYPES) {
+        const refreshed = await refreshAnalytics(type, cftcCodes);
+        console.log(`  ${type.padEnd(14)} ${refreshed} of ${cftcCodes.length} markets`);
+    }
+
+    process.exit(0);
+}
+
+refreshAllAnalytics().catch(err => {
+    console.error('Error:', err.message);
+    process.exit(1);
+});
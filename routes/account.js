@@ -0,0 +1,445 @@
+/**
+ * Account Management Routes
+ * COT Pulse Backend
+ *
+ * Authenticated changes to credentials (password, email),
+ * account deletion and personal data export.
+ * Wrong passwords here count toward the login lockout (see rejectLockedOut in routes/auth.js).
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const TwoFactor = require('../models/TwoFactor');
+const { authenticateToken, rejectImpersonation, rejectLockedOut, recordLoginFailure } = require('./auth');
+const { syncCustomerEmail, cancelCustomerSubscriptions } = require('./stripe');
+const {
+    sendEmailChangeConfirmation,
+    sendEmailChangeNotice,
+    sendPasswordChangedEmail,
+    sendAccountDeletedEmail
+} = require('../utils/email');
+const db = require('../db');
+
+const router = express.Router();
+
+// Email change confirmation link expiration (24 hours)
+const EMAIL_CHANGE_EXPIRATION_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * POST /api/auth/change-password
+ * Change password (requires the current password). Signs out other devices.
+ */
+router.post('/change-password', authenticateToken, rejectImpersonation, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        if (!currentPassword || !newPassword) {
+            return res.status(400).json({
+                success: false,
+                error: 'Current password and new password are required'
+            });
+        }
+
+        if (newPassword.length < 8) {
+            return res.status(400).json({
+                success: false,
+                error: 'Password must be at least 8 characters'
+            });
+        }
+
+        const user = await User.findById(req.userId);
+        if (rejectLockedOut(user, res)) return;
+
+        if (!await User.checkPassword(req.userId, currentPassword)) {
+            await recordLoginFailure(user);
+            return res.status(401).json({
+                success: false,
+                error: 'Current password is incorrect'
+            });
+        }
+
+        if (currentPassword === newPassword) {
+            return res.status(400).json({
+                success: false,
+                error: 'New password must be different from the current password'
+            });
+        }
+
+        await User.updatePassword(req.userId, newPassword);
+        await Session.revokeAllForUser(req.userId, { exceptSessionId: req.sessionId });
+        console.log(`[Account] Password changed for user: ${req.userId}`);
+
+        sendPasswordChangedEmail(user.email, user.name).catch(err => {
+            console.error('[Account] Failed to send password changed email:', err);
+        });
+
+        res.json({
+            success: true,
+            message: 'Password changed. Other devices have been signed out.'
+        });
+
+    } catch (error) {
+        console.error('[Account] Change password error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to change password'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/change-email
+ * Start an email change. The new address must be confirmed before it takes effect.
+ */
+router.post('/change-email', authenticateToken, rejectImpersonation, async (req, res) => {
+    try {
+        const { password, newEmail } = req.body;
+
+        if (!password || !newEmail) {
+            return res.status(400).json({
+                success: false,
+                error: 'Password and new email are required'
+            });
+        }
+
+        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        if (!emailRegex.test(newEmail)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Please enter a valid email address'
+            });
+        }
+
+        const user = await User.findById(req.userId);
+        if (rejectLockedOut(user, res)) return;
+
+        if (!await User.checkPassword(req.userId, password)) {
+            await recordLoginFailure(user);
+            return res.status(401).json({
+                success: false,
+                error: 'Password is incorrect'
+            });
+        }
+
+        const normalizedEmail = newEmail.toLowerCase().trim();
+
+        if (normalizedEmail === user.email) {
+            return res.status(400).json({
+                success: false,
+                error: 'That is already your email address'
+            });
+        }
+
+        if (await User.findByEmail(normalizedEmail)) {
+            return res.status(409).json({
+                success: false,
+                error: 'An account with this email already exists'
+            });
+        }
+
+        const confirmToken = crypto.randomBytes(32).toString('hex');
+        const tokenHash = crypto.createHash('sha256').update(confirmToken).digest('hex');
+        const now = new Date().toISOString();
+        const expiresAt = new Date(Date.now() + EMAIL_CHANGE_EXPIRATION_MS).toISOString();
+
+        await db.query(
+            `INSERT INTO email_change_requests (user_id, new_email, token_hash, session_id, expires_at, created_at)
+             VALUES (?, ?, ?, ?, ?, ?)
+             ON CONFLICT (user_id) DO UPDATE SET new_email = ?, token_hash = ?, session_id = ?, expires_at = ?, created_at = ?`,
+            [user.id, normalizedEmail, tokenHash, req.sessionId, expiresAt, now,
+                normalizedEmail, tokenHash, req.sessionId, expiresAt, now]
+        );
+
+        const emailResult = await sendEmailChangeConfirmation(normalizedEmail, confirmToken, user.name);
+        if (!emailResult.success) {
+            console.error('[Account] Failed to send email change confirmation:', emailResult.error);
+        }
+
+        sendEmailChangeNotice(user.email, normalizedEmail, user.name).catch(err => {
+            console.error('[Account] Failed to send email change notice:', err);
+        });
+
+        console.log(`[Account] Email change requested for user: ${user.id}`);
+
+        res.json({
+            success: true,
+            message: `We've sent a confirmation link to ${normalizedEmail}. Your email will change once you confirm it.`
+        });
+
+    } catch (error) {
+        console.error('[Account] Change email error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to start email change'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/confirm-email-change
+ * Complete an email change with the token sent to the new address
+ */
+router.post('/confirm-email-change', async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        if (!token) {
+            return res.status(400).json({
+                success: false,
+                error: 'Confirmation token is required'
+            });
+        }
+
+        const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+
+        const request = await db.getOne(
+            `SELECT user_id, new_email, session_id, expires_at FROM email_change_requests
+             WHERE token_hash = ?`,
+            [tokenHash]
+        );
+
+        if (!request || new Date(request.expires_at) < new Date()) {
+            if (request) {
+                await db.query('DELETE FROM email_change_requests WHERE user_id = ?', [request.user_id]);
+            }
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid or expired confirmation link'
+            });
+        }
+
+        // The address may have been claimed since the request was made
+        const existing = await User.findByEmail(request.new_email);
+        if (existing && existing.id !== request.user_id) {
+            await db.query('DELETE FROM email_change_requests WHERE user_id = ?', [request.user_id]);
+            return res.status(409).json({
+                success: false,
+                error: 'An account with this email already exists'
+            });
+        }
+
+        await User.updateProfile(request.user_id, { email: request.new_email });
+        const user = await User.markEmailVerified(request.user_id);
+        await db.query('DELETE FROM email_change_requests WHERE user_id = ?', [request.user_id]);
+        await Session.revokeAllForUser(request.user_id, { exceptSessionId: request.session_id });
+        console.log(`[Account] Email changed for user: ${request.user_id}`);
+
+        // Keep billing receipts going to the right place (non-blocking)
+        syncCustomerEmail(user).catch(err => {
+            console.error('[Account] Failed to sync Stripe customer email:', err);
+        });
+
+        res.json({
+            success: true,
+            message: 'Your email address has been updated.',
+            email: user.email
+        });
+
+    } catch (error) {
+        console.error('[Account] Confirm email change error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to confirm email change'
+        });
+    }
+});
+
+/**
+ * DELETE /api/auth/me
+ * Permanently delete the account. Requires the password (and a 2FA code when enabled).
+ */
+router.delete('/me', authenticateToken, rejectImpersonation, async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body || {};
+        const user = await User.findById(req.userId);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        if (rejectLockedOut(user, res)) return;
+
+        if (!await User.checkPassword(user.id, password)) {
+            await recordLoginFailure(user);
+            return res.status(401).json({
+                success: false,
+                error: 'Password is incorrect'
+            });
+        }
+
+        if (user.two_factor_enabled && !await TwoFactor.verify(user.id, { code, recoveryCode })) {
+            await recordLoginFailure(user);
+            return res.status(401).json({
+                success: false,
+                twoFactorRequired: true,
+                error: 'A valid two-factor code is required'
+            });
+        }
+
+        // Stop billing before removing the account; abort if Stripe can't be reached
+        try {
+            await cancelCustomerSubscriptions(user);
+        } catch (error) {
+            console.error('[Account] Failed to cancel Stripe subscription:', error);
+            return res.status(502).json({
+                success: false,
+                error: 'We could not cancel your subscription. Please try again or contact support.'
+            });
+        }
+
+        await User.delete(user.id);
+        console.log(`[Account] Account deleted: ${user.id}`);
+
+        sendAccountDeletedEmail(user.email, user.name).catch(err => {
+            console.error('[Account] Failed to send account deleted email:', err);
+        });
+
+        res.json({
+            success: true,
+            message: 'Your account has been deleted.'
+        });
+
+    } catch (error) {
+        console.error('[Account] Delete account error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete account'
+        });
+    }
+});
+
+/**
+ * GET /api/auth/me/export
+ * Download everything we hold about the user as a JSON archive
+ */
+router.get('/me/export', authenticateToken, async (req, res) => {
+    try {
+        const user = await User.findById(req.userId);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        const [sessions, watchlists, watchlist, alerts, alertTriggers, webhooks, phoneVerifications, apiKeys, emailChangeRequests, webhookDeliveries] = await Promise.all([
+            db.getAll(
+                `SELECT id, device_info, ip_address, created_at, last_used_at, expires_at, revoked_at
+                 FROM sessions WHERE user_id = ? ORDER BY created_at`,
+                [user.id]
+            ),
+            db.getAll(
+                `SELECT id, name, position, is_default, share_token IS NOT NULL AS shared, created_at, updated_at
+                 FROM watchlists WHERE user_id = ? ORDER BY position, created_at`,
+                [user.id]
+            ),
+            db.getAll(
+                `SELECT watchlist_id, symbol, name, category, notes, position, added_at
+                 FROM user_watchlist WHERE user_id = ? ORDER BY watchlist_id, position, added_at`,
+                [user.id]
+            ),
+            db.getAll(
+                `SELECT id, symbol, alert_type, report_type, trader_group, threshold_value, threshold_direction,
+                        lookback_weeks, is_active, last_triggered, created_at, updated_at
+                 FROM user_alerts WHERE user_id = ? ORDER BY created_at`,
+                [user.id]
+            ),
+            db.getAll(
+                `SELECT alert_id, symbol, alert_type, report_type, report_date, trader_group, value, previous_value,
+                        threshold_value, threshold_direction, details, email_status, emailed_at, created_at
+                 FROM alert_triggers WHERE user_id = ? ORDER BY created_at`,
+                [user.id]
+            ),
+            db.getAll(
+                `SELECT id, url, description, is_active, failure_count, disabled_at, disabled_reason,
+                        last_delivery_at, created_at, updated_at
+                 FROM webhooks WHERE user_id = ? ORDER BY created_at`,
+                [user.id]
+            ),
+            db.getAll(
+                `SELECT phone, verified, attempts, created_at
+                 FROM phone_verification_attempts WHERE user_id = ? ORDER BY created_at`,
+                [user.id]
+            ),
+            db.getAll(
+                `SELECT id, name, key_prefix, scopes, rate_limit_per_hour, last_used_at, revoked_at, created_at
+                 FROM api_keys WHERE user_id = ? ORDER BY created_at`,
+                [user.id]
+            ),
+            db.getAll(
+                `SELECT new_email, expires_at, created_at
+                 FROM email_change_requests WHERE user_id = ? ORDER BY created_at`,
+                [user.id]
+            ),
+            db.getAll(
+                `SELECT id, webhook_id, event_id, event_type, payload, status, attempts, response_status, error,
+                        delivered_at, created_at
+                 FROM webhook_deliveries WHERE user_id = ? ORDER BY created_at`,
+                [user.id]
+            )
+        ]);
+
+        const archive = {
+            exportedAt: new Date().toISOString(),
+            profile: {
+                id: user.id,
+                email: user.email,
+                emailVerified: !!user.email_verified,
+                name: user.name,
+                phone: user.phone,
+                phoneVerified: !!user.phone_verified,
+                timezone: user.timezone,
+                preferredReportType: user.preferred_report_type,
+                defaultChartRange: user.default_chart_range,
+                notificationPreferences: User.getNotificationPreferences(user),
+                createdAt: user.created_at,
+                lastLogin: user.last_login
+            },
+            subscription: {
+                tier: user.subscription_tier,
+                status: user.subscription_status,
+                stripeCustomerId: user.stripe_customer_id
+            },
+            security: {
+                twoFactorEnabled: !!user.two_factor_enabled,
+                recoveryCodesRemaining: user.two_factor_enabled
+                    ? await TwoFactor.remainingRecoveryCodes(user.id)
+                    : 0,
+                failedLoginAttempts: Number(user.failed_login_attempts || 0),
+                lastFailedLogin: user.last_failed_login,
+                lockedUntil: user.locked_until
+            },
+            sessions,
+            apiKeys,
+            phoneVerifications,
+            emailChangeRequests,
+            watchlists,
+            watchlist,
+            alerts,
+            alertTriggers,
+            webhooks,
+            webhookDeliveries
+        };
+
+        console.log(`[Account] Data export generated for user: ${user.id}`);
+
+        const filename = `cotpulse-export-${new Date().toISOString().slice(0, 10)}.json`;
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        res.json(archive);
+
+    } catch (error) {
+        console.error('[Account] Data export error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to export account data'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,524 @@
+/**
+ * Admin Routes
+ * COT Pulse Backend
+ *
+ * Staff-only endpoints. Every route requires a session and a staff role;
+ * every change is written to the audit log.
+ */
+
+const express = require('express');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const AuditLog = require('../models/AuditLog');
+const { authenticateToken, requireRole, issueImpersonationToken } = require('./auth');
+const { startPasswordReset } = require('../utils/passwordReset');
+const { clientIp } = require('../utils/rateLimit');
+
+const router = express.Router();
+
+// Tiers that can be granted by hand, and the status that marks a comped account
+const GRANTABLE_TIERS = ['free', 'pro'];
+const COMPED_STATUS = 'comped';
+
+// Page size for the user list
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Shape a user row for staff views
+ */
+function formatUser(user) {
+    return {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        emailVerified: !!user.email_verified,
+        role: user.role || 'user',
+        subscriptionTier: user.subscription_tier,
+        subscriptionStatus: user.subscription_status,
+        disabled: !!user.disabled_at,
+        disabledAt: user.disabled_at,
+        createdAt: user.created_at,
+        lastLogin: user.last_login
+    };
+}
+
+/**
+ * Load the :id user or send a 404. Returns null if a response was sent.
+ */
+async function loadTargetUser(req, res) {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+        res.status(404).json({
+            success: false,
+            error: 'User not found'
+        });
+        return null;
+    }
+    return user;
+}
+
+/**
+ * GET /api/admin/users
+ * Search and page through users.
+ * Query: search, tier, status, role, sort (created_at|last_login|email|name), order (asc|desc), page, limit
+ */
+router.get('/users', authenticateToken, requireRole('support', 'admin'), async (req, res) => {
+    try {
+        const { search, tier, status, role, sort, order } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+        if (sort && !User.SEARCH_SORT_COLUMNS.includes(sort)) {
+            return res.status(400).json({
+                success: false,
+                error: `Sort must be one of: ${User.SEARCH_SORT_COLUMNS.join(', ')}`
+            });
+        }
+
+        if (role && !User.ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                error: `Role must be one of: ${User.ROLES.join(', ')}`
+            });
+        }
+
+        const { users, total } = await User.search({
+            search: typeof search === 'string' ? search.trim() : undefined,
+            tier,
+            status,
+            role,
+            sort,
+            order,
+            limit,
+            offset: (page - 1) * limit
+        });
+
+        res.json({
+            success: true,
+            users: users.map(formatUser),
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('[Admin] List users error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list users'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/users/:id
+ * Full detail for one user, with sessions, API keys and recent audit entries
+ */
+router.get('/users/:id', authenticateToken, requireRole('support', 'admin'), async (req, res) => {
+    try {
+        const user = await loadTargetUser(req, res);
+        if (!user) return;
+
+        const [sessions, apiKeys, auditLog] = await Promise.all([
+            Session.findActiveByUserId(user.id),
+            ApiKey.findActiveByUserId(user.id),
+            AuditLog.find({ targetUserId: user.id, limit: 20 })
+        ]);
+
+        res.json({
+            success: true,
+            user: {
+                ...formatUser(user),
+                phone: user.phone,
+                phoneVerified: !!user.phone_verified,
+                stripeCustomerId: user.stripe_customer_id,
+                twoFactorEnabled: !!user.two_factor_enabled,
+                failedLoginAttempts: Number(user.failed_login_attempts || 0),
+                lockedUntil: user.locked_until,
+                disabledReason: user.disabled_reason,
+                passwordResetRequired: !!user.password_reset_required,
+                timezone: user.timezone
+            },
+            sessions: sessions.map(session => ({
+                id: session.id,
+                deviceInfo: session.device_info,
+                ipAddress: session.ip_address,
+                createdAt: session.created_at,
+                lastUsedAt: session.last_used_at
+            })),
+            apiKeys,
+            auditLog
+        });
+
+    } catch (error) {
+        console.error('[Admin] User detail error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load user'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/users/:id/tier
+ * Grant or remove a complimentary tier. Body: { tier: 'free' | 'pro', reason }
+ * Paid Stripe subscriptions are managed through Stripe, not here.
+ */
+router.post('/users/:id/tier', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const { tier, reason } = req.body;
+
+        if (!GRANTABLE_TIERS.includes(tier)) {
+            return res.status(400).json({
+                success: false,
+                error: `Tier must be one of: ${GRANTABLE_TIERS.join(', ')}`
+            });
+        }
+
+        const user = await loadTargetUser(req, res);
+        if (!user) return;
+
+        const isComped = user.subscription_status === COMPED_STATUS;
+        if (user.subscription_tier === 'pro' && !isComped) {
+            return res.status(409).json({
+                success: false,
+                error: 'This user has a paid subscription. Manage it in Stripe instead.'
+            });
+        }
+
+        if (tier === user.subscription_tier) {
+            return res.json({
+                success: true,
+                message: 'Tier unchanged',
+                user: formatUser(user)
+            });
+        }
+
+        const status = tier === 'pro' ? COMPED_STATUS : 'active';
+        await User.updateSubscription(user.id, tier, status);
+        await AuditLog.record({
+            actorUserId: req.userId,
+            action: 'user.tier_granted',
+            targetUserId: user.id,
+            details: {
+                from: { tier: user.subscription_tier, status: user.subscription_status },
+                to: { tier, status },
+                reason: reason || null
+            },
+            ipAddress: clientIp(req)
+        });
+
+        res.json({
+            success: true,
+            message: tier === 'pro' ? 'Complimentary Pro granted' : 'Complimentary Pro removed',
+            user: formatUser(await User.findById(user.id))
+        });
+
+    } catch (error) {
+        console.error('[Admin] Grant tier error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to change tier'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/users/:id/force-password-reset
+ * Block password login, sign the user out everywhere, revoke their API keys and email a
+ * reset link. Staff can't reset the password of someone with a higher role.
+ */
+router.post('/users/:id/force-password-reset', authenticateToken, requireRole('support', 'admin'), async (req, res) => {
+    try {
+        const user = await loadTargetUser(req, res);
+        if (!user) return;
+
+        if (User.ROLES.indexOf(user.role || 'user') > User.ROLES.indexOf(req.userRole)) {
+            return res.status(403).json({
+                success: false,
+                error: 'You cannot reset the password of this user'
+            });
+        }
+
+        await User.requirePasswordReset(user.id);
+        await Session.revokeAllForUser(user.id);
+        const revokedApiKeys = await ApiKey.revokeAllForUser(user.id);
+        await AuditLog.record({
+            actorUserId: req.userId,
+            action: 'user.password_reset_forced',
+            targetUserId: user.id,
+            details: { reason: req.body.reason || null, revokedApiKeys },
+            ipAddress: clientIp(req)
+        });
+
+        const emailResult = await startPasswordReset(user);
+        if (!emailResult.success) {
+            console.error('[Admin] Failed to send forced reset email:', emailResult.error);
+        }
+
+        res.json({
+            success: true,
+            message: 'Password reset required. The user has been signed out, their API keys revoked and a reset link emailed.',
+            emailSent: !!emailResult.success,
+            revokedApiKeys
+        });
+
+    } catch (error) {
+        console.error('[Admin] Force password reset error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to force password reset'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/users/:id/disable
+ * Disable an account and end its sessions. Body: { reason }
+ */
+router.post('/users/:id/disable', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const user = await loadTargetUser(req, res);
+        if (!user) return;
+
+        if (user.id === req.userId) {
+            return res.status(400).json({
+                success: false,
+                error: 'You cannot disable your own account'
+            });
+        }
+
+        if (user.disabled_at) {
+            return res.status(409).json({
+                success: false,
+                error: 'Account is already disabled'
+            });
+        }
+
+        const reason = typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, 500) : null;
+        const updated = await User.setDisabled(user.id, true, reason || null);
+        await Session.revokeAllForUser(user.id);
+        await AuditLog.record({
+            actorUserId: req.userId,
+            action: 'user.disabled',
+            targetUserId: user.id,
+            details: { reason: reason || null },
+            ipAddress: clientIp(req)
+        });
+
+        res.json({
+            success: true,
+            message: 'Account disabled',
+            user: formatUser(updated)
+        });
+
+    } catch (error) {
+        console.error('[Admin] Disable user error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to disable account'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/users/:id/enable
+ * Re-enable a disabled account
+ */
+router.post('/users/:id/enable', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const user = await loadTargetUser(req, res);
+        if (!user) return;
+
+        if (!user.disabled_at) {
+            return res.status(409).json({
+                success: false,
+                error: 'Account is not disabled'
+            });
+        }
+
+        const updated = await User.setDisabled(user.id, false);
+        await AuditLog.record({
+            actorUserId: req.userId,
+            action: 'user.enabled',
+            targetUserId: user.id,
+            details: { previousReason: user.disabled_reason },
+            ipAddress: clientIp(req)
+        });
+
+        res.json({
+            success: true,
+            message: 'Account enabled',
+            user: formatUser(updated)
+        });
+
+    } catch (error) {
+        console.error('[Admin] Enable user error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to enable account'
+        });
+    }
+});
+
+/**
+ * POST /api/admin/users/:id/impersonate
+ * Issue a short-lived, non-refreshable token to act as the user. Body: { reason }
+ * Support staff can only impersonate regular users; nobody can impersonate an admin.
+ */
+router.post('/users/:id/impersonate', authenticateToken, requireRole('support', 'admin'), async (req, res) => {
+    try {
+        const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+        if (!reason) {
+            return res.status(400).json({
+                success: false,
+                error: 'A reason is required to impersonate a user'
+            });
+        }
+
+        const user = await loadTargetUser(req, res);
+        if (!user) return;
+
+        const targetRole = user.role || 'user';
+        if (user.id === req.userId || targetRole === 'admin' || (targetRole !== 'user' && req.userRole !== 'admin')) {
+            return res.status(403).json({
+                success: false,
+                error: 'You cannot impersonate this user'
+            });
+        }
+
+        if (user.disabled_at) {
+            return res.status(409).json({
+                success: false,
+                error: 'Account is disabled'
+            });
+        }
+
+        const staffUser = await User.findById(req.userId);
+        const { token, sessionId, expiresIn } = await issueImpersonationToken(user, staffUser, req);
+        await AuditLog.record({
+            actorUserId: staffUser.id,
+            action: 'user.impersonated',
+            targetUserId: user.id,
+            details: { reason: reason.slice(0, 500), sessionId },
+            ipAddress: clientIp(req)
+        });
+
+        res.json({
+            success: true,
+            impersonation: true,
+            token,
+            expiresIn,
+            user: formatUser(user)
+        });
+
+    } catch (error) {
+        console.error('[Admin] Impersonate error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to impersonate user'
+        });
+    }
+});
+
+/**
+ * PATCH /api/admin/users/:id/role
+ * Change a user's role (admin only)
+ */
+router.patch('/users/:id/role', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const { role } = req.body;
+
+        if (!User.ROLES.includes(role)) {
+            return res.status(400).json({
+                success: false,
+                error: `Role must be one of: ${User.ROLES.join(', ')}`
+            });
+        }
+
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        // Keeps at least one admin around; use the CLI to hand over the role
+        if (user.id === req.userId && role !== 'admin') {
+            return res.status(400).json({
+                success: false,
+                error: 'You cannot remove your own admin role'
+            });
+        }
+
+        const previousRole = user.role || 'user';
+        if (previousRole === role) {
+            return res.json({
+                success: true,
+                message: 'Role unchanged',
+                user: { id: user.id, email: user.email, role }
+            });
+        }
+
+        await User.updateRole(user.id, role);
+        await AuditLog.record({
+            actorUserId: req.userId,
+            action: 'user.role_changed',
+            targetUserId: user.id,
+            details: { from: previousRole, to: role },
+            ipAddress: clientIp(req)
+        });
+
+        res.json({
+            success: true,
+            message: `Role changed to ${role}`,
+            user: { id: user.id, email: user.email, role }
+        });
+
+    } catch (error) {
+        console.error('[Admin] Change role error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to change role'
+        });
+    }
+});
+
+/**
+ * GET /api/admin/audit-log
+ * Recent privileged actions, optionally for one user (?userId=)
+ */
+router.get('/audit-log', authenticateToken, requireRole('admin'), async (req, res) => {
+    try {
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+        const entries = await AuditLog.find({
+            targetUserId: req.query.userId || undefined,
+            limit,
+            offset
+        });
+
+        res.json({
+            success: true,
+            entries,
+            limit,
+            offset
+        });
+
+    } catch (error) {
+        console.error('[Admin] Audit log error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load audit log'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,350 @@
+/**
+ * Alert Rule Routes
+ * COT Pulse Backend
+ *
+ * Create and manage alert rules. The number of active rules is capped by the user's plan;
+ * paused rules don't count, so a downgraded user keeps their rules but can't resume them all.
+ * Until they pause some, only their oldest rules up to the limit are evaluated (utils/alertEngine.js).
+ */
+
+const express = require('express');
+const User = require('../models/User');
+const Alert = require('../models/Alert');
+const AlertTrigger = require('../models/AlertTrigger');
+const Market = require('../models/Market');
+const { authenticateTokenOrApiKey } = require('./auth');
+const { getLimit } = require('../utils/entitlements');
+const { normalizeSymbol } = require('../utils/marketCatalog');
+const { TRADER_GROUPS, LOOKBACK_WEEKS, DEFAULT_LOOKBACK_WEEKS } = require('../utils/cotReports');
+
+const router = express.Router();
+
+/**
+ * Check the plan's active alert limit. Returns the limit if it has been reached, otherwise null.
+ */
+async function activeLimitReached(userId) {
+    const user = await User.findById(userId);
+    const limit = getLimit(user, 'alerts');
+    if (limit !== null && await Alert.countActive(userId) >= limit) return limit;
+    return null;
+}
+
+/**
+ * Send the 403 for a full set of active alerts
+ */
+function sendLimitReached(res, limit) {
+    return res.status(403).json({
+        success: false,
+        error: `Your plan allows up to ${limit} active alerts. Upgrade to Pro for more, or pause another alert.`,
+        code: 'LIMIT_REACHED',
+        limit
+    });
+}
+
+/**
+ * Load the :id rule or send a 404. Returns null if a response was sent.
+ */
+async function loadAlert(req, res) {
+    const alert = await Alert.findById(req.userId, req.params.id);
+    if (!alert) {
+        res.status(404).json({
+            success: false,
+            error: 'Alert not found'
+        });
+        return null;
+    }
+    return alert;
+}
+
+/**
+ * GET /api/alerts/types
+ * Supported alert types, trader groups and lookbacks (for building the rule editor)
+ */
+router.get('/types', (req, res) => {
+    res.json({
+        success: true,
+        alertTypes: Alert.ALERT_TYPES,
+        traderGroups: TRADER_GROUPS,
+        lookbackWeeks: LOOKBACK_WEEKS,
+        defaultLookbackWeeks: DEFAULT_LOOKBACK_WEEKS
+    });
+});
+
+/**
+ * GET /api/alerts
+ * List the user's rules. Query: symbol, active (true|false)
+ */
+router.get('/', authenticateTokenOrApiKey('alerts:read'), async (req, res) => {
+    try {
+        const { symbol, active } = req.query;
+        const user = await User.findById(req.userId);
+
+        const alerts = await Alert.findByUserId(req.userId, {
+            symbol: symbol ? normalizeSymbol(symbol) : undefined,
+            isActive: active === undefined ? undefined : active === 'true'
+        });
+
+        res.json({
+            success: true,
+            alerts,
+            activeCount: await Alert.countActive(req.userId),
+            limit: getLimit(user, 'alerts')
+        });
+
+    } catch (error) {
+        console.error('[Alerts] List error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load alerts'
+        });
+    }
+});
+
+/**
+ * POST /api/alerts
+ * Create a rule.
+ * Body: { symbol, alertType, reportType, traderGroup, thresholdValue, thresholdDirection, lookbackWeeks }
+ */
+router.post('/', authenticateTokenOrApiKey('alerts:write'), async (req, res) => {
+    try {
+        const market = await Market.findBySymbol(req.body.symbol);
+        if (!market) {
+            return res.status(400).json({
+                success: false,
+                error: 'Unknown market symbol'
+            });
+        }
+
+        const { rule, error } = Alert.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+
+        const limit = await activeLimitReached(req.userId);
+        if (limit !== null) {
+            return sendLimitReached(res, limit);
+        }
+
+        const alert = await Alert.create(req.userId, market.symbol, rule);
+        console.log(`[Alerts] Alert ${alert.id} (${rule.alertType} on ${market.symbol}) created for user: ${req.userId}`);
+
+        res.status(201).json({
+            success: true,
+            alert
+        });
+
+    } catch (error) {
+        console.error('[Alerts] Create error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create alert'
+        });
+    }
+});
+
+/**
+ * GET /api/alerts/triggers
+ * Trigger history, newest first. Query: alertId, symbol, page, limit (max 100)
+ */
+router.get('/triggers', authenticateTokenOrApiKey('alerts:read'), async (req, res) => {
+    try {
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+        const { triggers, total } = await AlertTrigger.findByUserId(req.userId, {
+            alertId: req.query.alertId,
+            symbol: req.query.symbol ? normalizeSymbol(req.query.symbol) : undefined,
+            limit,
+            offset: (page - 1) * limit
+        });
+
+        res.json({
+            success: true,
+            triggers,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('[Alerts] Trigger history error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load alert history'
+        });
+    }
+});
+
+/**
+ * GET /api/alerts/:id
+ * One rule
+ */
+router.get('/:id', authenticateTokenOrApiKey('alerts:read'), async (req, res) => {
+    try {
+        const alert = await loadAlert(req, res);
+        if (!alert) return;
+
+        res.json({
+            success: true,
+            alert
+        });
+
+    } catch (error) {
+        console.error('[Alerts] Get error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load alert'
+        });
+    }
+});
+
+/**
+ * PATCH /api/alerts/:id
+ * Change any of the rule's settings; omitted fields keep their current values
+ */
+router.patch('/:id', authenticateTokenOrApiKey('alerts:write'), async (req, res) => {
+    try {
+        const alert = await loadAlert(req, res);
+        if (!alert) return;
+
+        const market = await Market.findBySymbol(req.body.symbol !== undefined ? req.body.symbol : alert.symbol);
+        if (!market) {
+            return res.status(400).json({
+                success: false,
+                error: 'Unknown market symbol'
+            });
+        }
+
+        // Fields tied to the old type don't carry over when the type changes
+        const typeChanged = req.body.alertType !== undefined && req.body.alertType !== alert.alertType;
+        const merged = {
+            alertType: alert.alertType,
+            reportType: alert.reportType,
+            traderGroup: alert.traderGroup || undefined,
+            thresholdValue: alert.thresholdValue,
+            thresholdDirection: typeChanged ? undefined : alert.thresholdDirection,
+            lookbackWeeks: typeChanged ? undefined : alert.lookbackWeeks
+        };
+        for (const field of Object.keys(merged)) {
+            if (req.body[field] !== undefined) merged[field] = req.body[field];
+        }
+
+        const { rule, error } = Alert.validate(merged);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+
+        const updated = await Alert.update(req.userId, alert.id, market.symbol, rule);
+
+        res.json({
+            success: true,
+            alert: updated
+        });
+
+    } catch (error) {
+        console.error('[Alerts] Update error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update alert'
+        });
+    }
+});
+
+/**
+ * POST /api/alerts/:id/pause
+ * Stop evaluating a rule
+ */
+router.post('/:id/pause', authenticateTokenOrApiKey('alerts:write'), async (req, res) => {
+    try {
+        const alert = await loadAlert(req, res);
+        if (!alert) return;
+
+        const updated = alert.isActive ? await Alert.setActive(req.userId, alert.id, false) : alert;
+
+        res.json({
+            success: true,
+            alert: updated
+        });
+
+    } catch (error) {
+        console.error('[Alerts] Pause error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to pause alert'
+        });
+    }
+});
+
+/**
+ * POST /api/alerts/:id/resume
+ * Start evaluating a paused rule again (counts against the plan's active limit)
+ */
+router.post('/:id/resume', authenticateTokenOrApiKey('alerts:write'), async (req, res) => {
+    try {
+        const alert = await loadAlert(req, res);
+        if (!alert) return;
+
+        if (alert.isActive) {
+            return res.json({
+                success: true,
+                alert
+            });
+        }
+
+        const limit = await activeLimitReached(req.userId);
+        if (limit !== null) {
+            return sendLimitReached(res, limit);
+        }
+
+        const updated = await Alert.setActive(req.userId, alert.id, true);
+
+        res.json({
+            success: true,
+            alert: updated
+        });
+
+    } catch (error) {
+        console.error('[Alerts] Resume error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to resume alert'
+        });
+    }
+});
+
+/**
+ * DELETE /api/alerts/:id
+ * Delete a rule
+ */
+router.delete('/:id', authenticateTokenOrApiKey('alerts:write'), async (req, res) => {
+    try {
+        const alert = await loadAlert(req, res);
+        if (!alert) return;
+
+        await Alert.delete(req.userId, alert.id);
+        console.log(`[Alerts] Alert ${alert.id} deleted for user: ${req.userId}`);
+
+        res.json({
+            success: true,
+            message: 'Alert deleted'
+        });
+
+    } catch (error) {
+        console.error('[Alerts] Delete error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete alert'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,142 @@
+/**
+ * API Key Routes
+ * COT Pulse Backend
+ *
+ * Managing keys always requires a logged-in session; keys can't manage keys.
+ */
+
+const express = require('express');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const { authenticateToken, rejectImpersonation } = require('./auth');
+const { hasFeature } = require('../utils/entitlements');
+
+const router = express.Router();
+
+/**
+ * GET /api/keys
+ * List the user's active API keys
+ */
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const apiKeys = await ApiKey.findActiveByUserId(req.userId);
+
+        res.json({
+            success: true,
+            apiKeys,
+            availableScopes: ApiKey.SCOPES
+        });
+
+    } catch (error) {
+        console.error('[API Keys] List error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list API keys'
+        });
+    }
+});
+
+/**
+ * POST /api/keys
+ * Create an API key. The full key is only returned in this response.
+ */
+router.post('/', authenticateToken, rejectImpersonation, async (req, res) => {
+    try {
+        const { name, scopes, rateLimitPerHour } = req.body;
+
+        const user = await User.findById(req.userId);
+        if (!user || !hasFeature(user, 'apiAccess')) {
+            return res.status(403).json({
+                success: false,
+                error: 'API keys are available on the Pro plan',
+                code: 'UPGRADE_REQUIRED'
+            });
+        }
+
+        if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+            return res.status(400).json({
+                success: false,
+                error: 'Key name must be between 1 and 100 characters'
+            });
+        }
+
+        if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => ApiKey.SCOPES.includes(scope))) {
+            return res.status(400).json({
+                success: false,
+                error: `Scopes must be a non-empty list of: ${ApiKey.SCOPES.join(', ')}`
+            });
+        }
+
+        let limit = ApiKey.DEFAULT_RATE_LIMIT_PER_HOUR;
+        if (rateLimitPerHour !== undefined) {
+            limit = Number(rateLimitPerHour);
+            if (!Number.isInteger(limit) || limit < 1 || limit > ApiKey.MAX_RATE_LIMIT_PER_HOUR) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Rate limit must be a whole number between 1 and ${ApiKey.MAX_RATE_LIMIT_PER_HOUR} requests per hour`
+                });
+            }
+        }
+
+        if (await ApiKey.countActiveByUserId(user.id) >= ApiKey.MAX_KEYS_PER_USER) {
+            return res.status(400).json({
+                success: false,
+                error: `You can have at most ${ApiKey.MAX_KEYS_PER_USER} active API keys`
+            });
+        }
+
+        const { apiKey, key } = await ApiKey.create(user.id, {
+            name: name.trim(),
+            scopes: [...new Set(scopes)],
+            rateLimitPerHour: limit
+        });
+        console.log(`[API Keys] Key ${apiKey.prefix} created for user: ${user.id}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Copy this key now. It will not be shown again.',
+            key,
+            apiKey
+        });
+
+    } catch (error) {
+        console.error('[API Keys] Create error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create API key'
+        });
+    }
+});
+
+/**
+ * DELETE /api/keys/:id
+ * Revoke an API key
+ */
+router.delete('/:id', authenticateToken, rejectImpersonation, async (req, res) => {
+    try {
+        const revoked = await ApiKey.revoke(req.userId, req.params.id);
+
+        if (!revoked) {
+            return res.status(404).json({
+                success: false,
+                error: 'API key not found'
+            });
+        }
+
+        console.log(`[API Keys] Key ${req.params.id} revoked by user: ${req.userId}`);
+
+        res.json({
+            success: true,
+            message: 'API key revoked'
+        });
+
+    } catch (error) {
+        console.error('[API Keys] Revoke error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to revoke API key'
+        });
+    }
+});
+
+module.exports = router;
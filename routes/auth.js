@@ -6,12 +6,39 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { sendWelcomeEmail } = require('../utils/email');
+const Session = require('../models/Session');
+const TwoFactor = require('../models/TwoFactor');
+const ApiKey = require('../models/ApiKey');
+const { sendWelcomeEmail, sendAccountLockedEmail } = require('../utils/email');
+const { startEmailVerification } = require('../utils/emailVerification');
+const { rateLimit, hit, sendTooManyRequests, clientIp } = require('../utils/rateLimit');
+const { getEntitlements, hasFeature, tierWithFeature } = require('../utils/entitlements');
 
 const router = express.Router();
 
 const JWT_SECRET = process.env.JWT_SECRET;
-const JWT_EXPIRATION = '7d';
+
+// Access tokens are short-lived; clients renew them with POST /api/auth/refresh
+const ACCESS_TOKEN_EXPIRATION = '15m';
+const ACCESS_TOKEN_EXPIRATION_SECONDS = 15 * 60;
+
+// Challenge tokens bridge the password step and the 2FA step of login
+const CHALLENGE_TOKEN_EXPIRATION = '5m';
+
+// Account lockout: failures before a temporary lock, and how long it lasts
+const MAX_FAILED_LOGINS = 10;
+const LOCKOUT_DURATION_MS = 15 * 60 * 1000;
+
+// Progressive delay: after this many failures each attempt must wait 1s, 2s, 4s, ...
+const PROGRESSIVE_DELAY_AFTER = 3;
+
+// Per-IP limit on login attempts (covers unknown emails and credential stuffing)
+const loginIpLimit = rateLimit({
+    name: 'login-ip',
+    windowMs: 15 * 60 * 1000,
+    max: 30,
+    message: 'Too many login attempts. Please try again later.'
+});
 
 // ============================================
 // MIDDLEWARE
@@ -19,6 +46,7 @@ const JWT_EXPIRATION = '7d';
 
 /**
  * JWT Authentication Middleware
+ * Also rejects tokens whose session has been revoked (logout, sign out everywhere)
  */
 function authenticateToken(req, res, next) {
     const authHeader = req.headers['authorization'];
@@ -31,7 +59,7 @@ function authenticateToken(req, res, next) {
         });
     }
 
-    jwt.verify(token, JWT_SECRET, (err, decoded) => {
+    jwt.verify(token, JWT_SECRET, async (err, decoded) => {
         if (err) {
             return res.status(403).json({
                 success: false,
@@ -39,12 +67,359 @@ function authenticateToken(req, res, next) {
             });
         }
 
+        try {
+            const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+            if (!Session.isActive(session)) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Session has ended. Please log in again.'
+                });
+            }
+        } catch (error) {
+            console.error('[Auth] Session lookup error:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to verify session'
+            });
+        }
+
         req.userId = decoded.userId;
         req.userEmail = decoded.email;
+        req.userRole = decoded.role || 'user';
+        req.sessionId = decoded.sid;
+        req.impersonatorId = decoded.impersonatorId || null;
+
+        // Make impersonated requests obvious to clients and in logs
+        if (req.impersonatorId) {
+            res.set('X-Impersonated-By', req.impersonatorId);
+            console.log(`[Auth] ${req.method} ${req.path} by ${req.impersonatorId} impersonating ${req.userId}`);
+        }
         next();
     });
 }
 
+/**
+ * Authentication middleware that also accepts personal API keys
+ * (X-API-Key header, or Authorization: Bearer cotp_...).
+ * Keys must carry the given scope and belong to a user with API access; JWT sessions have every scope.
+ */
+function authenticateTokenOrApiKey(scope) {
+    return async (req, res, next) => {
+        const authHeader = req.headers['authorization'];
+        const bearer = authHeader && authHeader.split(' ')[1];
+        const key = req.headers['x-api-key'] || (ApiKey.isApiKey(bearer) ? bearer : null);
+
+        if (!key) {
+            return authenticateToken(req, res, next);
+        }
+
+        try {
+            const apiKey = await ApiKey.findByKey(key);
+            if (!apiKey) {
+                return res.status(401).json({
+                    success: false,
+                    error: 'Invalid API key'
+                });
+            }
+
+            if (scope && !apiKey.scopes.includes(scope)) {
+                return res.status(403).json({
+                    success: false,
+                    error: `API key is missing the ${scope} scope`
+                });
+            }
+
+            const user = await User.findById(apiKey.userId);
+            if (user && user.disabled_at) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'This account has been disabled'
+                });
+            }
+
+            // Keys stop working with the password until the owner sets a new one
+            if (user && user.password_reset_required) {
+                return res.status(403).json({
+                    success: false,
+                    passwordResetRequired: true,
+                    error: 'A password reset is required on this account before its API keys can be used'
+                });
+            }
+
+            if (!user || !hasFeature(user, 'apiAccess')) {
+                return res.status(403).json({
+                    success: false,
+                    error: 'API access requires a Pro subscription',
+                    code: 'UPGRADE_REQUIRED'
+                });
+            }
+
+            // Each key carries its own hourly limit
+            const { count, resetAt } = await hit(`api-key:${apiKey.id}`, 60 * 60 * 1000);
+            res.set('X-RateLimit-Limit', String(apiKey.rateLimitPerHour));
+            res.set('X-RateLimit-Remaining', String(Math.max(0, apiKey.rateLimitPerHour - count)));
+            res.set('X-RateLimit-Reset', String(Math.ceil(resetAt / 1000)));
+
+            if (count > apiKey.rateLimitPerHour) {
+                return sendTooManyRequests(res, (resetAt - Date.now()) / 1000, 'API key rate limit exceeded');
+            }
+
+            await ApiKey.touch(apiKey);
+
+            req.userId = user.id;
+            req.userEmail = user.email;
+            req.userRole = user.role || 'user';
+            req.apiKey = apiKey;
+            next();
+
+        } catch (error) {
+            console.error('[Auth] API key authentication error:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to verify API key'
+            });
+        }
+    };
+}
+
+/**
+ * Impersonation Guard (use after authenticateToken)
+ *
+ * Staff impersonating a user can look around and reproduce problems, but must not change
+ * how the account signs in or create credentials that outlive the 15-minute impersonation:
+ * passwords, email, phone, 2FA, sessions, API keys, webhooks, billing and account deletion.
+ */
+function rejectImpersonation(req, res, next) {
+    if (req.impersonatorId) {
+        console.log(`[Auth] ${req.method} ${req.path} refused for ${req.impersonatorId} impersonating ${req.userId}`);
+        return res.status(403).json({
+            success: false,
+            error: 'Not available while impersonating a user',
+            code: 'IMPERSONATION_NOT_ALLOWED'
+        });
+    }
+    next();
+}
+
+/**
+ * Role Authorization Middleware (use after authenticateToken)
+ * Usage: requireRole('admin') or requireRole('support', 'admin')
+ *
+ * The role is re-read from the database rather than trusted from the token,
+ * so a demotion takes effect immediately instead of when the token expires.
+ * Staff endpoints are never available through an impersonation token.
+ */
+function requireRole(...roles) {
+    return async (req, res, next) => {
+        if (req.impersonatorId) {
+            return rejectImpersonation(req, res, next);
+        }
+
+        try {
+            const user = await User.findById(req.userId);
+            const role = (user && user.role) || 'user';
+
+            if (!roles.includes(role)) {
+                console.log(`[Auth] Role ${role} denied for ${req.method} ${req.path} (user ${req.userId})`);
+                return res.status(403).json({
+                    success: false,
+                    error: 'You do not have permission to access this resource'
+                });
+            }
+
+            req.userRole = role;
+            next();
+
+        } catch (error) {
+            console.error('[Auth] Role check error:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to verify permissions'
+            });
+        }
+    };
+}
+
+/**
+ * Entitlement Middleware (use after authenticateToken)
+ * Usage: requireEntitlement('export')
+ *
+ * Leaves the user's entitlements on req.entitlements for limit checks in the route.
+ */
+function requireEntitlement(feature) {
+    return async (req, res, next) => {
+        try {
+            const user = await User.findById(req.userId);
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'User not found'
+                });
+            }
+
+            if (!hasFeature(user, feature)) {
+                const requiredTier = tierWithFeature(feature);
+                return res.status(403).json({
+                    success: false,
+                    error: requiredTier
+                        ? `This feature requires a ${requiredTier.charAt(0).toUpperCase() + requiredTier.slice(1)} subscription`
+                        : 'This feature is not available on your plan',
+                    code: 'UPGRADE_REQUIRED',
+                    feature,
+                    requiredTier
+                });
+            }
+
+            req.entitlements = getEntitlements(user);
+            next();
+
+        } catch (error) {
+            console.error('[Auth] Entitlement check error:', error);
+            return res.status(500).json({
+                success: false,
+                error: 'Failed to verify subscription'
+            });
+        }
+    };
+}
+
+// ============================================
+// TOKEN HELPERS
+// ============================================
+
+/**
+ * Sign a short-lived access token bound to a session.
+ * Impersonation tokens also carry the staff member's ID.
+ */
+function signAccessToken(user, sessionId, { impersonatorId } = {}) {
+    const payload = {
+        userId: user.id,
+        email: user.email,
+        role: user.role || 'user',
+        sid: sessionId
+    };
+    if (impersonatorId) payload.impersonatorId = impersonatorId;
+
+    return jwt.sign(payload, JWT_SECRET, { expiresIn: ACCESS_TOKEN_EXPIRATION });
+}
+
+/**
+ * Start a new session for the user and issue an access/refresh token pair
+ */
+async function issueTokens(user, req) {
+    const { session, refreshToken } = await Session.create(user.id, {
+        deviceInfo: req.headers['user-agent'],
+        ipAddress: clientIp(req)
+    });
+
+    return {
+        token: signAccessToken(user, session.id),
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_EXPIRATION_SECONDS
+    };
+}
+
+/**
+ * Let a staff member act as another user. The token can't be refreshed and its
+ * session only lives as long as the token, labelled so the user can see it.
+ */
+async function issueImpersonationToken(user, staffUser, req) {
+    const { session } = await Session.create(user.id, {
+        deviceInfo: `Impersonation by ${staffUser.email}`,
+        ipAddress: clientIp(req),
+        ttlMs: ACCESS_TOKEN_EXPIRATION_SECONDS * 1000
+    });
+
+    return {
+        token: signAccessToken(user, session.id, { impersonatorId: staffUser.id }),
+        sessionId: session.id,
+        expiresIn: ACCESS_TOKEN_EXPIRATION_SECONDS
+    };
+}
+
+// ============================================
+// LOGIN THROTTLING
+// ============================================
+
+/**
+ * Seconds the account must wait before another login attempt (0 if none)
+ */
+function loginRetryAfter(user) {
+    const now = Date.now();
+
+    if (user.locked_until && new Date(user.locked_until).getTime() > now) {
+        return (new Date(user.locked_until).getTime() - now) / 1000;
+    }
+
+    const failures = Number(user.failed_login_attempts || 0);
+    if (failures >= PROGRESSIVE_DELAY_AFTER && user.last_failed_login) {
+        const delayMs = 1000 * 2 ** (failures - PROGRESSIVE_DELAY_AFTER);
+        const waitMs = new Date(user.last_failed_login).getTime() + delayMs - now;
+        if (waitMs > 0) return waitMs / 1000;
+    }
+
+    return 0;
+}
+
+/**
+ * Reject logins for disabled accounts or accounts that must reset their password.
+ * Returns true if a response was sent. Only called once the password has checked out.
+ */
+function rejectBlockedLogin(user, res) {
+    if (user.disabled_at) {
+        console.log(`[Auth] Login blocked, account disabled: ${user.email}`);
+        res.status(403).json({
+            success: false,
+            accountDisabled: true,
+            error: 'This account has been disabled. Please contact support.'
+        });
+        return true;
+    }
+
+    if (user.password_reset_required) {
+        console.log(`[Auth] Login blocked, password reset required: ${user.email}`);
+        res.status(403).json({
+            success: false,
+            passwordResetRequired: true,
+            error: 'You need to set a new password. Check your email for a reset link or use Forgot Password.'
+        });
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * Send a 429 while the account is locked out or waiting out a progressive delay.
+ * Routes that re-check a password or 2FA code for a signed-in user use this with
+ * recordLoginFailure, so a stolen session can't be used to guess either one.
+ * Returns true if a response was sent.
+ */
+function rejectLockedOut(user, res) {
+    const retryAfter = loginRetryAfter(user);
+    if (retryAfter <= 0) return false;
+
+    sendTooManyRequests(res, retryAfter, 'Too many failed attempts. Please try again later.');
+    return true;
+}
+
+/**
+ * Record a failed password or 2FA attempt, locking the account when the limit is reached
+ */
+async function recordLoginFailure(user) {
+    const failures = await User.recordFailedLogin(user.id);
+
+    if (failures >= MAX_FAILED_LOGINS) {
+        const lockedUntil = new Date(Date.now() + LOCKOUT_DURATION_MS).toISOString();
+        await User.lockAccount(user.id, lockedUntil);
+        console.warn(`[Auth] Account locked after ${failures} failed logins: ${user.email}`);
+
+        sendAccountLockedEmail(user.email, user.name, lockedUntil).catch(err => {
+            console.error('[Auth] Failed to send account locked email:', err);
+        });
+    }
+}
+
 // ============================================
 // ROUTES
 // ============================================
@@ -89,24 +464,24 @@ router.post('/signup', async (req, res) => {
             console.error('[Auth] Failed to send welcome email:', err);
         });
 
-        // Generate JWT
-        const token = jwt.sign(
-            {
-                userId: user.id,
-                email: user.email
-            },
-            JWT_SECRET,
-            { expiresIn: JWT_EXPIRATION }
-        );
+        // Send email verification link (non-blocking)
+        startEmailVerification(user).catch(err => {
+            console.error('[Auth] Failed to send verification email:', err);
+        });
+
+        // Start session
+        const tokens = await issueTokens(user, req);
 
         res.status(201).json({
             success: true,
             message: 'Account created successfully!',
-            token,
+            ...tokens,
             user: {
                 id: user.id,
                 email: user.email,
-                name: user.name
+                name: user.name,
+                emailVerified: false,
+                role: user.role
             }
         });
 
@@ -131,7 +506,7 @@ router.post('/signup', async (req, res) => {
  * POST /api/auth/login
  * Authenticate user and return JWT
  */
-router.post('/login', async (req, res) => {
+router.post('/login', loginIpLimit, async (req, res) => {
     try {
         const { email, password } = req.body;
 
@@ -150,52 +525,233 @@ router.post('/login', async (req, res) => {
             });
         }
 
+        const retryAfter = loginRetryAfter(user);
+        if (retryAfter > 0) {
+            return sendTooManyRequests(res, retryAfter, 'Too many failed login attempts. Please try again later.');
+        }
+
         const isValid = await User.verifyPassword(password, user.password_hash);
         if (!isValid) {
+            await recordLoginFailure(user);
             return res.status(401).json({
                 success: false,
                 error: 'Invalid email or password'
             });
         }
 
-        await User.updateLastLogin(user.id);
+        if (rejectBlockedLogin(user, res)) return;
+
+        // With 2FA enabled the password alone only earns a challenge token
+        if (user.two_factor_enabled) {
+            const challengeToken = jwt.sign(
+                {
+                    userId: user.id,
+                    purpose: '2fa_challenge'
+                },
+                JWT_SECRET,
+                { expiresIn: CHALLENGE_TOKEN_EXPIRATION }
+            );
+
+            console.log(`[Auth] 2FA challenge issued: ${user.email}`);
+
+            return res.json({
+                success: true,
+                twoFactorRequired: true,
+                challengeToken
+            });
+        }
+
+        await completeLogin(user, req, res);
+
+    } catch (error) {
+        console.error('[Auth] Login error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Login failed. Please try again.'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/login/2fa
+ * Second login step: exchange a challenge token and a TOTP or recovery code for a session
+ */
+router.post('/login/2fa', loginIpLimit, async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        if (!challengeToken || (!code && !recoveryCode)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Challenge token and verification code are required'
+            });
+        }
+
+        let decoded;
+        try {
+            decoded = jwt.verify(challengeToken, JWT_SECRET);
+        } catch (err) {
+            decoded = null;
+        }
+
+        if (!decoded || decoded.purpose !== '2fa_challenge') {
+            return res.status(401).json({
+                success: false,
+                error: 'Login challenge has expired. Please log in again.'
+            });
+        }
+
+        const user = await User.findById(decoded.userId);
+        if (!user || !user.two_factor_enabled) {
+            return res.status(401).json({
+                success: false,
+                error: 'Login challenge has expired. Please log in again.'
+            });
+        }
+
+        const retryAfter = loginRetryAfter(user);
+        if (retryAfter > 0) {
+            return sendTooManyRequests(res, retryAfter, 'Too many failed login attempts. Please try again later.');
+        }
+
+        if (!await TwoFactor.verify(user.id, { code, recoveryCode })) {
+            await recordLoginFailure(user);
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid verification code'
+            });
+        }
+
+        if (recoveryCode) {
+            console.log(`[Auth] Recovery code used for login: ${user.email}`);
+        }
+
+        if (rejectBlockedLogin(user, res)) return;
+
+        await completeLogin(user, req, res);
+
+    } catch (error) {
+        console.error('[Auth] 2FA login error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Login failed. Please try again.'
+        });
+    }
+});
+
+/**
+ * Finish a successful login: record it, start a session and respond
+ */
+async function completeLogin(user, req, res) {
+    await User.updateLastLogin(user.id);
+    await User.resetFailedLogins(user.id);
+
+    const tokens = await issueTokens(user, req);
+
+    console.log(`[Auth] User logged in: ${user.email}`);
+
+    res.json({
+        success: true,
+        ...tokens,
+        user: {
+            id: user.id,
+            email: user.email,
+            name: user.name,
+            emailVerified: !!user.email_verified,
+            twoFactorEnabled: !!user.two_factor_enabled,
+            role: user.role || 'user',
+            subscriptionTier: user.subscription_tier
+        }
+    });
+}
+
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access/refresh token pair
+ */
+router.post('/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                error: 'Refresh token is required'
+            });
+        }
 
-        const token = jwt.sign(
-            {
-                userId: user.id,
-                email: user.email
-            },
-            JWT_SECRET,
-            { expiresIn: JWT_EXPIRATION }
-        );
+        const { session, refreshToken: newRefreshToken } = await Session.rotate(refreshToken, {
+            ipAddress: clientIp(req)
+        });
 
-        console.log(`[Auth] User logged in: ${user.email}`);
+        const user = await User.findById(session.user_id);
+        if (!user || user.disabled_at) {
+            await Session.revoke(session.id);
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid refresh token'
+            });
+        }
 
         res.json({
             success: true,
-            token,
-            user: {
-                id: user.id,
-                email: user.email,
-                name: user.name,
-                subscriptionTier: user.subscription_tier
-            }
+            token: signAccessToken(user, session.id),
+            refreshToken: newRefreshToken,
+            expiresIn: ACCESS_TOKEN_EXPIRATION_SECONDS
         });
 
     } catch (error) {
-        console.error('[Auth] Login error:', error);
+        const refreshErrors = [
+            'Invalid refresh token',
+            'Refresh token has expired',
+            'Refresh token reuse detected',
+            'Session has been revoked'
+        ];
+
+        if (refreshErrors.includes(error.message)) {
+            return res.status(401).json({
+                success: false,
+                error: error.message
+            });
+        }
+
+        console.error('[Auth] Refresh error:', error);
         res.status(500).json({
             success: false,
-            error: 'Login failed. Please try again.'
+            error: 'Failed to refresh session'
         });
     }
 });
 
+/**
+ * Shape a user row for GET/PATCH /api/auth/me
+ */
+function formatProfile(user) {
+    return {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        emailVerified: !!user.email_verified,
+        phone: user.phone,
+        phoneVerified: !!user.phone_verified,
+        twoFactorEnabled: !!user.two_factor_enabled,
+        role: user.role || 'user',
+        subscriptionTier: user.subscription_tier,
+        subscriptionStatus: user.subscription_status,
+        timezone: user.timezone || 'UTC',
+        preferredReportType: user.preferred_report_type || 'legacy',
+        defaultChartRange: user.default_chart_range || '1y',
+        notificationPreferences: User.getNotificationPreferences(user),
+        createdAt: user.created_at,
+        lastLogin: user.last_login
+    };
+}
+
 /**
  * GET /api/auth/me
  * Get current user profile
  */
-router.get('/me', authenticateToken, async (req, res) => {
+router.get('/me', authenticateTokenOrApiKey('account:read'), async (req, res) => {
     try {
         const user = await User.findById(req.userId);
 
@@ -206,17 +762,12 @@ router.get('/me', authenticateToken, async (req, res) => {
             });
         }
 
+        const profile = formatProfile(user);
+        if (req.impersonatorId) profile.impersonatedBy = req.impersonatorId;
+
         res.json({
             success: true,
-            user: {
-                id: user.id,
-                email: user.email,
-                name: user.name,
-                subscriptionTier: user.subscription_tier,
-                subscriptionStatus: user.subscription_status,
-                createdAt: user.created_at,
-                lastLogin: user.last_login
-            }
+            user: profile
         });
 
     } catch (error) {
@@ -228,19 +779,275 @@ router.get('/me', authenticateToken, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/auth/me/entitlements
+ * Features and limits for the user's current plan
+ */
+router.get('/me/entitlements', authenticateTokenOrApiKey('account:read'), async (req, res) => {
+    try {
+        const user = await User.findById(req.userId);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            entitlements: getEntitlements(user)
+        });
+
+    } catch (error) {
+        console.error('[Auth] Get entitlements error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get entitlements'
+        });
+    }
+});
+
+/**
+ * PATCH /api/auth/me
+ * Update profile fields and dashboard preferences.
+ * Email changes go through POST /api/auth/change-email instead.
+ */
+router.patch('/me', authenticateToken, rejectImpersonation, async (req, res) => {
+    try {
+        const { name, timezone, preferredReportType, defaultChartRange, notificationPreferences } = req.body;
+        const updates = {};
+
+        if (req.body.email !== undefined) {
+            return res.status(400).json({
+                success: false,
+                error: 'Use POST /api/auth/change-email to change your email address'
+            });
+        }
+
+        if (name !== undefined) {
+            if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Name must be between 1 and 100 characters'
+                });
+            }
+            updates.name = name.trim();
+        }
+
+        if (timezone !== undefined) {
+            let validTimezone = typeof timezone === 'string' && timezone.length > 0;
+            if (validTimezone) {
+                try {
+                    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+                } catch (err) {
+                    validTimezone = false;
+                }
+            }
+            if (!validTimezone) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Timezone must be a valid IANA timezone (e.g. America/New_York)'
+                });
+            }
+            updates.timezone = timezone;
+        }
+
+        if (preferredReportType !== undefined) {
+            if (!User.REPORT_TYPES.includes(preferredReportType)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Preferred report type must be one of: ${User.REPORT_TYPES.join(', ')}`
+                });
+            }
+            updates.preferredReportType = preferredReportType;
+        }
+
+        if (defaultChartRange !== undefined) {
+            if (!User.CHART_RANGES.includes(defaultChartRange)) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Default chart range must be one of: ${User.CHART_RANGES.join(', ')}`
+                });
+            }
+            updates.defaultChartRange = defaultChartRange;
+        }
+
+        if (notificationPreferences !== undefined) {
+            const allowedKeys = Object.keys(User.DEFAULT_NOTIFICATION_PREFERENCES);
+            const isValid = notificationPreferences !== null &&
+                typeof notificationPreferences === 'object' &&
+                !Array.isArray(notificationPreferences) &&
+                Object.entries(notificationPreferences).every(([key, value]) =>
+                    allowedKeys.includes(key) && typeof value === 'boolean');
+
+            if (!isValid) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Notification preferences must be true/false values for: ${allowedKeys.join(', ')}`
+                });
+            }
+
+            // Merge so clients can send only the toggles that changed
+            const current = User.getNotificationPreferences(await User.findById(req.userId));
+            updates.notificationPreferences = { ...current, ...notificationPreferences };
+        }
+
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'No profile fields to update'
+            });
+        }
+
+        const user = await User.updateProfile(req.userId, updates);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        console.log(`[Auth] Profile updated: ${user.email}`);
+
+        res.json({
+            success: true,
+            user: formatProfile(user)
+        });
+
+    } catch (error) {
+        console.error('[Auth] Update profile error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update profile'
+        });
+    }
+});
+
 /**
  * POST /api/auth/logout
- * Logout user (client-side token removal, server just confirms)
+ * Logout user by revoking the current session
  */
-router.post('/logout', authenticateToken, (req, res) => {
-    console.log(`[Auth] User logged out: ${req.userEmail}`);
+router.post('/logout', authenticateToken, async (req, res) => {
+    try {
+        await Session.revoke(req.sessionId);
+        console.log(`[Auth] User logged out: ${req.userEmail}`);
 
-    res.json({
-        success: true,
-        message: 'Logged out successfully'
-    });
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+
+    } catch (error) {
+        console.error('[Auth] Logout error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to log out'
+        });
+    }
+});
+
+/**
+ * GET /api/auth/sessions
+ * List the user's active sessions (signed-in devices)
+ */
+router.get('/sessions', authenticateToken, async (req, res) => {
+    try {
+        const sessions = await Session.findActiveByUserId(req.userId);
+
+        res.json({
+            success: true,
+            sessions: sessions.map(session => ({
+                id: session.id,
+                userAgent: session.device_info,
+                ipAddress: session.ip_address,
+                createdAt: session.created_at,
+                lastUsedAt: session.last_used_at,
+                expiresAt: session.expires_at,
+                current: session.id === req.sessionId
+            }))
+        });
+
+    } catch (error) {
+        console.error('[Auth] List sessions error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list sessions'
+        });
+    }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id
+ * Revoke one of the user's sessions
+ */
+router.delete('/sessions/:id', authenticateToken, rejectImpersonation, async (req, res) => {
+    try {
+        const session = await Session.findById(req.params.id);
+
+        if (!session || session.user_id !== req.userId) {
+            return res.status(404).json({
+                success: false,
+                error: 'Session not found'
+            });
+        }
+
+        await Session.revoke(session.id);
+        console.log(`[Auth] Session ${session.id} revoked by ${req.userEmail}`);
+
+        res.json({
+            success: true,
+            message: 'Session revoked'
+        });
+
+    } catch (error) {
+        console.error('[Auth] Revoke session error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to revoke session'
+        });
+    }
+});
+
+/**
+ * DELETE /api/auth/sessions
+ * Sign out everywhere. Keeps the current session unless ?includeCurrent=true
+ */
+router.delete('/sessions', authenticateToken, rejectImpersonation, async (req, res) => {
+    try {
+        const includeCurrent = req.query.includeCurrent === 'true';
+
+        await Session.revokeAllForUser(req.userId, {
+            exceptSessionId: includeCurrent ? null : req.sessionId
+        });
+        console.log(`[Auth] All sessions revoked for ${req.userEmail}`);
+
+        res.json({
+            success: true,
+            message: includeCurrent
+                ? 'Signed out of all devices'
+                : 'Signed out of all other devices'
+        });
+
+    } catch (error) {
+        console.error('[Auth] Revoke all sessions error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to revoke sessions'
+        });
+    }
 });
 
 // Export router and middleware
 module.exports = router;
 module.exports.authenticateToken = authenticateToken;
+module.exports.authenticateTokenOrApiKey = authenticateTokenOrApiKey;
+module.exports.requireRole = requireRole;
+module.exports.rejectImpersonation = rejectImpersonation;
+module.exports.requireEntitlement = requireEntitlement;
+module.exports.issueImpersonationToken = issueImpersonationToken;
+module.exports.signAccessToken = signAccessToken;
+module.exports.issueTokens = issueTokens;
+module.exports.rejectLockedOut = rejectLockedOut;
+module.exports.recordLoginFailure = recordLoginFailure;
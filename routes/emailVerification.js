@@ -0,0 +1,151 @@
+/**
+ * Email Verification Routes
+ * COT Pulse Backend
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const User = require('../models/User');
+const { authenticateToken } = require('./auth');
+const { startEmailVerification } = require('../utils/emailVerification');
+const { sendTooManyRequests } = require('../utils/rateLimit');
+const db = require('../db');
+
+const router = express.Router();
+
+// Minimum time between verification emails (60 seconds)
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+/**
+ * POST /api/auth/verify-email
+ * Confirm an email address with the token from the verification email
+ */
+router.post('/verify-email', async (req, res) => {
+    try {
+        const { token } = req.body;
+
+        if (!token) {
+            return res.status(400).json({
+                success: false,
+                error: 'Verification token is required'
+            });
+        }
+
+        const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+
+        const record = await db.getOne(
+            `SELECT user_id, email, expires_at FROM email_verification_tokens
+             WHERE token_hash = ?`,
+            [tokenHash]
+        );
+
+        if (!record) {
+            console.log('[Email Verification] Invalid token');
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid or expired verification link'
+            });
+        }
+
+        if (new Date(record.expires_at) < new Date()) {
+            console.log('[Email Verification] Expired token');
+            await db.query(
+                'DELETE FROM email_verification_tokens WHERE user_id = ?',
+                [record.user_id]
+            );
+            return res.status(400).json({
+                success: false,
+                error: 'Verification link has expired. Please request a new one.'
+            });
+        }
+
+        // The token is only good for the address it was sent to
+        const user = await User.findById(record.user_id);
+        if (!user || user.email !== record.email) {
+            await db.query(
+                'DELETE FROM email_verification_tokens WHERE user_id = ?',
+                [record.user_id]
+            );
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid or expired verification link'
+            });
+        }
+
+        await User.markEmailVerified(user.id);
+        await db.query(
+            'DELETE FROM email_verification_tokens WHERE user_id = ?',
+            [user.id]
+        );
+        console.log('[Email Verification] Email verified for user:', user.id);
+
+        res.json({
+            success: true,
+            message: 'Your email address has been verified.'
+        });
+
+    } catch (error) {
+        console.error('[Email Verification] Error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to verify email'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/resend-verification
+ * Send a new verification email (rate limited per user)
+ */
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+    try {
+        const user = await User.findById(req.userId);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        if (user.email_verified) {
+            return res.status(400).json({
+                success: false,
+                error: 'Email is already verified'
+            });
+        }
+
+        const existing = await db.getOne(
+            'SELECT created_at FROM email_verification_tokens WHERE user_id = ?',
+            [user.id]
+        );
+
+        if (existing) {
+            const elapsed = Date.now() - new Date(existing.created_at).getTime();
+            if (elapsed < RESEND_COOLDOWN_MS) {
+                const retryAfter = Math.ceil((RESEND_COOLDOWN_MS - elapsed) / 1000);
+                return sendTooManyRequests(res, retryAfter, `Please wait ${retryAfter} seconds before requesting another email`);
+            }
+        }
+
+        const emailResult = await startEmailVerification(user);
+
+        if (!emailResult.success) {
+            console.error('[Email Verification] Failed to send email:', emailResult.error);
+        }
+
+        res.json({
+            success: true,
+            message: 'Verification email sent. Please check your inbox.'
+        });
+
+    } catch (error) {
+        console.error('[Email Verification] Resend error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to send verification email'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,335 @@
+/**
+ * Market Routes
+ * COT Pulse Backend
+ *
+ * The markets we track: symbol, exchange, asset class, contract unit and the CFTC
+ * contract market code behind each one. These are the symbols watchlists and alerts accept.
+ * Positioning history is limited by plan (the historyWeeks entitlement).
+ */
+
+const express = require('express');
+const User = require('../models/User');
+const Market = require('../models/Market');
+const CotReport = require('../models/CotReport');
+const CotAnalytics = require('../models/CotAnalytics');
+const { authenticateTokenOrApiKey } = require('./auth');
+const { getLimit } = require('../utils/entitlements');
+const { REPORT_TYPES, LOOKBACK_WEEKS } = require('../utils/cotReports');
+const { parseReportDate } = require('../utils/cotIngest');
+const { netPosition } = require('../utils/cotAnalytics');
+
+const router = express.Router();
+
+// Longest accepted search term
+const MAX_SEARCH_LENGTH = 100;
+
+// Weekly reports per page of position history (default and maximum)
+const DEFAULT_POSITIONS_LIMIT = 52;
+const MAX_POSITIONS_LIMIT = 520;
+
+/**
+ * Opaque pagination cursor for the last report on a page
+ */
+function encodeCursor(reportDate) {
+    return Buffer.from(reportDate).toString('base64url');
+}
+
+/**
+ * Report date from a cursor. Null if the cursor is invalid.
+ */
+function decodeCursor(cursor) {
+    const text = Buffer.from(String(cursor), 'base64url').toString('utf8');
+    return /^\d{4}-\d{2}-\d{2}$/.test(text) ? parseReportDate(text) : null;
+}
+
+/**
+ * Earliest report date the user's plan can see (null = full history).
+ * A limit of N weeks means the last N weekly reports loaded for the report type.
+ */
+async function earliestVisibleDate(user, reportType) {
+    const weeks = getLimit(user, 'historyWeeks');
+    if (weeks === null) return null;
+
+    const latest = await CotReport.latestReportDate(reportType);
+    if (!latest) return null;
+
+    const earliest = new Date(`${latest}T00:00:00Z`);
+    earliest.setUTCDate(earliest.getUTCDate() - (weeks - 1) * 7);
+    return earliest.toISOString().slice(0, 10);
+}
+
+/**
+ * Shape a stored report for the positions endpoint (adds net position per group)
+ */
+function formatPositions(report) {
+    const positions = {};
+    for (const [traderGroup, position] of Object.entries(report.positions)) {
+        positions[traderGroup] = {
+            long: position.long,
+            short: position.short,
+            spreading: position.spreading,
+            net: netPosition(position)
+        };
+    }
+
+    return {
+        reportDate: report.reportDate,
+        openInterest: report.openInterest,
+        positions
+    };
+}
+
+/**
+ * Nest analytics rows by report type and trader group:
+ *   { legacy: { reportDate, openInterest, ..., groups: { commercial: { netPosition, ...,
+ *     lookbacks: { 156: { cotIndex, zScore, percentile, ... } } } } } }
+ */
+function groupAnalytics(rows) {
+    const reports = {};
+
+    for (const row of rows) {
+        if (!reports[row.reportType]) {
+            reports[row.reportType] = {
+                reportDate: row.reportDate,
+                openInterest: row.openInterest,
+                openInterestChange: row.openInterestChange,
+                openInterestChangePercent: row.openInterestChangePercent,
+                updatedAt: row.updatedAt,
+                groups: {}
+            };
+        }
+
+        const groups = reports[row.reportType].groups;
+        if (!groups[row.traderGroup]) {
+            groups[row.traderGroup] = {
+                netPosition: row.netPosition,
+                netChange: row.netChange,
+                netChangePercent: row.netChangePercent,
+                longChange: row.longChange,
+                shortChange: row.shortChange,
+                lookbacks: {}
+            };
+        }
+
+        groups[row.traderGroup].lookbacks[row.lookbackWeeks] = {
+            weeks: row.weeks,
+            cotIndex: row.cotIndex,
+            zScore: row.zScore,
+            percentile: row.percentile,
+            minNetPosition: row.minNetPosition,
+            maxNetPosition: row.maxNetPosition
+        };
+    }
+
+    return reports;
+}
+
+/**
+ * Load the :symbol market or send a 404. Returns null if a response was sent.
+ */
+async function loadMarket(req, res) {
+    const market = await Market.findBySymbol(req.params.symbol);
+    if (!market) {
+        res.status(404).json({
+            success: false,
+            error: 'Market not found'
+        });
+        return null;
+    }
+    return market;
+}
+
+/**
+ * GET /api/markets
+ * All markets. Query: category, search (matches symbol, name or CFTC code/name)
+ */
+router.get('/', authenticateTokenOrApiKey('markets:read'), async (req, res) => {
+    try {
+        const category = typeof req.query.category === 'string' ? req.query.category.trim() : '';
+        const search = typeof req.query.search === 'string' ? req.query.search.trim() : '';
+
+        if (search.length > MAX_SEARCH_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                error: `search must be at most ${MAX_SEARCH_LENGTH} characters`
+            });
+        }
+
+        const markets = await Market.findAll({
+            category: category || undefined,
+            search: search || undefined
+        });
+
+        res.json({
+            success: true,
+            markets,
+            categories: await Market.categories()
+        });
+
+    } catch (error) {
+        console.error('[Markets] List error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load markets'
+        });
+    }
+});
+
+/**
+ * GET /api/markets/:symbol
+ * One market
+ */
+router.get('/:symbol', authenticateTokenOrApiKey('markets:read'), async (req, res) => {
+    try {
+        const market = await loadMarket(req, res);
+        if (!market) return;
+
+        res.json({
+            success: true,
+            market
+        });
+
+    } catch (error) {
+        console.error('[Markets] Get error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load market'
+        });
+    }
+});
+
+/**
+ * GET /api/markets/:symbol/positions
+ * Weekly positions per trader group, oldest first.
+ * Query: report (legacy|disaggregated|tff, default legacy), from, to (YYYY-MM-DD),
+ * limit (max 520), cursor (nextCursor from the previous page).
+ * Free plans see the last year of reports; earlier dates are cut off, not rejected.
+ */
+router.get('/:symbol/positions', authenticateTokenOrApiKey('markets:read'), async (req, res) => {
+    try {
+        const market = await loadMarket(req, res);
+        if (!market) return;
+
+        const reportType = req.query.report || 'legacy';
+        if (!REPORT_TYPES.includes(reportType)) {
+            return res.status(400).json({
+                success: false,
+                error: `report must be one of: ${REPORT_TYPES.join(', ')}`
+            });
+        }
+
+        const dates = {};
+        for (const field of ['from', 'to']) {
+            if (req.query[field] === undefined || req.query[field] === '') continue;
+            dates[field] = parseReportDate(req.query[field]);
+            if (!dates[field]) {
+                return res.status(400).json({
+                    success: false,
+                    error: `${field} must be a date (YYYY-MM-DD)`
+                });
+            }
+        }
+        if (dates.from && dates.to && dates.from > dates.to) {
+            return res.status(400).json({
+                success: false,
+                error: 'from must be on or before to'
+            });
+        }
+
+        let after;
+        if (req.query.cursor) {
+            after = decodeCursor(req.query.cursor);
+            if (!after) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid cursor'
+                });
+            }
+        }
+
+        const limit = Math.min(MAX_POSITIONS_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_POSITIONS_LIMIT));
+
+        const user = await User.findById(req.userId);
+        const earliestDate = await earliestVisibleDate(user, reportType);
+        const from = earliestDate && (!dates.from || dates.from < earliestDate) ? earliestDate : dates.from;
+
+        const { reports, hasMore } = await CotReport.findRange(reportType, market.cftcCode, {
+            from,
+            to: dates.to,
+            after,
+            limit
+        });
+
+        res.json({
+            success: true,
+            market,
+            reportType,
+            positions: reports.map(formatPositions),
+            history: {
+                weeks: getLimit(user, 'historyWeeks'),
+                earliestDate,
+                truncated: !!earliestDate && (!dates.from || dates.from < earliestDate)
+            },
+            pagination: {
+                limit,
+                hasMore,
+                nextCursor: hasMore ? encodeCursor(reports[reports.length - 1].reportDate) : null
+            }
+        });
+
+    } catch (error) {
+        console.error('[Markets] Positions error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load positions'
+        });
+    }
+});
+
+/**
+ * GET /api/markets/:symbol/analytics
+ * COT index, z-score and percentile per trader group and lookback window, plus
+ * week-over-week changes, as of the market's latest report.
+ * Query: report (legacy|disaggregated|tff, default all), lookback (26|52|156, default all).
+ * Precomputed after each ingest.
+ */
+router.get('/:symbol/analytics', authenticateTokenOrApiKey('markets:read'), async (req, res) => {
+    try {
+        const market = await loadMarket(req, res);
+        if (!market) return;
+
+        const reportType = req.query.report || undefined;
+        if (reportType && !REPORT_TYPES.includes(reportType)) {
+            return res.status(400).json({
+                success: false,
+                error: `report must be one of: ${REPORT_TYPES.join(', ')}`
+            });
+        }
+
+        const lookbackWeeks = req.query.lookback ? Number(req.query.lookback) : undefined;
+        if (lookbackWeeks !== undefined && !LOOKBACK_WEEKS.includes(lookbackWeeks)) {
+            return res.status(400).json({
+                success: false,
+                error: `lookback must be one of: ${LOOKBACK_WEEKS.join(', ')}`
+            });
+        }
+
+        const rows = await CotAnalytics.findByCftcCode(market.cftcCode, { reportType, lookbackWeeks });
+
+        res.json({
+            success: true,
+            market,
+            lookbackWeeks: lookbackWeeks ? [lookbackWeeks] : LOOKBACK_WEEKS,
+            analytics: groupAnalytics(rows)
+        });
+
+    } catch (error) {
+        console.error('[Markets] Analytics error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load analytics'
+        });
+    }
+});
+
+module.exports = router;
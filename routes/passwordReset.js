@@ -6,19 +6,57 @@
 const express = require('express');
 const crypto = require('crypto');
 const User = require('../models/User');
-const { sendPasswordResetEmail } = require('../utils/email');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const TwoFactor = require('../models/TwoFactor');
+const { startPasswordReset } = require('../utils/passwordReset');
 const db = require('../db');
+const { rateLimit, hit, reset, sendTooManyRequests } = require('../utils/rateLimit');
 
 const router = express.Router();
 
-// Token expiration time (1 hour)
-const TOKEN_EXPIRATION_MS = 60 * 60 * 1000;
+// Reset emails per client IP and per address
+const forgotPasswordIpLimit = rateLimit({
+    name: 'forgot-password-ip',
+    windowMs: 60 * 60 * 1000,
+    max: 10,
+    message: 'Too many password reset requests. Please try again later.'
+});
+const forgotPasswordEmailLimit = rateLimit({
+    name: 'forgot-password-email',
+    windowMs: 60 * 60 * 1000,
+    max: 3,
+    keyGenerator: req => (typeof req.body.email === 'string' ? req.body.email.toLowerCase().trim() : null),
+    message: 'Too many password reset requests. Please try again later.'
+});
+
+// Reset attempts (and token checks) per client IP
+const resetPasswordIpLimit = rateLimit({
+    name: 'reset-password-ip',
+    windowMs: 60 * 60 * 1000,
+    max: 20,
+    message: 'Too many password reset attempts. Please try again later.'
+});
+
+// Reset attempts per account (counted once the token checks out), across all IPs
+const MAX_RESET_ATTEMPTS_PER_ACCOUNT = 10;
+const RESET_ATTEMPT_WINDOW_MS = 60 * 60 * 1000;
+
+// Wrong 2FA codes before the reset link stops working and a new one is needed
+const MAX_RESET_2FA_FAILURES = 5;
+
+/**
+ * Remove a user's reset token
+ */
+async function deleteResetToken(userId) {
+    await db.query('DELETE FROM password_reset_tokens WHERE user_id = ?', [userId]);
+}
 
 /**
  * POST /api/auth/forgot-password
  * Request a password reset email
  */
-router.post('/forgot-password', async (req, res) => {
+router.post('/forgot-password', forgotPasswordIpLimit, forgotPasswordEmailLimit, async (req, res) => {
     try {
         const { email } = req.body;
 
@@ -43,21 +81,8 @@ router.post('/forgot-password', async (req, res) => {
             });
         }
 
-        // Generate secure reset token
-        const resetToken = crypto.randomBytes(32).toString('hex');
-        const tokenHash = crypto.createHash('sha256').update(resetToken).digest('hex');
-        const expiresAt = new Date(Date.now() + TOKEN_EXPIRATION_MS).toISOString();
-
-        // Store reset token in database
-        await db.query(
-            `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
-             VALUES (?, ?, ?)
-             ON CONFLICT (user_id) DO UPDATE SET token_hash = ?, expires_at = ?`,
-            [user.id, tokenHash, expiresAt, tokenHash, expiresAt]
-        );
-
-        // Send password reset email
-        const emailResult = await sendPasswordResetEmail(email, resetToken, user.name);
+        // Store a reset token and send the email
+        const emailResult = await startPasswordReset(user);
 
         if (!emailResult.success) {
             console.error('[Password Reset] Failed to send email:', emailResult.error);
@@ -79,11 +104,12 @@ router.post('/forgot-password', async (req, res) => {
 
 /**
  * POST /api/auth/reset-password
- * Reset password with token
+ * Reset password with token. Attempts are limited per account as well as per IP, and
+ * MAX_RESET_2FA_FAILURES wrong 2FA codes in an hour invalidate the reset token.
  */
-router.post('/reset-password', async (req, res) => {
+router.post('/reset-password', resetPasswordIpLimit, async (req, res) => {
     try {
-        const { token, password } = req.body;
+        const { token, password, code, recoveryCode } = req.body;
 
         if (!token || !password) {
             return res.status(400).json({
@@ -131,19 +157,63 @@ router.post('/reset-password', async (req, res) => {
             });
         }
 
+        const attempts = await hit(`reset-password-account:${resetRecord.user_id}`, RESET_ATTEMPT_WINDOW_MS);
+        if (attempts.count > MAX_RESET_ATTEMPTS_PER_ACCOUNT) {
+            console.log('[Password Reset] Too many attempts for user:', resetRecord.user_id);
+            return sendTooManyRequests(res, (attempts.resetAt - Date.now()) / 1000,
+                'Too many password reset attempts. Please try again later.');
+        }
+
+        // An emailed link is not enough on its own when 2FA is enabled
+        const user = await User.findById(resetRecord.user_id);
+        if (user && user.two_factor_enabled) {
+            if (!code && !recoveryCode) {
+                return res.status(400).json({
+                    success: false,
+                    twoFactorRequired: true,
+                    error: 'Two-factor verification code is required'
+                });
+            }
+
+            if (!await TwoFactor.verify(user.id, { code, recoveryCode })) {
+                console.log('[Password Reset] Invalid 2FA code for user:', user.id);
+
+                const failures = await hit(`reset-password-2fa:${user.id}`, RESET_ATTEMPT_WINDOW_MS);
+                if (failures.count >= MAX_RESET_2FA_FAILURES) {
+                    await deleteResetToken(user.id);
+                    console.warn(`[Password Reset] Reset token invalidated after ${failures.count} invalid 2FA codes for user:`, user.id);
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Too many invalid verification codes. Please request a new reset link.'
+                    });
+                }
+
+                return res.status(400).json({
+                    success: false,
+                    twoFactorRequired: true,
+                    error: 'Invalid verification code'
+                });
+            }
+        }
+
         // Update user password
         await User.updatePassword(resetRecord.user_id, password);
         console.log('[Password Reset] Password updated for user:', resetRecord.user_id);
 
+        // A reset is how a compromised account is recovered: end every session, revoke
+        // every API key and lift any lockout so the owner can sign straight back in
+        await Session.revokeAllForUser(resetRecord.user_id);
+        const revokedApiKeys = await ApiKey.revokeAllForUser(resetRecord.user_id);
+        await User.resetFailedLogins(resetRecord.user_id);
+        console.log(`[Password Reset] Sessions and ${revokedApiKeys} API key(s) revoked for user:`, resetRecord.user_id);
+
         // Delete used token
-        await db.query(
-            'DELETE FROM password_reset_tokens WHERE user_id = ?',
-            [resetRecord.user_id]
-        );
+        await deleteResetToken(resetRecord.user_id);
+        await reset(`reset-password-2fa:${resetRecord.user_id}`);
 
         res.json({
             success: true,
-            message: 'Password has been reset successfully. You can now log in with your new password.'
+            message: 'Password has been reset successfully. You have been signed out everywhere; log in with your new password.'
         });
 
     } catch (error) {
@@ -159,7 +229,7 @@ router.post('/reset-password', async (req, res) => {
  * GET /api/auth/verify-reset-token
  * Verify if a reset token is valid (for frontend validation)
  */
-router.get('/verify-reset-token', async (req, res) => {
+router.get('/verify-reset-token', resetPasswordIpLimit, async (req, res) => {
     try {
         const { token } = req.query;
 
@@ -174,7 +244,7 @@ router.get('/verify-reset-token', async (req, res) => {
         const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
 
         const resetRecord = await db.getOne(
-            `SELECT expires_at FROM password_reset_tokens WHERE token_hash = ?`,
+            `SELECT user_id, expires_at FROM password_reset_tokens WHERE token_hash = ?`,
             [tokenHash]
         );
 
@@ -185,9 +255,12 @@ router.get('/verify-reset-token', async (req, res) => {
             });
         }
 
+        const user = await User.findById(resetRecord.user_id);
+
         res.json({
             success: true,
-            valid: true
+            valid: true,
+            twoFactorRequired: !!(user && user.two_factor_enabled)
         });
 
     } catch (error) {
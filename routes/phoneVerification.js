@@ -0,0 +1,261 @@
+/**
+ * Phone Verification Routes
+ * COT Pulse Backend
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const User = require('../models/User');
+const { authenticateToken, rejectImpersonation } = require('./auth');
+const { sendVerificationCode } = require('../utils/sms');
+const { sendTooManyRequests } = require('../utils/rateLimit');
+const db = require('../db');
+
+const router = express.Router();
+
+// Code expiration time (10 minutes)
+const CODE_EXPIRATION_MS = 10 * 60 * 1000;
+
+// Minimum time between codes (60 seconds)
+const SEND_COOLDOWN_MS = 60 * 1000;
+
+// Maximum codes sent per user per hour
+const MAX_SENDS_PER_HOUR = 5;
+
+// Maximum wrong guesses per code
+const MAX_ATTEMPTS_PER_CODE = 5;
+
+/**
+ * Normalize a phone number to E.164 (+15551234567)
+ * Returns null if it doesn't look like a valid international number
+ */
+function normalizePhone(phone) {
+    if (typeof phone !== 'string') return null;
+    const cleaned = phone.replace(/[\s\-().]/g, '');
+    return /^\+[1-9]\d{7,14}$/.test(cleaned) ? cleaned : null;
+}
+
+/**
+ * Hash a code together with its attempt ID so equal codes don't share a hash
+ */
+function hashCode(attemptId, code) {
+    return crypto.createHash('sha256').update(`${attemptId}:${code}`).digest('hex');
+}
+
+/**
+ * POST /api/auth/phone
+ * Set (or change) the user's phone number. The number starts unverified.
+ */
+router.post('/phone', authenticateToken, rejectImpersonation, async (req, res) => {
+    try {
+        const phone = normalizePhone(req.body.phone);
+
+        if (!phone) {
+            return res.status(400).json({
+                success: false,
+                error: 'Please enter a valid phone number in international format (e.g. +15551234567)'
+            });
+        }
+
+        const user = await User.updatePhone(req.userId, phone);
+
+        // Codes sent to a previous number are no longer valid
+        const now = new Date().toISOString();
+        await db.query(
+            'UPDATE phone_verification_attempts SET expires_at = ? WHERE user_id = ? AND verified = 0 AND phone != ? AND expires_at > ?',
+            [now, req.userId, phone, now]
+        );
+
+        console.log(`[Phone Verification] Phone updated for user: ${req.userId}`);
+
+        res.json({
+            success: true,
+            phone: user.phone,
+            phoneVerified: !!user.phone_verified
+        });
+
+    } catch (error) {
+        console.error('[Phone Verification] Update phone error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update phone number'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/phone/send-code
+ * Send a one-time verification code to the user's phone
+ */
+router.post('/phone/send-code', authenticateToken, rejectImpersonation, async (req, res) => {
+    try {
+        const user = await User.findById(req.userId);
+
+        if (!user || !user.phone) {
+            return res.status(400).json({
+                success: false,
+                error: 'Add a phone number before requesting a code'
+            });
+        }
+
+        if (user.phone_verified) {
+            return res.status(400).json({
+                success: false,
+                error: 'Phone number is already verified'
+            });
+        }
+
+        // Cooldown and hourly limit
+        const since = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+        const recent = await db.getAll(
+            `SELECT created_at FROM phone_verification_attempts
+             WHERE user_id = ? AND created_at > ?
+             ORDER BY created_at DESC`,
+            [user.id, since]
+        );
+
+        if (recent.length > 0) {
+            const elapsed = Date.now() - new Date(recent[0].created_at).getTime();
+            if (elapsed < SEND_COOLDOWN_MS) {
+                const retryAfter = Math.ceil((SEND_COOLDOWN_MS - elapsed) / 1000);
+                return sendTooManyRequests(res, retryAfter, `Please wait ${retryAfter} seconds before requesting another code`);
+            }
+        }
+
+        if (recent.length >= MAX_SENDS_PER_HOUR) {
+            const oldest = recent[recent.length - 1];
+            const retryAfter = (new Date(oldest.created_at).getTime() + 60 * 60 * 1000 - Date.now()) / 1000;
+            return sendTooManyRequests(res, retryAfter, 'Too many codes requested. Please try again later.');
+        }
+
+        const id = crypto.randomUUID();
+        const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+        const now = new Date().toISOString();
+        const expiresAt = new Date(Date.now() + CODE_EXPIRATION_MS).toISOString();
+
+        // Only the newest code is valid (older rows are kept for the hourly limit)
+        await db.query(
+            'UPDATE phone_verification_attempts SET expires_at = ? WHERE user_id = ? AND verified = 0 AND expires_at > ?',
+            [now, user.id, now]
+        );
+        await db.query(`
+            INSERT INTO phone_verification_attempts (id, user_id, phone, code, verified, attempts, expires_at, created_at)
+            VALUES (?, ?, ?, ?, 0, 0, ?, ?)
+        `, [id, user.id, user.phone, hashCode(id, code), expiresAt, now]);
+
+        const smsResult = await sendVerificationCode(user.phone, code);
+
+        if (!smsResult.success) {
+            console.error('[Phone Verification] Failed to send code:', smsResult.error);
+            return res.status(502).json({
+                success: false,
+                error: 'Failed to send verification code. Please try again.'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Verification code sent',
+            expiresAt
+        });
+
+    } catch (error) {
+        console.error('[Phone Verification] Send code error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to send verification code'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/phone/verify
+ * Confirm the phone number with the code that was sent
+ */
+router.post('/phone/verify', authenticateToken, rejectImpersonation, async (req, res) => {
+    try {
+        const code = typeof req.body.code === 'string' ? req.body.code.trim() : String(req.body.code || '');
+
+        if (!/^\d{6}$/.test(code)) {
+            return res.status(400).json({
+                success: false,
+                error: 'A 6-digit code is required'
+            });
+        }
+
+        const user = await User.findById(req.userId);
+
+        if (!user || !user.phone) {
+            return res.status(400).json({
+                success: false,
+                error: 'No phone number to verify'
+            });
+        }
+
+        const attempt = await db.getOne(
+            `SELECT * FROM phone_verification_attempts
+             WHERE user_id = ? AND phone = ? AND verified = 0
+             ORDER BY created_at DESC`,
+            [user.id, user.phone]
+        );
+
+        if (!attempt || new Date(attempt.expires_at) < new Date()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Verification code has expired. Please request a new one.'
+            });
+        }
+
+        // Claim an attempt before comparing, in one statement, so concurrent guesses
+        // can't all read the same count and get past the limit
+        const claimed = await db.query(
+            'UPDATE phone_verification_attempts SET attempts = attempts + 1 WHERE id = ? AND attempts < ?',
+            [attempt.id, MAX_ATTEMPTS_PER_CODE]
+        );
+
+        if (claimed.rowCount === 0) {
+            // A new code can be requested once the send cooldown has passed
+            const retryAfter = (new Date(attempt.created_at).getTime() + SEND_COOLDOWN_MS - Date.now()) / 1000;
+            return sendTooManyRequests(res, retryAfter, 'Too many incorrect attempts. Please request a new code.');
+        }
+
+        const expected = Buffer.from(attempt.code, 'hex');
+        const actual = Buffer.from(hashCode(attempt.id, code), 'hex');
+
+        if (!crypto.timingSafeEqual(expected, actual)) {
+            const { attempts } = await db.getOne(
+                'SELECT attempts FROM phone_verification_attempts WHERE id = ?',
+                [attempt.id]
+            );
+            const remaining = Math.max(MAX_ATTEMPTS_PER_CODE - attempts, 0);
+            return res.status(400).json({
+                success: false,
+                error: 'Incorrect verification code',
+                attemptsRemaining: remaining
+            });
+        }
+
+        await db.query(
+            'UPDATE phone_verification_attempts SET verified = 1 WHERE id = ?',
+            [attempt.id]
+        );
+        const updated = await User.markPhoneVerified(user.id);
+        console.log(`[Phone Verification] Phone verified for user: ${user.id}`);
+
+        res.json({
+            success: true,
+            message: 'Phone number verified',
+            phone: updated.phone,
+            phoneVerified: true
+        });
+
+    } catch (error) {
+        console.error('[Phone Verification] Verify error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to verify phone number'
+        });
+    }
+});
+
+module.exports = router;
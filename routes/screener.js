@@ -0,0 +1,141 @@
+/**
+ * Screener Routes
+ * COT Pulse Backend
+ *
+ * Rank every market by a positioning metric for one trader group, e.g. "which markets
+ * have commercials at a 3-year extreme?". Reads the analytics precomputed at ingest
+ * (models/CotAnalytics.js), so it never touches raw report history. Only markets in the
+ * latest report of the chosen type are ranked. Pro only.
+ */
+
+const express = require('express');
+const CotAnalytics = require('../models/CotAnalytics');
+const { authenticateTokenOrApiKey, requireEntitlement } = require('./auth');
+const { REPORT_TYPES, TRADER_GROUPS, LOOKBACK_WEEKS, DEFAULT_LOOKBACK_WEEKS, isTraderGroup } = require('../utils/cotReports');
+
+const router = express.Router();
+
+// Metrics on the 0-100 scale, which are the only ones `extreme` applies to
+const SCALED_METRICS = ['cot_index', 'percentile'];
+
+/**
+ * Parse an optional numeric query value. Returns { value } or { error }.
+ */
+function parseNumber(query, field) {
+    if (query[field] === undefined || query[field] === '') return { value: undefined };
+    const value = Number(query[field]);
+    if (!Number.isFinite(value)) return { error: `${field} must be a number` };
+    return { value };
+}
+
+/**
+ * Validate the screener query. Returns { options } or { error }.
+ */
+function parseScreen(query) {
+    const reportType = query.report || 'legacy';
+    if (!REPORT_TYPES.includes(reportType)) {
+        return { error: `report must be one of: ${REPORT_TYPES.join(', ')}` };
+    }
+
+    const traderGroup = query.traderGroup;
+    if (!isTraderGroup(reportType, traderGroup)) {
+        return { error: `traderGroup must be one of: ${TRADER_GROUPS[reportType].join(', ')}` };
+    }
+
+    const lookbackWeeks = query.lookback ? Number(query.lookback) : DEFAULT_LOOKBACK_WEEKS;
+    if (!LOOKBACK_WEEKS.includes(lookbackWeeks)) {
+        return { error: `lookback must be one of: ${LOOKBACK_WEEKS.join(', ')}` };
+    }
+
+    const metric = query.metric || 'cot_index';
+    if (!CotAnalytics.SCREENER_METRICS.includes(metric)) {
+        return { error: `metric must be one of: ${CotAnalytics.SCREENER_METRICS.join(', ')}` };
+    }
+
+    const order = query.order || 'desc';
+    if (!['asc', 'desc'].includes(order)) {
+        return { error: 'order must be asc or desc' };
+    }
+
+    const numbers = {};
+    for (const field of ['min', 'max', 'extreme']) {
+        const { value, error } = parseNumber(query, field);
+        if (error) return { error };
+        numbers[field] = value;
+    }
+    if (numbers.extreme !== undefined) {
+        if (!SCALED_METRICS.includes(metric)) {
+            return { error: `extreme only applies to ${SCALED_METRICS.join(' and ')}` };
+        }
+        if (numbers.extreme < 0 || numbers.extreme > 50) {
+            return { error: 'extreme must be between 0 and 50' };
+        }
+    }
+
+    // category=a,b and category=a&category=b are both accepted
+    const categoryValues = query.category === undefined ? [] : [].concat(query.category);
+    if (categoryValues.some(value => typeof value !== 'string')) {
+        return { error: 'category must be a comma-separated list of categories' };
+    }
+    const categories = categoryValues
+        .flatMap(value => value.split(','))
+        .map(category => category.trim())
+        .filter(Boolean);
+
+    return {
+        options: { reportType, traderGroup, lookbackWeeks, metric, order, categories, ...numbers }
+    };
+}
+
+/**
+ * GET /api/screener
+ * Markets ranked by a metric for one trader group (Pro).
+ * Query: traderGroup (required), report (default legacy), lookback (26|52|156, default 156),
+ * metric (cot_index|percentile|z_score|net_change|net_change_percent|open_interest_change|
+ * open_interest_change_percent, default cot_index), order (asc|desc, default desc),
+ * min, max, extreme (0-50: within this far of 0 or 100, most extreme first),
+ * category (comma-separated or repeated), page, limit (max 100).
+ * reportDate in the response is the report the ranking is for.
+ */
+router.get('/', authenticateTokenOrApiKey('markets:read'), requireEntitlement('screener'), async (req, res) => {
+    try {
+        const { options, error } = parseScreen(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 50));
+
+        const { results, total, reportDate } = await CotAnalytics.screen({
+            ...options,
+            limit,
+            offset: (page - 1) * limit
+        });
+
+        res.json({
+            success: true,
+            screen: options,
+            reportDate,
+            results,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('[Screener] Screen error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to run screener'
+        });
+    }
+});
+
+module.exports = router;
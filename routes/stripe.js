@@ -5,7 +5,7 @@
 
 const express = require('express');
 const Stripe = require('stripe');
-const { authenticateToken } = require('./auth');
+const { authenticateToken, rejectImpersonation } = require('./auth');
 const User = require('../models/User');
 const db = require('../db');
 const { sendSubscriptionEmail } = require('../utils/email');
@@ -18,6 +18,9 @@ const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 // Frontend URLs
 const FRONTEND_URL = process.env.FRONTEND_URL || 'https://www.cotpulse.com';
 
+// Require a verified email address before checkout (set REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT=true)
+const REQUIRE_VERIFIED_EMAIL = process.env.REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT === 'true';
+
 // ============================================
 // CHECKOUT SESSION
 // ============================================
@@ -27,7 +30,7 @@ const FRONTEND_URL = process.env.FRONTEND_URL || 'https://www.cotpulse.com';
  * Create a Stripe checkout session for Pro subscription
  * Requires authentication
  */
-router.post('/create-checkout-session', authenticateToken, async (req, res) => {
+router.post('/create-checkout-session', authenticateToken, rejectImpersonation, async (req, res) => {
     try {
         const userId = req.userId;
         const userEmail = req.userEmail;
@@ -46,6 +49,14 @@ router.post('/create-checkout-session', authenticateToken, async (req, res) => {
             });
         }
 
+        if (REQUIRE_VERIFIED_EMAIL && !user.email_verified) {
+            return res.status(403).json({
+                success: false,
+                error: 'Please verify your email address before subscribing',
+                code: 'EMAIL_NOT_VERIFIED'
+            });
+        }
+
         // Check if user already has Pro subscription
         if (user.subscription_tier === 'pro' && user.subscription_status === 'active') {
             return res.status(400).json({
@@ -59,7 +70,7 @@ router.post('/create-checkout-session', authenticateToken, async (req, res) => {
 
         if (!customerId) {
             const customer = await stripe.customers.create({
-                email: userEmail,
+                email: user.email,
                 metadata: {
                     userId: userId
                 }
@@ -147,7 +158,7 @@ router.get('/session/:sessionId', async (req, res) => {
  * POST /api/stripe/create-portal-session
  * Create a Stripe customer portal session for managing subscription
  */
-router.post('/create-portal-session', authenticateToken, async (req, res) => {
+router.post('/create-portal-session', authenticateToken, rejectImpersonation, async (req, res) => {
     try {
         const user = await User.findById(req.userId);
 
@@ -177,7 +188,49 @@ router.post('/create-portal-session', authenticateToken, async (req, res) => {
     }
 });
 
+// ============================================
+// CUSTOMER SYNC
+// ============================================
+
+/**
+ * Update the Stripe customer's email after the user changes theirs
+ */
+async function syncCustomerEmail(user) {
+    if (!user || !user.stripe_customer_id) return;
+
+    await stripe.customers.update(user.stripe_customer_id, {
+        email: user.email
+    });
+    console.log(`[Stripe] Customer email synced for user ${user.id}`);
+}
+
+/**
+ * Cancel all of a customer's live subscriptions immediately (account deletion)
+ */
+async function cancelCustomerSubscriptions(user) {
+    if (!user || !user.stripe_customer_id) return 0;
+
+    const subscriptions = await stripe.subscriptions.list({
+        customer: user.stripe_customer_id,
+        status: 'all',
+        limit: 100
+    });
+
+    let canceled = 0;
+    for (const subscription of subscriptions.data) {
+        if (['active', 'trialing', 'past_due', 'unpaid', 'incomplete'].includes(subscription.status)) {
+            await stripe.subscriptions.cancel(subscription.id);
+            canceled++;
+        }
+    }
+
+    console.log(`[Stripe] Canceled ${canceled} subscription(s) for user ${user.id}`);
+    return canceled;
+}
+
 module.exports = router;
+module.exports.syncCustomerEmail = syncCustomerEmail;
+module.exports.cancelCustomerSubscriptions = cancelCustomerSubscriptions;
 
 // ============================================
 // WEBHOOK HANDLER (exported separately)
@@ -282,7 +335,8 @@ async function handleSubscriptionUpdate(subscription) {
         return;
     }
 
-    const tier = (status === 'active' || status === 'trialing') ? 'pro' : 'free';
+    // past_due keeps the tier; the entitlements module applies the grace period
+    const tier = ['active', 'trialing', 'past_due'].includes(status) ? 'pro' : 'free';
     const subStatus = status === 'active' ? 'active' : status;
 
     await User.updateSubscription(userId, tier, subStatus);
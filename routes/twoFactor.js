@@ -0,0 +1,245 @@
+/**
+ * Two-Factor Authentication Routes
+ * COT Pulse Backend
+ *
+ * Enrollment and management. The login challenge step lives in routes/auth.js.
+ * Wrong passwords and codes here count toward the login lockout (see rejectLockedOut).
+ */
+
+const express = require('express');
+const User = require('../models/User');
+const TwoFactor = require('../models/TwoFactor');
+const { authenticateToken, rejectImpersonation, rejectLockedOut, recordLoginFailure } = require('./auth');
+
+const router = express.Router();
+
+/**
+ * GET /api/auth/2fa
+ * Get the user's 2FA status
+ */
+router.get('/2fa', authenticateToken, async (req, res) => {
+    try {
+        const user = await User.findById(req.userId);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            enabled: !!user.two_factor_enabled,
+            recoveryCodesRemaining: user.two_factor_enabled
+                ? await TwoFactor.remainingRecoveryCodes(user.id)
+                : 0
+        });
+
+    } catch (error) {
+        console.error('[2FA] Status error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to get two-factor status'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Generate a new secret and otpauth URI. 2FA is not active until confirmed.
+ */
+router.post('/2fa/setup', authenticateToken, rejectImpersonation, async (req, res) => {
+    try {
+        const { password } = req.body;
+        const user = await User.findById(req.userId);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        if (user.two_factor_enabled) {
+            return res.status(400).json({
+                success: false,
+                error: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        if (rejectLockedOut(user, res)) return;
+
+        if (!await User.checkPassword(user.id, password)) {
+            await recordLoginFailure(user);
+            return res.status(401).json({
+                success: false,
+                error: 'Incorrect password'
+            });
+        }
+
+        const { secret, otpauthUrl } = await TwoFactor.startEnrollment(user);
+        console.log(`[2FA] Enrollment started for user: ${user.id}`);
+
+        res.json({
+            success: true,
+            secret,
+            otpauthUrl
+        });
+
+    } catch (error) {
+        console.error('[2FA] Setup error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to start two-factor setup'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/2fa/confirm
+ * Confirm enrollment with a code from the authenticator app.
+ * Returns recovery codes, which are only shown this once.
+ */
+router.post('/2fa/confirm', authenticateToken, rejectImpersonation, async (req, res) => {
+    try {
+        const { code } = req.body;
+        const user = await User.findById(req.userId);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                error: 'User not found'
+            });
+        }
+
+        if (user.two_factor_enabled) {
+            return res.status(400).json({
+                success: false,
+                error: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        if (rejectLockedOut(user, res)) return;
+
+        if (!code || !await TwoFactor.verifyTotp(user.id, String(code).trim())) {
+            await recordLoginFailure(user);
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid verification code'
+            });
+        }
+
+        const recoveryCodes = await TwoFactor.enable(user.id);
+        console.log(`[2FA] Enabled for user: ${user.id}`);
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled',
+            recoveryCodes
+        });
+
+    } catch (error) {
+        console.error('[2FA] Confirm error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to enable two-factor authentication'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turn off 2FA. Requires the password and a current code or recovery code.
+ */
+router.post('/2fa/disable', authenticateToken, rejectImpersonation, async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+        const user = await User.findById(req.userId);
+
+        if (!user || !user.two_factor_enabled) {
+            return res.status(400).json({
+                success: false,
+                error: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        if (rejectLockedOut(user, res)) return;
+
+        if (!await User.checkPassword(user.id, password)) {
+            await recordLoginFailure(user);
+            return res.status(401).json({
+                success: false,
+                error: 'Incorrect password'
+            });
+        }
+
+        if (!await TwoFactor.verify(user.id, { code, recoveryCode })) {
+            await recordLoginFailure(user);
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid verification code'
+            });
+        }
+
+        await TwoFactor.disable(user.id);
+        console.log(`[2FA] Disabled for user: ${user.id}`);
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+
+    } catch (error) {
+        console.error('[2FA] Disable error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to disable two-factor authentication'
+        });
+    }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Replace all recovery codes. Requires a current code.
+ */
+router.post('/2fa/recovery-codes', authenticateToken, rejectImpersonation, async (req, res) => {
+    try {
+        const { code } = req.body;
+        const user = await User.findById(req.userId);
+
+        if (!user || !user.two_factor_enabled) {
+            return res.status(400).json({
+                success: false,
+                error: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        if (rejectLockedOut(user, res)) return;
+
+        if (!code || !await TwoFactor.verifyTotp(user.id, String(code).trim())) {
+            await recordLoginFailure(user);
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid verification code'
+            });
+        }
+
+        const recoveryCodes = await TwoFactor.generateRecoveryCodes(user.id);
+        console.log(`[2FA] Recovery codes regenerated for user: ${user.id}`);
+
+        res.json({
+            success: true,
+            recoveryCodes
+        });
+
+    } catch (error) {
+        console.error('[2FA] Recovery codes error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to generate recovery codes'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,528 @@
+/**
+ * Watchlist Item Routes
+ * COT Pulse Backend
+ *
+ * Symbols in one watchlist. Mounted at /api/watchlist (the user's default list)
+ * and at /api/watchlists/:id/items (any of their named lists).
+ * Symbols must exist in the markets table and list size is capped by the user's plan.
+ */
+
+const express = require('express');
+const User = require('../models/User');
+const Watchlist = require('../models/Watchlist');
+const Market = require('../models/Market');
+const { authenticateTokenOrApiKey, requireEntitlement } = require('./auth');
+const { getLimit } = require('../utils/entitlements');
+const { normalizeSymbol } = require('../utils/marketCatalog');
+const { toCsv, parseCsv } = require('../utils/csv');
+
+const router = express.Router({ mergeParams: true });
+
+// Longest note allowed on a watchlist symbol
+const MAX_NOTES_LENGTH = 500;
+
+// Most rows accepted in one import
+const MAX_IMPORT_ROWS = 500;
+
+// Columns in CSV exports (imports read symbol and notes)
+const EXPORT_COLUMNS = [
+    { key: 'symbol', header: 'symbol' },
+    { key: 'name', header: 'name' },
+    { key: 'category', header: 'category' },
+    { key: 'notes', header: 'notes' },
+    { key: 'addedAt', header: 'added_at' }
+];
+
+/**
+ * Resolve the watchlist being edited onto req.watchlist:
+ * the :id list when mounted under /api/watchlists, otherwise the default list
+ */
+async function resolveWatchlist(req, res, next) {
+    try {
+        const watchlist = req.params.id
+            ? await Watchlist.findById(req.userId, req.params.id)
+            : await Watchlist.getOrCreateDefault(req.userId);
+
+        if (!watchlist) {
+            return res.status(404).json({
+                success: false,
+                error: 'Watchlist not found'
+            });
+        }
+
+        req.watchlist = watchlist;
+        next();
+
+    } catch (error) {
+        console.error('[Watchlist] Lookup error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load watchlist'
+        });
+    }
+}
+
+/**
+ * Validate optional notes. Returns { notes } or { error }.
+ */
+function parseNotes(notes) {
+    if (notes === undefined || notes === null || notes === '') return { notes: null };
+
+    if (typeof notes !== 'string' || notes.length > MAX_NOTES_LENGTH) {
+        return { error: `Notes must be text of at most ${MAX_NOTES_LENGTH} characters` };
+    }
+    return { notes: notes.trim() || null };
+}
+
+/**
+ * Send the 403 for a full watchlist
+ */
+function sendLimitReached(res, limit) {
+    return res.status(403).json({
+        success: false,
+        error: `Your plan allows up to ${limit} symbols per watchlist. Upgrade to Pro for more.`,
+        code: 'LIMIT_REACHED',
+        limit
+    });
+}
+
+/**
+ * Validate a list of symbols for reorder/replace.
+ * Returns { markets } or { error }.
+ */
+async function resolveSymbols(symbols) {
+    if (!Array.isArray(symbols)) {
+        return { error: 'symbols must be an array' };
+    }
+
+    const markets = [];
+    const seen = new Set();
+
+    for (const raw of symbols) {
+        const market = await Market.findBySymbol(raw);
+        if (!market) {
+            return { error: `Unknown market symbol: ${raw}` };
+        }
+        if (seen.has(market.symbol)) {
+            return { error: `Duplicate symbol: ${market.symbol}` };
+        }
+        seen.add(market.symbol);
+        markets.push(market);
+    }
+
+    return { markets };
+}
+
+/**
+ * Read import rows from the request.
+ * Accepts a text/csv body, a JSON array (of symbols or { symbol, notes } objects),
+ * a JSON object with an items/symbols array (the JSON export format), or { csv: '...' }.
+ * Returns { rows: [{ row, symbol, notes }] } or { error }.
+ */
+function readImportRows(req) {
+    const body = req.body;
+
+    let csvText = null;
+    if (typeof body === 'string') csvText = body;
+    else if (body && typeof body.csv === 'string') csvText = body.csv;
+
+    if (csvText !== null) {
+        const lines = parseCsv(csvText);
+        if (lines.length === 0) return { error: 'The CSV file is empty' };
+
+        // Header row is optional; without one the first column is the symbol
+        const header = lines[0].map(cell => cell.trim().toLowerCase());
+        const hasHeader = header.includes('symbol');
+        const symbolIndex = hasHeader ? header.indexOf('symbol') : 0;
+        const notesIndex = hasHeader ? header.indexOf('notes') : -1;
+
+        return {
+            rows: lines.slice(hasHeader ? 1 : 0).map(line => ({
+                row: line.line,
+                symbol: (line[symbolIndex] || '').trim(),
+                notes: notesIndex >= 0 ? line[notesIndex] : undefined
+            }))
+        };
+    }
+
+    const entries = Array.isArray(body) ? body : body && (body.items || body.symbols);
+    if (!Array.isArray(entries)) {
+        return { error: 'Send a CSV file (Content-Type: text/csv) or a JSON array of symbols' };
+    }
+
+    return {
+        rows: entries.map((entry, index) => ({
+            row: index + 1,
+            symbol: typeof entry === 'string' ? entry.trim() : entry && typeof entry.symbol === 'string' ? entry.symbol.trim() : '',
+            notes: entry && typeof entry === 'object' ? entry.notes : undefined
+        }))
+    };
+}
+
+/**
+ * GET /api/watchlist
+ * List the watchlist's symbols in display order
+ */
+router.get('/', authenticateTokenOrApiKey('watchlist:read'), resolveWatchlist, async (req, res) => {
+    try {
+        const user = await User.findById(req.userId);
+        const watchlist = await Watchlist.findItems(req.watchlist.id);
+
+        res.json({
+            success: true,
+            watchlistId: req.watchlist.id,
+            watchlist,
+            limit: getLimit(user, 'watchlistSymbols')
+        });
+
+    } catch (error) {
+        console.error('[Watchlist] List error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load watchlist'
+        });
+    }
+});
+
+/**
+ * POST /api/watchlist
+ * Add a symbol to the end of the watchlist. Body: { symbol, notes }
+ */
+router.post('/', authenticateTokenOrApiKey('watchlist:write'), resolveWatchlist, async (req, res) => {
+    try {
+        const market = await Market.findBySymbol(req.body.symbol);
+
+        if (!market) {
+            return res.status(400).json({
+                success: false,
+                error: 'Unknown market symbol'
+            });
+        }
+
+        const { notes, error } = parseNotes(req.body.notes);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+
+        if (await Watchlist.hasItem(req.watchlist.id, market.symbol)) {
+            return res.status(409).json({
+                success: false,
+                error: `${market.symbol} is already in this watchlist`
+            });
+        }
+
+        const user = await User.findById(req.userId);
+        const limit = getLimit(user, 'watchlistSymbols');
+        if (limit !== null && await Watchlist.countItems(req.watchlist.id) >= limit) {
+            return sendLimitReached(res, limit);
+        }
+
+        const item = await Watchlist.addItem(req.userId, req.watchlist.id, market, notes);
+        console.log(`[Watchlist] ${market.symbol} added to ${req.watchlist.id} for user: ${req.userId}`);
+
+        res.status(201).json({
+            success: true,
+            item
+        });
+
+    } catch (error) {
+        console.error('[Watchlist] Add error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to add symbol'
+        });
+    }
+});
+
+/**
+ * GET /api/watchlist/export?format=csv|json
+ * Download the watchlist as a CSV or JSON file (Pro)
+ */
+router.get('/export', authenticateTokenOrApiKey('watchlist:read'), requireEntitlement('export'), resolveWatchlist, async (req, res) => {
+    try {
+        const format = req.query.format || 'csv';
+
+        if (!['csv', 'json'].includes(format)) {
+            return res.status(400).json({
+                success: false,
+                error: 'format must be csv or json'
+            });
+        }
+
+        const items = await Watchlist.findItems(req.watchlist.id);
+        const slug = req.watchlist.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'watchlist';
+        const filename = `cotpulse-${slug}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+        if (format === 'csv') {
+            res.type('text/csv').send(toCsv(items, EXPORT_COLUMNS));
+        } else {
+            res.json({
+                name: req.watchlist.name,
+                exportedAt: new Date().toISOString(),
+                items: items.map(item => ({
+                    symbol: item.symbol,
+                    name: item.name,
+                    category: item.category,
+                    notes: item.notes,
+                    addedAt: item.addedAt
+                }))
+            });
+        }
+
+    } catch (error) {
+        console.error('[Watchlist] Export error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to export watchlist'
+        });
+    }
+});
+
+/**
+ * POST /api/watchlist/import[?dryRun=true]
+ * Add symbols from a CSV or JSON file to the end of the watchlist.
+ * Valid rows are added even if others fail; each row gets its own result.
+ * The valid rows are saved in one insert, so a failure saves none of them.
+ * With dryRun nothing is saved.
+ */
+router.post('/import',
+    express.text({ type: ['text/csv', 'text/plain'], limit: '100kb' }),
+    authenticateTokenOrApiKey('watchlist:write'),
+    resolveWatchlist,
+    async (req, res) => {
+        try {
+            const dryRun = req.query.dryRun === 'true' || (req.body && req.body.dryRun === true);
+            const { rows, error } = readImportRows(req);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error
+                });
+            }
+
+            if (rows.length > MAX_IMPORT_ROWS) {
+                return res.status(400).json({
+                    success: false,
+                    error: `Imports are limited to ${MAX_IMPORT_ROWS} rows`
+                });
+            }
+
+            const user = await User.findById(req.userId);
+            const limit = getLimit(user, 'watchlistSymbols');
+            const existing = new Set((await Watchlist.findItems(req.watchlist.id)).map(item => item.symbol));
+            const seen = new Set();
+            let count = existing.size;
+
+            const results = [];
+            const toAdd = [];
+
+            for (const row of rows) {
+                const market = await Market.findBySymbol(row.symbol);
+                const { notes, error: notesError } = parseNotes(row.notes);
+                let rowError = null;
+
+                if (!row.symbol) {
+                    rowError = 'Missing symbol';
+                } else if (!market) {
+                    rowError = 'Unknown market symbol';
+                } else if (seen.has(market.symbol)) {
+                    rowError = 'Duplicate symbol in import';
+                } else if (existing.has(market.symbol)) {
+                    rowError = 'Already in this watchlist';
+                } else if (notesError) {
+                    rowError = notesError;
+                } else if (limit !== null && count >= limit) {
+                    rowError = `Over your plan limit of ${limit} symbols per watchlist`;
+                }
+
+                if (market) seen.add(market.symbol);
+
+                if (rowError) {
+                    results.push({ row: row.row, symbol: market ? market.symbol : row.symbol, status: 'error', error: rowError });
+                } else {
+                    results.push({ row: row.row, symbol: market.symbol, status: 'added' });
+                    toAdd.push({ market, notes });
+                    count++;
+                }
+            }
+
+            if (!dryRun) {
+                await Watchlist.addItems(req.userId, req.watchlist.id, toAdd);
+                console.log(`[Watchlist] Imported ${toAdd.length} of ${rows.length} rows into ${req.watchlist.id} for user: ${req.userId}`);
+            }
+
+            res.json({
+                success: true,
+                dryRun,
+                summary: {
+                    rows: rows.length,
+                    added: toAdd.length,
+                    errors: rows.length - toAdd.length
+                },
+                results
+            });
+
+        } catch (error) {
+            console.error('[Watchlist] Import error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to import watchlist'
+            });
+        }
+    }
+);
+
+/**
+ * PUT /api/watchlist/order
+ * Reorder the watchlist. Body: { symbols } - every current symbol, in the new order
+ */
+router.put('/order', authenticateTokenOrApiKey('watchlist:write'), resolveWatchlist, async (req, res) => {
+    try {
+        const { markets, error } = await resolveSymbols(req.body.symbols);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+
+        const current = await Watchlist.findItems(req.watchlist.id);
+        const currentSymbols = new Set(current.map(item => item.symbol));
+
+        if (markets.length !== current.length || !markets.every(market => currentSymbols.has(market.symbol))) {
+            return res.status(400).json({
+                success: false,
+                error: 'symbols must contain exactly the symbols in this watchlist'
+            });
+        }
+
+        const watchlist = await Watchlist.reorderItems(req.watchlist.id, markets.map(market => market.symbol));
+
+        res.json({
+            success: true,
+            watchlist
+        });
+
+    } catch (error) {
+        console.error('[Watchlist] Reorder error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to reorder watchlist'
+        });
+    }
+});
+
+/**
+ * PUT /api/watchlist
+ * Replace the whole watchlist (drag-and-drop editor). Body: { symbols }
+ */
+router.put('/', authenticateTokenOrApiKey('watchlist:write'), resolveWatchlist, async (req, res) => {
+    try {
+        const { markets, error } = await resolveSymbols(req.body.symbols);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+
+        const user = await User.findById(req.userId);
+        const limit = getLimit(user, 'watchlistSymbols');
+        if (limit !== null && markets.length > limit) {
+            return sendLimitReached(res, limit);
+        }
+
+        const watchlist = await Watchlist.replaceItems(req.userId, req.watchlist.id, markets);
+        console.log(`[Watchlist] ${req.watchlist.id} replaced with ${markets.length} symbols for user: ${req.userId}`);
+
+        res.json({
+            success: true,
+            watchlist
+        });
+
+    } catch (error) {
+        console.error('[Watchlist] Replace error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update watchlist'
+        });
+    }
+});
+
+/**
+ * PATCH /api/watchlist/:symbol
+ * Update the notes on a symbol. Body: { notes }
+ */
+router.patch('/:symbol', authenticateTokenOrApiKey('watchlist:write'), resolveWatchlist, async (req, res) => {
+    try {
+        const { notes, error } = parseNotes(req.body.notes);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+
+        const symbol = normalizeSymbol(req.params.symbol);
+        const item = await Watchlist.updateItemNotes(req.watchlist.id, symbol, notes);
+
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                error: `${symbol} is not in this watchlist`
+            });
+        }
+
+        res.json({
+            success: true,
+            item
+        });
+
+    } catch (error) {
+        console.error('[Watchlist] Update notes error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update notes'
+        });
+    }
+});
+
+/**
+ * DELETE /api/watchlist/:symbol
+ * Remove a symbol from the watchlist
+ */
+router.delete('/:symbol', authenticateTokenOrApiKey('watchlist:write'), resolveWatchlist, async (req, res) => {
+    try {
+        const symbol = normalizeSymbol(req.params.symbol);
+        const removed = await Watchlist.removeItem(req.watchlist.id, symbol);
+
+        if (!removed) {
+            return res.status(404).json({
+                success: false,
+                error: `${symbol} is not in this watchlist`
+            });
+        }
+
+        console.log(`[Watchlist] ${symbol} removed for user: ${req.userId}`);
+
+        res.json({
+            success: true,
+            message: `${symbol} removed from this watchlist`
+        });
+
+    } catch (error) {
+        console.error('[Watchlist] Remove error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to remove symbol'
+        });
+    }
+});
+
+module.exports = router;
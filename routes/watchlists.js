@@ -0,0 +1,361 @@
+/**
+ * Named Watchlist Routes
+ * COT Pulse Backend
+ *
+ * Create, rename, order and delete watchlists, and manage read-only share links.
+ * Symbols inside a list are handled by the item routes at /api/watchlists/:id/items.
+ */
+
+const express = require('express');
+const User = require('../models/User');
+const Watchlist = require('../models/Watchlist');
+const { authenticateTokenOrApiKey, rejectImpersonation } = require('./auth');
+const { getLimit } = require('../utils/entitlements');
+const { rateLimit } = require('../utils/rateLimit');
+const watchlistItemRoutes = require('./watchlist');
+
+const router = express.Router();
+
+// Frontend URL shared links point to
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://www.cotpulse.com';
+
+// Longest watchlist name
+const MAX_NAME_LENGTH = 60;
+
+// Public share links are unauthenticated, so cap lookups per client IP
+const sharedWatchlistLimit = rateLimit({
+    name: 'shared-watchlist-ip',
+    windowMs: 60 * 1000,
+    max: 60
+});
+
+/**
+ * Validate a watchlist name. Returns { name } or { error }.
+ */
+function parseName(name) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+        return { error: `Watchlist name must be between 1 and ${MAX_NAME_LENGTH} characters` };
+    }
+    return { name: name.trim() };
+}
+
+/**
+ * Add the public link to a list that is being shared
+ */
+function withShareUrl(watchlist) {
+    return {
+        ...watchlist,
+        shareUrl: watchlist.shareToken ? `${FRONTEND_URL}/watchlists/shared/${watchlist.shareToken}` : null
+    };
+}
+
+/**
+ * Load the :id list or send a 404. Returns null if a response was sent.
+ */
+async function loadWatchlist(req, res) {
+    const watchlist = await Watchlist.findById(req.userId, req.params.id);
+    if (!watchlist) {
+        res.status(404).json({
+            success: false,
+            error: 'Watchlist not found'
+        });
+        return null;
+    }
+    return watchlist;
+}
+
+/**
+ * GET /api/watchlists/shared/:token
+ * Public, read-only view of a shared list (no notes or owner details)
+ */
+router.get('/shared/:token', sharedWatchlistLimit, async (req, res) => {
+    try {
+        const watchlist = await Watchlist.findByShareToken(req.params.token);
+
+        if (!watchlist) {
+            return res.status(404).json({
+                success: false,
+                error: 'This shared watchlist does not exist or is no longer shared'
+            });
+        }
+
+        const items = await Watchlist.findItems(watchlist.id);
+
+        res.json({
+            success: true,
+            watchlist: {
+                name: watchlist.name,
+                sharedAt: watchlist.sharedAt,
+                symbols: items.map(item => ({
+                    symbol: item.symbol,
+                    name: item.name,
+                    category: item.category
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('[Watchlists] Shared view error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load shared watchlist'
+        });
+    }
+});
+
+/**
+ * GET /api/watchlists
+ * List the user's watchlists in display order
+ */
+router.get('/', authenticateTokenOrApiKey('watchlist:read'), async (req, res) => {
+    try {
+        // Make sure every user sees at least their default list
+        await Watchlist.getOrCreateDefault(req.userId);
+
+        const user = await User.findById(req.userId);
+        const watchlists = await Watchlist.findAllByUserId(req.userId);
+
+        res.json({
+            success: true,
+            watchlists: watchlists.map(withShareUrl),
+            limit: getLimit(user, 'watchlists')
+        });
+
+    } catch (error) {
+        console.error('[Watchlists] List error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load watchlists'
+        });
+    }
+});
+
+/**
+ * POST /api/watchlists
+ * Create a named watchlist. Body: { name }
+ */
+router.post('/', authenticateTokenOrApiKey('watchlist:write'), async (req, res) => {
+    try {
+        const { name, error } = parseName(req.body.name);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+
+        await Watchlist.getOrCreateDefault(req.userId);
+
+        const user = await User.findById(req.userId);
+        const limit = getLimit(user, 'watchlists');
+        if (limit !== null && await Watchlist.count(req.userId) >= limit) {
+            return res.status(403).json({
+                success: false,
+                error: `Your plan allows up to ${limit} watchlist${limit === 1 ? '' : 's'}. Upgrade to Pro for more.`,
+                code: 'LIMIT_REACHED',
+                limit
+            });
+        }
+
+        const watchlist = await Watchlist.create(req.userId, name);
+        console.log(`[Watchlists] Watchlist ${watchlist.id} created for user: ${req.userId}`);
+
+        res.status(201).json({
+            success: true,
+            watchlist: withShareUrl(watchlist)
+        });
+
+    } catch (error) {
+        console.error('[Watchlists] Create error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create watchlist'
+        });
+    }
+});
+
+/**
+ * PUT /api/watchlists/order
+ * Reorder watchlists. Body: { ids } - every watchlist ID, in the new order
+ */
+router.put('/order', authenticateTokenOrApiKey('watchlist:write'), async (req, res) => {
+    try {
+        const { ids } = req.body;
+        const current = await Watchlist.findAllByUserId(req.userId);
+        const currentIds = new Set(current.map(watchlist => watchlist.id));
+
+        if (!Array.isArray(ids) || ids.length !== current.length ||
+            new Set(ids).size !== ids.length || !ids.every(id => currentIds.has(id))) {
+            return res.status(400).json({
+                success: false,
+                error: 'ids must contain exactly the IDs of your watchlists'
+            });
+        }
+
+        const watchlists = await Watchlist.reorderLists(req.userId, ids);
+
+        res.json({
+            success: true,
+            watchlists: watchlists.map(withShareUrl)
+        });
+
+    } catch (error) {
+        console.error('[Watchlists] Reorder error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to reorder watchlists'
+        });
+    }
+});
+
+/**
+ * GET /api/watchlists/:id
+ * One watchlist with its symbols
+ */
+router.get('/:id', authenticateTokenOrApiKey('watchlist:read'), async (req, res) => {
+    try {
+        const watchlist = await loadWatchlist(req, res);
+        if (!watchlist) return;
+
+        const items = await Watchlist.findItems(watchlist.id);
+
+        res.json({
+            success: true,
+            watchlist: {
+                ...withShareUrl(watchlist),
+                itemCount: items.length,
+                items
+            }
+        });
+
+    } catch (error) {
+        console.error('[Watchlists] Get error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load watchlist'
+        });
+    }
+});
+
+/**
+ * PATCH /api/watchlists/:id
+ * Rename a watchlist. Body: { name }
+ */
+router.patch('/:id', authenticateTokenOrApiKey('watchlist:write'), async (req, res) => {
+    try {
+        const { name, error } = parseName(req.body.name);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error
+            });
+        }
+
+        const watchlist = await loadWatchlist(req, res);
+        if (!watchlist) return;
+
+        const updated = await Watchlist.rename(req.userId, watchlist.id, name);
+
+        res.json({
+            success: true,
+            watchlist: withShareUrl(updated)
+        });
+
+    } catch (error) {
+        console.error('[Watchlists] Rename error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to rename watchlist'
+        });
+    }
+});
+
+/**
+ * DELETE /api/watchlists/:id
+ * Delete a watchlist and its symbols. The default list can't be deleted.
+ */
+router.delete('/:id', authenticateTokenOrApiKey('watchlist:write'), async (req, res) => {
+    try {
+        const watchlist = await loadWatchlist(req, res);
+        if (!watchlist) return;
+
+        if (watchlist.isDefault) {
+            return res.status(400).json({
+                success: false,
+                error: 'Your default watchlist cannot be deleted'
+            });
+        }
+
+        await Watchlist.delete(req.userId, watchlist.id);
+        console.log(`[Watchlists] Watchlist ${watchlist.id} deleted for user: ${req.userId}`);
+
+        res.json({
+            success: true,
+            message: 'Watchlist deleted'
+        });
+
+    } catch (error) {
+        console.error('[Watchlists] Delete error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete watchlist'
+        });
+    }
+});
+
+/**
+ * POST /api/watchlists/:id/share
+ * Create a read-only share link. Calling it again replaces the old link.
+ */
+router.post('/:id/share', authenticateTokenOrApiKey('watchlist:write'), rejectImpersonation, async (req, res) => {
+    try {
+        const watchlist = await loadWatchlist(req, res);
+        if (!watchlist) return;
+
+        const shared = await Watchlist.share(req.userId, watchlist.id);
+        console.log(`[Watchlists] Share link created for ${watchlist.id} by user: ${req.userId}`);
+
+        res.json({
+            success: true,
+            watchlist: withShareUrl(shared)
+        });
+
+    } catch (error) {
+        console.error('[Watchlists] Share error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to share watchlist'
+        });
+    }
+});
+
+/**
+ * DELETE /api/watchlists/:id/share
+ * Revoke the share link
+ */
+router.delete('/:id/share', authenticateTokenOrApiKey('watchlist:write'), rejectImpersonation, async (req, res) => {
+    try {
+        const watchlist = await loadWatchlist(req, res);
+        if (!watchlist) return;
+
+        const updated = await Watchlist.unshare(req.userId, watchlist.id);
+        console.log(`[Watchlists] Share link revoked for ${watchlist.id} by user: ${req.userId}`);
+
+        res.json({
+            success: true,
+            watchlist: withShareUrl(updated)
+        });
+
+    } catch (error) {
+        console.error('[Watchlists] Unshare error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to revoke share link'
+        });
+    }
+});
+
+// Symbols within a list
+router.use('/:id/items', watchlistItemRoutes);
+
+module.exports = router;
@@ -0,0 +1,359 @@
+/**
+ * Webhook Routes
+ * COT Pulse Backend
+ *
+ * Register endpoints that receive alert triggers as signed JSON. Like API keys,
+ * webhooks are managed from a logged-in session only, and signing secrets are only
+ * shown when created or rotated. Signature details are in utils/webhooks.js.
+ */
+
+const express = require('express');
+const Webhook = require('../models/Webhook');
+const { authenticateToken, rejectImpersonation, requireEntitlement } = require('./auth');
+const { sendTestEvent, MAX_ATTEMPTS, AUTO_DISABLE_AFTER_FAILURES } = require('../utils/webhooks');
+const { resolvePublicAddress } = require('../utils/netGuard');
+const { rateLimit } = require('../utils/rateLimit');
+
+const router = express.Router();
+
+// Longest accepted endpoint URL and description
+const MAX_URL_LENGTH = 2048;
+const MAX_DESCRIPTION_LENGTH = 200;
+
+// Test events per user per hour (each one is a request from our servers)
+const testEventLimit = rateLimit({
+    name: 'webhook-test',
+    windowMs: 60 * 60 * 1000,
+    max: 20,
+    keyGenerator: req => req.userId,
+    message: 'Too many test events. Please try again later.'
+});
+
+/**
+ * Validate an endpoint URL. Plain http is only allowed outside production
+ * (for local receivers while developing). The host must resolve to public addresses;
+ * deliveries check this again on every attempt. Returns { url } or { error }.
+ */
+async function parseUrl(value) {
+    let parsed;
+    try {
+        parsed = new URL(value);
+    } catch (error) {
+        return { error: 'url must be a valid URL' };
+    }
+
+    const allowHttp = process.env.NODE_ENV !== 'production';
+    if (parsed.protocol !== 'https:' && !(allowHttp && parsed.protocol === 'http:')) {
+        return { error: 'url must use https' };
+    }
+    if (value.length > MAX_URL_LENGTH) {
+        return { error: `url must be at most ${MAX_URL_LENGTH} characters` };
+    }
+    try {
+        await resolvePublicAddress(parsed.hostname);
+    } catch (error) {
+        return { error: 'url must resolve to a public internet address' };
+    }
+    return { url: parsed.toString() };
+}
+
+/**
+ * Validate an optional description. Returns { description } or { error }.
+ */
+function parseDescription(value) {
+    if (value === undefined || value === null || value === '') return { description: null };
+    if (typeof value !== 'string' || value.trim().length > MAX_DESCRIPTION_LENGTH) {
+        return { error: `description must be at most ${MAX_DESCRIPTION_LENGTH} characters` };
+    }
+    return { description: value.trim() || null };
+}
+
+/**
+ * Load the :id endpoint or send a 404. Returns null if a response was sent.
+ */
+async function loadWebhook(req, res) {
+    const webhook = await Webhook.findById(req.userId, req.params.id);
+    if (!webhook) {
+        res.status(404).json({
+            success: false,
+            error: 'Webhook not found'
+        });
+        return null;
+    }
+    return webhook;
+}
+
+/**
+ * GET /api/webhooks
+ * List the user's endpoints
+ */
+router.get('/', authenticateToken, async (req, res) => {
+    try {
+        const webhooks = await Webhook.findByUserId(req.userId);
+
+        res.json({
+            success: true,
+            webhooks,
+            limit: Webhook.MAX_WEBHOOKS_PER_USER,
+            maxAttempts: MAX_ATTEMPTS,
+            autoDisableAfterFailures: AUTO_DISABLE_AFTER_FAILURES
+        });
+
+    } catch (error) {
+        console.error('[Webhooks] List error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load webhooks'
+        });
+    }
+});
+
+/**
+ * POST /api/webhooks
+ * Register an endpoint. Body: { url, description }
+ * The signing secret is only returned in this response.
+ */
+router.post('/', authenticateToken, rejectImpersonation, requireEntitlement('webhooks'), async (req, res) => {
+    try {
+        const { url, error: urlError } = await parseUrl(req.body.url);
+        const { description, error: descriptionError } = parseDescription(req.body.description);
+        if (urlError || descriptionError) {
+            return res.status(400).json({
+                success: false,
+                error: urlError || descriptionError
+            });
+        }
+
+        if (await Webhook.countByUserId(req.userId) >= Webhook.MAX_WEBHOOKS_PER_USER) {
+            return res.status(400).json({
+                success: false,
+                error: `You can have at most ${Webhook.MAX_WEBHOOKS_PER_USER} webhooks`
+            });
+        }
+
+        const { webhook, secret } = await Webhook.create(req.userId, { url, description });
+        console.log(`[Webhooks] Webhook ${webhook.id} created for user: ${req.userId}`);
+
+        res.status(201).json({
+            success: true,
+            message: 'Copy this signing secret now. It will not be shown again.',
+            secret,
+            webhook
+        });
+
+    } catch (error) {
+        console.error('[Webhooks] Create error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create webhook'
+        });
+    }
+});
+
+/**
+ * GET /api/webhooks/:id
+ * One endpoint
+ */
+router.get('/:id', authenticateToken, async (req, res) => {
+    try {
+        const webhook = await loadWebhook(req, res);
+        if (!webhook) return;
+
+        res.json({
+            success: true,
+            webhook
+        });
+
+    } catch (error) {
+        console.error('[Webhooks] Get error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load webhook'
+        });
+    }
+});
+
+/**
+ * PATCH /api/webhooks/:id
+ * Body: { url, description, isActive } - all optional.
+ * Re-enabling an endpoint (isActive: true) clears its failure count.
+ */
+router.patch('/:id', authenticateToken, rejectImpersonation, async (req, res) => {
+    try {
+        const webhook = await loadWebhook(req, res);
+        if (!webhook) return;
+
+        const { url, description, isActive } = req.body;
+        const updates = {};
+
+        if (url !== undefined) {
+            const parsed = await parseUrl(url);
+            if (parsed.error) {
+                return res.status(400).json({
+                    success: false,
+                    error: parsed.error
+                });
+            }
+            updates.url = parsed.url;
+        }
+
+        if (description !== undefined) {
+            const parsed = parseDescription(description);
+            if (parsed.error) {
+                return res.status(400).json({
+                    success: false,
+                    error: parsed.error
+                });
+            }
+            updates.description = parsed.description;
+        }
+
+        if (isActive !== undefined && typeof isActive !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                error: 'isActive must be true or false'
+            });
+        }
+
+        let updated = webhook;
+        if (Object.keys(updates).length > 0) {
+            updated = await Webhook.update(req.userId, webhook.id, updates);
+        }
+        if (isActive !== undefined && isActive !== webhook.isActive) {
+            updated = await Webhook.setActive(req.userId, webhook.id, isActive, isActive ? null : 'Disabled by user');
+        }
+
+        res.json({
+            success: true,
+            webhook: updated
+        });
+
+    } catch (error) {
+        console.error('[Webhooks] Update error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update webhook'
+        });
+    }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Remove an endpoint and its delivery log
+ */
+router.delete('/:id', authenticateToken, rejectImpersonation, async (req, res) => {
+    try {
+        const webhook = await loadWebhook(req, res);
+        if (!webhook) return;
+
+        await Webhook.delete(req.userId, webhook.id);
+        console.log(`[Webhooks] Webhook ${webhook.id} deleted for user: ${req.userId}`);
+
+        res.json({
+            success: true,
+            message: 'Webhook deleted'
+        });
+
+    } catch (error) {
+        console.error('[Webhooks] Delete error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete webhook'
+        });
+    }
+});
+
+/**
+ * POST /api/webhooks/:id/rotate-secret
+ * Replace the signing secret. The new secret is only returned in this response.
+ */
+router.post('/:id/rotate-secret', authenticateToken, rejectImpersonation, async (req, res) => {
+    try {
+        const webhook = await loadWebhook(req, res);
+        if (!webhook) return;
+
+        const secret = await Webhook.rotateSecret(req.userId, webhook.id);
+        console.log(`[Webhooks] Secret rotated for ${webhook.id} by user: ${req.userId}`);
+
+        res.json({
+            success: true,
+            message: 'Copy this signing secret now. It will not be shown again.',
+            secret
+        });
+
+    } catch (error) {
+        console.error('[Webhooks] Rotate secret error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to rotate secret'
+        });
+    }
+});
+
+/**
+ * POST /api/webhooks/:id/test
+ * Send a webhook.test event now (one attempt, no retries) and return the result.
+ * Limited to 20 per hour.
+ */
+router.post('/:id/test', authenticateToken, rejectImpersonation, requireEntitlement('webhooks'), testEventLimit, async (req, res) => {
+    try {
+        const webhook = await loadWebhook(req, res);
+        if (!webhook) return;
+
+        const delivery = await sendTestEvent(webhook.id);
+
+        res.json({
+            success: true,
+            delivered: delivery.status === 'succeeded',
+            delivery
+        });
+
+    } catch (error) {
+        console.error('[Webhooks] Test event error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to send test event'
+        });
+    }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * Delivery log, newest first. Query: status (pending|succeeded|failed), page, limit (max 100)
+ */
+router.get('/:id/deliveries', authenticateToken, async (req, res) => {
+    try {
+        const webhook = await loadWebhook(req, res);
+        if (!webhook) return;
+
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 50));
+        const status = ['pending', 'succeeded', 'failed'].includes(req.query.status) ? req.query.status : undefined;
+
+        const { deliveries, total } = await Webhook.findDeliveries(webhook.id, {
+            status,
+            limit,
+            offset: (page - 1) * limit
+        });
+
+        res.json({
+            success: true,
+            deliveries,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        console.error('[Webhooks] Delivery log error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to load deliveries'
+        });
+    }
+});
+
+module.exports = router;
@@ -10,12 +10,33 @@ require('dotenv').config();
 
 const authRoutes = require('./routes/auth');
 const passwordResetRoutes = require('./routes/passwordReset');
+const emailVerificationRoutes = require('./routes/emailVerification');
+const phoneVerificationRoutes = require('./routes/phoneVerification');
+const twoFactorRoutes = require('./routes/twoFactor');
+const accountRoutes = require('./routes/account');
+const apiKeyRoutes = require('./routes/apiKeys');
+const adminRoutes = require('./routes/admin');
+const marketRoutes = require('./routes/markets');
+const screenerRoutes = require('./routes/screener');
+const watchlistRoutes = require('./routes/watchlist');
+const watchlistsRoutes = require('./routes/watchlists');
+const alertRoutes = require('./routes/alerts');
+const webhookRoutes = require('./routes/webhooks');
 const stripeRoutes = require('./routes/stripe');
 const { handleWebhook } = require('./routes/stripe');
 const { initDatabase, testConnection, isInitialized, setupTables, getDatabaseType } = require('./db');
+const { startRetryWorker } = require('./utils/webhooks');
+const { encryptionKey } = require('./utils/totp');
 
 const app = express();
 
+// Proxy hops in front of the app (Railway adds one). Without this, req.ip is the proxy's
+// address for every client and per-IP rate limits become a single global bucket.
+const TRUST_PROXY_HOPS = process.env.TRUST_PROXY_HOPS !== undefined
+    ? parseInt(process.env.TRUST_PROXY_HOPS, 10)
+    : 1;
+app.set('trust proxy', TRUST_PROXY_HOPS);
+
 // ============================================
 // MIDDLEWARE
 // ============================================
@@ -81,11 +102,101 @@ app.get('/api', (req, res) => {
             auth: {
                 signup: 'POST /api/auth/signup',
                 login: 'POST /api/auth/login',
+                loginTwoFactor: 'POST /api/auth/login/2fa',
+                refresh: 'POST /api/auth/refresh',
                 me: 'GET /api/auth/me',
+                updateProfile: 'PATCH /api/auth/me',
+                entitlements: 'GET /api/auth/me/entitlements',
+                deleteAccount: 'DELETE /api/auth/me',
+                exportData: 'GET /api/auth/me/export',
                 logout: 'POST /api/auth/logout',
+                sessions: 'GET /api/auth/sessions',
+                revokeSession: 'DELETE /api/auth/sessions/:id',
+                revokeAllSessions: 'DELETE /api/auth/sessions',
                 forgotPassword: 'POST /api/auth/forgot-password',
                 resetPassword: 'POST /api/auth/reset-password',
-                verifyResetToken: 'GET /api/auth/verify-reset-token'
+                verifyResetToken: 'GET /api/auth/verify-reset-token',
+                verifyEmail: 'POST /api/auth/verify-email',
+                resendVerification: 'POST /api/auth/resend-verification',
+                setPhone: 'POST /api/auth/phone',
+                sendPhoneCode: 'POST /api/auth/phone/send-code',
+                verifyPhone: 'POST /api/auth/phone/verify',
+                twoFactorStatus: 'GET /api/auth/2fa',
+                twoFactorSetup: 'POST /api/auth/2fa/setup',
+                twoFactorConfirm: 'POST /api/auth/2fa/confirm',
+                twoFactorDisable: 'POST /api/auth/2fa/disable',
+                twoFactorRecoveryCodes: 'POST /api/auth/2fa/recovery-codes',
+                changePassword: 'POST /api/auth/change-password',
+                changeEmail: 'POST /api/auth/change-email',
+                confirmEmailChange: 'POST /api/auth/confirm-email-change'
+            },
+            apiKeys: {
+                list: 'GET /api/keys',
+                create: 'POST /api/keys',
+                revoke: 'DELETE /api/keys/:id'
+            },
+            markets: {
+                list: 'GET /api/markets?category=&search=',
+                get: 'GET /api/markets/:symbol',
+                positions: 'GET /api/markets/:symbol/positions?report=legacy|disaggregated|tff&from=&to=&cursor=',
+                analytics: 'GET /api/markets/:symbol/analytics?report=&lookback=26|52|156'
+            },
+            screener: {
+                screen: 'GET /api/screener?traderGroup=&report=&lookback=&metric=&extreme=&category= (Pro)'
+            },
+            watchlist: {
+                list: 'GET /api/watchlist',
+                add: 'POST /api/watchlist',
+                replace: 'PUT /api/watchlist',
+                reorder: 'PUT /api/watchlist/order',
+                export: 'GET /api/watchlist/export?format=csv|json (Pro)',
+                import: 'POST /api/watchlist/import?dryRun=true',
+                updateNotes: 'PATCH /api/watchlist/:symbol',
+                remove: 'DELETE /api/watchlist/:symbol'
+            },
+            watchlists: {
+                list: 'GET /api/watchlists',
+                create: 'POST /api/watchlists',
+                reorder: 'PUT /api/watchlists/order',
+                get: 'GET /api/watchlists/:id',
+                rename: 'PATCH /api/watchlists/:id',
+                delete: 'DELETE /api/watchlists/:id',
+                share: 'POST /api/watchlists/:id/share',
+                unshare: 'DELETE /api/watchlists/:id/share',
+                items: '/api/watchlists/:id/items (same routes as /api/watchlist)',
+                shared: 'GET /api/watchlists/shared/:token'
+            },
+            alerts: {
+                types: 'GET /api/alerts/types',
+                list: 'GET /api/alerts',
+                triggers: 'GET /api/alerts/triggers',
+                create: 'POST /api/alerts',
+                get: 'GET /api/alerts/:id',
+                update: 'PATCH /api/alerts/:id',
+                pause: 'POST /api/alerts/:id/pause',
+                resume: 'POST /api/alerts/:id/resume',
+                delete: 'DELETE /api/alerts/:id'
+            },
+            webhooks: {
+                list: 'GET /api/webhooks',
+                create: 'POST /api/webhooks',
+                get: 'GET /api/webhooks/:id',
+                update: 'PATCH /api/webhooks/:id',
+                delete: 'DELETE /api/webhooks/:id',
+                rotateSecret: 'POST /api/webhooks/:id/rotate-secret',
+                test: 'POST /api/webhooks/:id/test',
+                deliveries: 'GET /api/webhooks/:id/deliveries'
+            },
+            admin: {
+                listUsers: 'GET /api/admin/users',
+                getUser: 'GET /api/admin/users/:id',
+                grantTier: 'POST /api/admin/users/:id/tier',
+                forcePasswordReset: 'POST /api/admin/users/:id/force-password-reset',
+                disableUser: 'POST /api/admin/users/:id/disable',
+                enableUser: 'POST /api/admin/users/:id/enable',
+                impersonate: 'POST /api/admin/users/:id/impersonate',
+                changeRole: 'PATCH /api/admin/users/:id/role',
+                auditLog: 'GET /api/admin/audit-log'
             },
             stripe: {
                 createCheckout: 'POST /api/stripe/create-checkout-session',
@@ -103,6 +214,40 @@ app.use('/api/auth', authRoutes);
 // Password reset routes
 app.use('/api/auth', passwordResetRoutes);
 
+// Email verification routes
+app.use('/api/auth', emailVerificationRoutes);
+
+// Phone verification routes
+app.use('/api/auth', phoneVerificationRoutes);
+
+// Two-factor authentication routes
+app.use('/api/auth', twoFactorRoutes);
+
+// Account management routes (change password/email)
+app.use('/api/auth', accountRoutes);
+
+// API key management routes
+app.use('/api/keys', apiKeyRoutes);
+
+// Market catalog routes
+app.use('/api/markets', marketRoutes);
+
+// Positioning screener routes (Pro)
+app.use('/api/screener', screenerRoutes);
+
+// Watchlist routes (default list, and named lists)
+app.use('/api/watchlist', watchlistRoutes);
+app.use('/api/watchlists', watchlistsRoutes);
+
+// Alert rule routes
+app.use('/api/alerts', alertRoutes);
+
+// Outbound webhook routes
+app.use('/api/webhooks', webhookRoutes);
+
+// Admin routes (staff roles only)
+app.use('/api/admin', adminRoutes);
+
 // Stripe routes (checkout, portal - webhook is registered above)
 app.use('/api/stripe', stripeRoutes);
 
@@ -138,6 +283,14 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 5000;
 
 async function startServer() {
+    // 2FA and webhook signing secrets are stored encrypted; refuse to run without a key
+    try {
+        encryptionKey();
+    } catch (error) {
+        console.error(`\n[ERROR] ${error.message}`);
+        process.exit(1);
+    }
+
     // Initialize and test database connection
     await initDatabase();
     const dbConnected = await testConnection();
@@ -152,6 +305,9 @@ async function startServer() {
     await setupTables();
     console.log('[Server] Database tables verified');
 
+    // Retry failed webhook deliveries in the background
+    startRetryWorker();
+
     const dbType = getDatabaseType();
     app.listen(PORT, () => {
         console.log(`
@@ -173,13 +329,57 @@ async function startServer() {
    GET  /api                             - API info
    POST /api/auth/signup                 - Create account
    POST /api/auth/login                  - Login
+   POST /api/auth/login/2fa              - Complete login with 2FA code
+   POST /api/auth/refresh                - Refresh access token
    GET  /api/auth/me                     - Get profile
+   PATCH /api/auth/me                    - Update profile
+   GET  /api/auth/me/entitlements        - Plan features and limits
+   DELETE /api/auth/me                   - Delete account
+   GET  /api/auth/me/export              - Export account data
+   POST /api/auth/logout                 - Logout (revoke session)
+   GET  /api/auth/sessions               - List active sessions
    POST /api/auth/forgot-password        - Request password reset
    POST /api/auth/reset-password         - Reset password with token
+   POST /api/auth/verify-email           - Verify email address
+   POST /api/auth/phone/send-code        - Send phone verification code
+   POST /api/auth/phone/verify           - Verify phone number
+   POST /api/auth/2fa/setup              - Start 2FA enrollment
+   POST /api/auth/change-password        - Change password
+   POST /api/auth/change-email           - Change email (with confirmation)
+   GET  /api/keys                        - List API keys
+   POST /api/keys                        - Create API key
+   GET  /api/markets                     - List/search markets
+   GET  /api/markets/:symbol             - Market detail
+   GET  /api/markets/:symbol/positions   - Weekly positioning history
+   GET  /api/markets/:symbol/analytics   - COT index, z-scores, weekly changes
+   GET  /api/screener                    - Screen markets by positioning (Pro)
+   GET  /api/watchlist                   - Get watchlist
+   POST /api/watchlist                   - Add symbol to watchlist
+   PUT  /api/watchlist                   - Replace watchlist
+   GET  /api/watchlist/export            - Export watchlist (CSV/JSON, Pro)
+   POST /api/watchlist/import            - Import watchlist (CSV/JSON)
+   GET  /api/watchlists                  - List named watchlists
+   POST /api/watchlists                  - Create named watchlist
+   GET  /api/watchlists/shared/:token    - View shared watchlist
+   GET  /api/alerts                      - List alert rules
+   POST /api/alerts                      - Create alert rule
+   POST /api/alerts/:id/pause            - Pause alert rule
+   GET  /api/alerts/triggers             - Alert trigger history
+   POST /api/webhooks                    - Register webhook endpoint
+   POST /api/webhooks/:id/test           - Send test webhook event
+   GET  /api/admin/users                 - Search users (staff)
+   GET  /api/admin/users/:id             - User detail (staff)
+   POST /api/admin/users/:id/impersonate - Impersonate user (staff)
+   PATCH /api/admin/users/:id/role       - Change user role (admin)
    POST /api/stripe/create-checkout-session - Create checkout
    POST /api/stripe/webhook              - Stripe webhook
         `);
     });
 }
 
-startServer();
+// Tests load the app without starting the server (see test/helpers.js)
+if (require.main === module) {
+    startServer();
+}
+
+module.exports = app;
@@ -0,0 +1,51 @@
+/**
+ * Set User Role Script
+ * Run with: node set-role.js <email> <user|support|admin>
+ *
+ * Used to bootstrap the first admin; after that, roles can be
+ * changed through PATCH /api/admin/users/:id/role.
+ */
+
+require('dotenv').config();
+const { initDatabase, setupTables } = require('./db');
+const User = require('./models/User');
+const AuditLog = require('./models/AuditLog');
+
+async function setRole() {
+    const [email, role] = process.argv.slice(2);
+
+    if (!email || !User.ROLES.includes(role)) {
+        console.log(`Usage: node set-role.js <email> <${User.ROLES.join('|')}>`);
+        process.exit(1);
+    }
+
+    await initDatabase();
+    await setupTables();
+
+    const user = await User.findByEmail(email);
+    if (!user) {
+        console.error(`No user found with email: ${email}`);
+        process.exit(1);
+    }
+
+    const previousRole = user.role || 'user';
+    if (previousRole === role) {
+        console.log(`${user.email} already has role: ${role}`);
+        process.exit(0);
+    }
+
+    await User.updateRole(user.id, role);
+    await AuditLog.record({
+        action: 'user.role_changed',
+        targetUserId: user.id,
+        details: { from: previousRole, to: role, via: 'cli' }
+    });
+
+    console.log(`${user.email}: ${previousRole} -> ${role}`);
+    process.exit(0);
+}
+
+setRole().catch(err => {
+    console.error('Error:', err.message);
+    process.exit(1);
+});
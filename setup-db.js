@@ -132,10 +132,9 @@ async function setupDatabase() {
 
     console.log('\nDatabase location:', dbPath);
     console.log('\nNext steps:');
-    console.log('  1. Create Twilio Verify Service (if not done)');
-    console.log('  2. Update .env with TWILIO_VERIFY_SERVICE_SID');
-    console.log('  3. Run: npm run test-twilio');
-    console.log('  4. Run: npm start\n');
+    console.log('  1. Set SMS_PROVIDER in .env (console, file or twilio)');
+    console.log('  2. For twilio, set TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER');
+    console.log('  3. Run: npm start\n');
 }
 
 setupDatabase().catch(err => {
@@ -0,0 +1,70 @@
+/**
+ * Tier entitlements and the past_due grace period
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { db, start, stop, request, signup } = require('./helpers');
+const { PAST_DUE_GRACE_DAYS, getEffectiveTier, getEntitlements, hasFeature, getLimit } = require('../utils/entitlements');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysAgo(days) {
+    return new Date(Date.now() - days * DAY_MS).toISOString();
+}
+
+describe('entitlements', () => {
+    it('gives free and unknown tiers the free plan', () => {
+        assert.strictEqual(getEffectiveTier({ subscription_tier: 'free', subscription_status: 'active' }), 'free');
+        assert.strictEqual(getEffectiveTier({ subscription_tier: 'platinum', subscription_status: 'active' }), 'free');
+        assert.strictEqual(getEffectiveTier(null), 'free');
+        assert.strictEqual(hasFeature({ subscription_tier: 'free' }, 'export'), false);
+        assert.strictEqual(getLimit({ subscription_tier: 'free' }, 'watchlistSymbols'), 5);
+    });
+
+    it('gives an active pro subscription the pro plan', () => {
+        const user = { subscription_tier: 'pro', subscription_status: 'active' };
+        assert.strictEqual(getEffectiveTier(user), 'pro');
+        assert.strictEqual(hasFeature(user, 'export'), true);
+        assert.strictEqual(getLimit(user, 'historyWeeks'), null);
+        assert.strictEqual(getEntitlements(user).gracePeriod, null);
+    });
+
+    it('keeps pro through the past_due grace period and drops to free after it', () => {
+        const inGrace = { subscription_tier: 'pro', subscription_status: 'past_due', past_due_since: daysAgo(1) };
+        assert.strictEqual(getEffectiveTier(inGrace), 'pro');
+        assert.strictEqual(getEntitlements(inGrace).gracePeriod.active, true);
+
+        const lapsed = { subscription_tier: 'pro', subscription_status: 'past_due', past_due_since: daysAgo(PAST_DUE_GRACE_DAYS + 1) };
+        assert.strictEqual(getEffectiveTier(lapsed), 'free');
+        assert.strictEqual(getEntitlements(lapsed).gracePeriod.active, false);
+        assert.strictEqual(hasFeature(lapsed, 'export'), false);
+    });
+
+    it('treats a past_due subscription with no start date as out of grace', () => {
+        const user = { subscription_tier: 'pro', subscription_status: 'past_due', past_due_since: null };
+        assert.strictEqual(getEffectiveTier(user), 'free');
+    });
+
+    describe('GET /api/auth/me/entitlements', () => {
+        before(start);
+        after(stop);
+
+        it('reports the plan that applies right now', async () => {
+            const { token, user } = await signup();
+
+            const free = await request('GET', '/api/auth/me/entitlements', { token });
+            assert.strictEqual(free.status, 200);
+            assert.strictEqual(free.body.entitlements.tier, 'free');
+
+            await db.query(
+                "UPDATE users SET subscription_tier = 'pro', subscription_status = 'past_due', past_due_since = ? WHERE id = ?",
+                [daysAgo(2), user.id]
+            );
+            const grace = await request('GET', '/api/auth/me/entitlements', { token });
+            assert.strictEqual(grace.body.entitlements.tier, 'pro');
+            assert.strictEqual(grace.body.entitlements.gracePeriod.active, true);
+            assert.strictEqual(grace.body.entitlements.features.export, true);
+        });
+    });
+});
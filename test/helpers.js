@@ -0,0 +1,113 @@
+/**
+ * Test Helpers
+ * Run the tests with: npm test
+ *
+ * node --test runs each test file in its own process. Requiring this file first points
+ * that process at a scratch SQLite database, so real data is never touched, and start()
+ * serves the app on a random local port. Email is left unconfigured, so sends fail fast
+ * instead of going out.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const scratchPath = path.join(os.tmpdir(), `cotpulse-test-${process.pid}.db`);
+process.env.SQLITE_PATH = scratchPath;
+process.env.DATABASE_URL = '';
+process.env.RESEND_API_KEY = '';
+process.env.JWT_SECRET = 'test-secret';
+
+// Route logging drowns out the test report; TEST_LOGS=true brings it back
+if (process.env.TEST_LOGS !== 'true') {
+    console.log = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+}
+
+const db = require('../db');
+const app = require('../server');
+
+const PASSWORD = 'correct-horse-1';
+
+let server = null;
+let baseUrl = null;
+
+/**
+ * Create the tables and start serving the app
+ */
+async function start() {
+    await db.initDatabase();
+    await db.setupTables();
+
+    await new Promise(resolve => {
+        server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+}
+
+/**
+ * Stop serving and delete the scratch database
+ */
+async function stop() {
+    if (server) await new Promise(resolve => server.close(resolve));
+    fs.rmSync(scratchPath, { force: true });
+}
+
+/**
+ * Call the API. Options: { body, token, text, type } - text is sent as-is with Content-Type type.
+ * Returns { status, headers, body } with body parsed when it is JSON.
+ */
+async function request(method, url, { body, token, text, type = 'text/csv' } = {}) {
+    const headers = {};
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    let payload;
+    if (text !== undefined) {
+        headers['Content-Type'] = type;
+        payload = text;
+    } else if (body !== undefined) {
+        headers['Content-Type'] = 'application/json';
+        payload = JSON.stringify(body);
+    }
+
+    const res = await fetch(baseUrl + url, { method, headers, body: payload });
+    const raw = await res.text();
+    const isJson = (res.headers.get('content-type') || '').includes('application/json');
+
+    return { status: res.status, headers: res.headers, body: isJson ? JSON.parse(raw) : raw };
+}
+
+/**
+ * Sign up a new user (PASSWORD is their password). Returns the signup response body.
+ */
+async function signup(email = `user-${crypto.randomUUID()}@example.com`) {
+    const res = await request('POST', '/api/auth/signup', {
+        body: { email, password: PASSWORD, name: 'Test User' }
+    });
+    if (res.status !== 201) {
+        throw new Error(`Signup failed (${res.status}): ${JSON.stringify(res.body)}`);
+    }
+    return res.body;
+}
+
+/**
+ * Put a user on the Pro plan
+ */
+async function makePro(userId) {
+    await db.query(
+        "UPDATE users SET subscription_tier = 'pro', subscription_status = 'active' WHERE id = ?",
+        [userId]
+    );
+}
+
+module.exports = {
+    db,
+    PASSWORD,
+    start,
+    stop,
+    request,
+    signup,
+    makePro
+};
@@ -0,0 +1,68 @@
+/**
+ * Login brute-force protection: progressive delay and account lockout
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { db, start, stop, request, signup, PASSWORD } = require('./helpers');
+
+function login(email, password) {
+    return request('POST', '/api/auth/login', { body: { email, password } });
+}
+
+/**
+ * Move the last failure into the past so the progressive delay has run out
+ */
+async function waitOutDelay(userId) {
+    await db.query('UPDATE users SET last_failed_login = ? WHERE id = ?', [new Date(Date.now() - 60 * 60 * 1000).toISOString(), userId]);
+}
+
+describe('login lockout', () => {
+    before(start);
+    after(stop);
+
+    it('delays logins after repeated wrong passwords, even with the right one', async () => {
+        const { user } = await signup();
+
+        for (let i = 0; i < 3; i++) {
+            assert.strictEqual((await login(user.email, 'wrong-password')).status, 401);
+        }
+
+        const delayed = await login(user.email, PASSWORD);
+        assert.strictEqual(delayed.status, 429);
+        assert.ok(Number(delayed.headers.get('retry-after')) > 0);
+
+        await waitOutDelay(user.id);
+        assert.strictEqual((await login(user.email, PASSWORD)).status, 200);
+
+        const row = await db.getOne('SELECT failed_login_attempts FROM users WHERE id = ?', [user.id]);
+        assert.strictEqual(Number(row.failed_login_attempts), 0);
+    });
+
+    it('locks the account at the failure limit', async () => {
+        const { user } = await signup();
+        await db.query('UPDATE users SET failed_login_attempts = 9 WHERE id = ?', [user.id]);
+
+        assert.strictEqual((await login(user.email, 'wrong-password')).status, 401);
+
+        const row = await db.getOne('SELECT locked_until FROM users WHERE id = ?', [user.id]);
+        assert.ok(new Date(row.locked_until) > new Date());
+
+        await waitOutDelay(user.id);
+        assert.strictEqual((await login(user.email, PASSWORD)).status, 429);
+    });
+
+    it('counts wrong passwords on change-password toward the lockout', async () => {
+        const { token } = await signup();
+
+        const statuses = [];
+        for (let i = 0; i < 4; i++) {
+            const res = await request('POST', '/api/auth/change-password', {
+                token,
+                body: { currentPassword: 'wrong-password', newPassword: 'another-password-1' }
+            });
+            statuses.push(res.status);
+        }
+        assert.deepStrictEqual(statuses, [401, 401, 401, 429]);
+    });
+});
@@ -0,0 +1,90 @@
+/**
+ * Password reset: what a reset ends and what it requires when 2FA is on
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { db, start, stop, request, signup, makePro, PASSWORD } = require('./helpers');
+const { hotp, currentStep } = require('../utils/totp');
+
+const NEW_PASSWORD = 'brand-new-password-1';
+
+/**
+ * Store a reset token for the user, as the emailed link would carry. Returns the token.
+ */
+async function createResetToken(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+    await db.query(
+        'INSERT INTO password_reset_tokens (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
+        [userId, tokenHash, new Date(Date.now() + 60 * 60 * 1000).toISOString()]
+    );
+    return token;
+}
+
+function resetPassword(body) {
+    return request('POST', '/api/auth/reset-password', { body: { password: NEW_PASSWORD, ...body } });
+}
+
+describe('password reset', () => {
+    before(start);
+    after(stop);
+
+    it('sets the new password and ends every session and API key', async () => {
+        const { token, refreshToken, user } = await signup();
+        await makePro(user.id);
+        const created = await request('POST', '/api/keys', { token, body: { name: 'script', scopes: ['account:read'] } });
+        assert.strictEqual(created.status, 201);
+
+        const res = await resetPassword({ token: await createResetToken(user.id) });
+        assert.strictEqual(res.status, 200);
+
+        assert.strictEqual((await request('GET', '/api/auth/me', { token })).status, 401);
+        assert.strictEqual((await request('POST', '/api/auth/refresh', { body: { refreshToken } })).status, 401);
+        assert.strictEqual((await request('GET', '/api/auth/me', { token: created.body.key })).status, 401);
+
+        const oldLogin = await request('POST', '/api/auth/login', { body: { email: user.email, password: PASSWORD } });
+        assert.strictEqual(oldLogin.status, 401);
+        const newLogin = await request('POST', '/api/auth/login', { body: { email: user.email, password: NEW_PASSWORD } });
+        assert.strictEqual(newLogin.status, 200);
+    });
+
+    it('lifts a lockout and cannot be used twice', async () => {
+        const { user } = await signup();
+        await db.query('UPDATE users SET failed_login_attempts = 10, locked_until = ? WHERE id = ?',
+            [new Date(Date.now() + 15 * 60 * 1000).toISOString(), user.id]);
+
+        const resetToken = await createResetToken(user.id);
+        assert.strictEqual((await resetPassword({ token: resetToken })).status, 200);
+        assert.strictEqual((await resetPassword({ token: resetToken })).status, 400);
+
+        const login = await request('POST', '/api/auth/login', { body: { email: user.email, password: NEW_PASSWORD } });
+        assert.strictEqual(login.status, 200);
+    });
+
+    it('requires a 2FA code when 2FA is on and gives up on the link after repeated wrong codes', async () => {
+        const { token, user } = await signup();
+        const setup = await request('POST', '/api/auth/2fa/setup', { token, body: { password: PASSWORD } });
+        await request('POST', '/api/auth/2fa/confirm', { token, body: { code: hotp(setup.body.secret, currentStep()) } });
+
+        const resetToken = await createResetToken(user.id);
+
+        const noCode = await resetPassword({ token: resetToken });
+        assert.strictEqual(noCode.status, 400);
+        assert.strictEqual(noCode.body.twoFactorRequired, true);
+
+        for (let i = 0; i < 4; i++) {
+            const res = await resetPassword({ token: resetToken, code: '000000' });
+            assert.strictEqual(res.body.twoFactorRequired, true);
+        }
+        const last = await resetPassword({ token: resetToken, code: '000000' });
+        assert.strictEqual(last.status, 400);
+        assert.match(last.body.error, /request a new reset link/);
+
+        // The link is gone even with a valid code now
+        const late = await resetPassword({ token: resetToken, code: hotp(setup.body.secret, currentStep() + 1) });
+        assert.strictEqual(late.status, 400);
+        assert.strictEqual(late.body.error, 'Invalid or expired reset token');
+    });
+});
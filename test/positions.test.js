@@ -0,0 +1,112 @@
+/**
+ * Positioning history: cursor pagination and the plan's history cutoff
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { start, stop, request, signup, makePro } = require('./helpers');
+const CotReport = require('../models/CotReport');
+
+const ES_CFTC_CODE = '13874A';
+const WEEKS = 60;
+
+/**
+ * WEEKS weekly legacy reports for ES, one Tuesday apart. Returns their dates, oldest first.
+ */
+async function loadReports() {
+    const dates = [];
+    const rows = [];
+    for (let week = 0; week < WEEKS; week++) {
+        const reportDate = new Date(Date.UTC(2023, 0, 3 + week * 7)).toISOString().slice(0, 10);
+        dates.push(reportDate);
+        rows.push({
+            reportType: 'legacy',
+            cftcCode: ES_CFTC_CODE,
+            reportDate,
+            marketName: 'E-MINI S&P 500 - CHICAGO MERCANTILE EXCHANGE',
+            exchangeName: 'CME',
+            openInterest: 2000000 + week,
+            positions: {
+                noncommercial: { long: 300000 + week * 100, short: 250000, spreading: 10000 },
+                commercial: { long: 1200000, short: 1250000 + week * 100, spreading: 0 }
+            }
+        });
+    }
+    await CotReport.upsert(rows);
+    return dates;
+}
+
+/**
+ * Follow nextCursor until the last page. Returns every report date seen, in order.
+ */
+async function readAllPages(token, query) {
+    const seen = [];
+    let cursor = null;
+    let pages = 0;
+
+    do {
+        const res = await request('GET', `/api/markets/ES/positions?${query}${cursor ? `&cursor=${cursor}` : ''}`, { token });
+        assert.strictEqual(res.status, 200);
+        seen.push(...res.body.positions.map(position => position.reportDate));
+        assert.strictEqual(res.body.pagination.hasMore, res.body.pagination.nextCursor !== null);
+        cursor = res.body.pagination.nextCursor;
+        pages++;
+    } while (cursor && pages < WEEKS);
+
+    return { seen, pages };
+}
+
+describe('GET /api/markets/:symbol/positions', () => {
+    let dates;
+
+    before(async () => {
+        await start();
+        dates = await loadReports();
+    });
+    after(stop);
+
+    it('pages through full history with the cursor, without gaps or repeats', async () => {
+        const { token, user } = await signup();
+        await makePro(user.id);
+
+        const { seen, pages } = await readAllPages(token, 'limit=25');
+        assert.strictEqual(pages, 3);
+        assert.deepStrictEqual(seen, dates);
+    });
+
+    it('cuts free plans off at the last 52 reports', async () => {
+        const { token } = await signup();
+
+        const { seen } = await readAllPages(token, 'limit=20');
+        assert.deepStrictEqual(seen, dates.slice(-52));
+
+        const res = await request('GET', '/api/markets/ES/positions?from=2023-01-01&limit=1', { token });
+        assert.strictEqual(res.body.history.truncated, true);
+        assert.strictEqual(res.body.history.earliestDate, dates[WEEKS - 52]);
+    });
+
+    it('keeps the date range across pages', async () => {
+        const { token, user } = await signup();
+        await makePro(user.id);
+
+        const { seen } = await readAllPages(token, `from=${dates[10]}&to=${dates[19]}&limit=4`);
+        assert.deepStrictEqual(seen, dates.slice(10, 20));
+    });
+
+    it('adds net positions to each report', async () => {
+        const { token } = await signup();
+        const res = await request('GET', `/api/markets/ES/positions?from=${dates[WEEKS - 1]}`, { token });
+        assert.deepStrictEqual(res.body.positions[0].positions.noncommercial, {
+            long: 300000 + (WEEKS - 1) * 100, short: 250000, spreading: 10000, net: 50000 + (WEEKS - 1) * 100
+        });
+    });
+
+    it('rejects bad cursors and dates', async () => {
+        const { token } = await signup();
+
+        for (const query of ['cursor=not-a-cursor', 'from=2023-13-01', `from=${dates[5]}&to=${dates[1]}`, 'report=monthly']) {
+            const res = await request('GET', `/api/markets/ES/positions?${query}`, { token });
+            assert.strictEqual(res.status, 400, query);
+        }
+    });
+});
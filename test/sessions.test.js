@@ -0,0 +1,71 @@
+/**
+ * Refresh-token sessions: rotation, reuse detection and logout
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { start, stop, request, signup } = require('./helpers');
+
+describe('refresh-token sessions', () => {
+    before(start);
+    after(stop);
+
+    it('rotates the refresh token on every refresh', async () => {
+        const { refreshToken } = await signup();
+
+        const first = await request('POST', '/api/auth/refresh', { body: { refreshToken } });
+        assert.strictEqual(first.status, 200);
+        assert.ok(first.body.token);
+        assert.notStrictEqual(first.body.refreshToken, refreshToken);
+
+        const second = await request('POST', '/api/auth/refresh', { body: { refreshToken: first.body.refreshToken } });
+        assert.strictEqual(second.status, 200);
+        assert.notStrictEqual(second.body.refreshToken, first.body.refreshToken);
+    });
+
+    it('revokes the session when a rotated-out refresh token is reused', async () => {
+        const { refreshToken } = await signup();
+        const rotated = await request('POST', '/api/auth/refresh', { body: { refreshToken } });
+
+        const reuse = await request('POST', '/api/auth/refresh', { body: { refreshToken } });
+        assert.strictEqual(reuse.status, 401);
+        assert.strictEqual(reuse.body.error, 'Refresh token reuse detected');
+
+        // The legitimate holder is signed out too: the token that replaced it no longer works
+        const current = await request('POST', '/api/auth/refresh', { body: { refreshToken: rotated.body.refreshToken } });
+        assert.strictEqual(current.status, 401);
+        assert.strictEqual(current.body.error, 'Session has been revoked');
+
+        const me = await request('GET', '/api/auth/me', { token: rotated.body.token });
+        assert.strictEqual(me.status, 401);
+    });
+
+    it('lets only one of two concurrent refreshes with the same token through', async () => {
+        const { refreshToken } = await signup();
+
+        const results = await Promise.all([
+            request('POST', '/api/auth/refresh', { body: { refreshToken } }),
+            request('POST', '/api/auth/refresh', { body: { refreshToken } })
+        ]);
+        assert.deepStrictEqual(results.map(res => res.status).sort(), [200, 401]);
+    });
+
+    it('rejects unknown refresh tokens', async () => {
+        const res = await request('POST', '/api/auth/refresh', { body: { refreshToken: 'not-a-token' } });
+        assert.strictEqual(res.status, 401);
+        assert.strictEqual(res.body.error, 'Invalid refresh token');
+    });
+
+    it('ends the session on logout', async () => {
+        const { token, refreshToken } = await signup();
+
+        const logout = await request('POST', '/api/auth/logout', { token });
+        assert.strictEqual(logout.status, 200);
+
+        const me = await request('GET', '/api/auth/me', { token });
+        assert.strictEqual(me.status, 401);
+
+        const refresh = await request('POST', '/api/auth/refresh', { body: { refreshToken } });
+        assert.strictEqual(refresh.status, 401);
+    });
+});
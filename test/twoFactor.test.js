@@ -0,0 +1,107 @@
+/**
+ * TOTP two-factor authentication: enrollment, login, replays, recovery codes and guess limits
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { start, stop, request, signup, PASSWORD } = require('./helpers');
+const { hotp, currentStep } = require('../utils/totp');
+
+/**
+ * Sign up and turn on 2FA. Returns { email, token, secret, recoveryCodes }.
+ */
+async function enrolledUser() {
+    const { token, user } = await signup();
+
+    const setup = await request('POST', '/api/auth/2fa/setup', { token, body: { password: PASSWORD } });
+    assert.strictEqual(setup.status, 200);
+
+    const confirm = await request('POST', '/api/auth/2fa/confirm', {
+        token,
+        body: { code: hotp(setup.body.secret, currentStep()) }
+    });
+    assert.strictEqual(confirm.status, 200);
+
+    return { email: user.email, token, secret: setup.body.secret, recoveryCodes: confirm.body.recoveryCodes };
+}
+
+async function challenge(email) {
+    const login = await request('POST', '/api/auth/login', { body: { email, password: PASSWORD } });
+    assert.strictEqual(login.status, 200);
+    assert.strictEqual(login.body.twoFactorRequired, true);
+    assert.strictEqual(login.body.token, undefined);
+    return login.body.challengeToken;
+}
+
+describe('two-factor authentication', () => {
+    before(start);
+    after(stop);
+
+    it('asks for a code after the password and signs in with it', async () => {
+        const { email, secret } = await enrolledUser();
+        const challengeToken = await challenge(email);
+
+        // The confirm code used the current step, so sign in with the next one
+        const res = await request('POST', '/api/auth/login/2fa', {
+            body: { challengeToken, code: hotp(secret, currentStep() + 1) }
+        });
+        assert.strictEqual(res.status, 200);
+        assert.ok(res.body.token);
+        assert.strictEqual(res.body.user.twoFactorEnabled, true);
+    });
+
+    it('rejects a code that was already used', async () => {
+        const { email, secret } = await enrolledUser();
+        const challengeToken = await challenge(email);
+
+        const res = await request('POST', '/api/auth/login/2fa', {
+            body: { challengeToken, code: hotp(secret, currentStep()) }
+        });
+        assert.strictEqual(res.status, 401);
+    });
+
+    it('accepts each recovery code once', async () => {
+        const { email, recoveryCodes } = await enrolledUser();
+        const [recoveryCode] = recoveryCodes;
+
+        const first = await request('POST', '/api/auth/login/2fa', {
+            body: { challengeToken: await challenge(email), recoveryCode }
+        });
+        assert.strictEqual(first.status, 200);
+
+        const again = await request('POST', '/api/auth/login/2fa', {
+            body: { challengeToken: await challenge(email), recoveryCode }
+        });
+        assert.strictEqual(again.status, 401);
+    });
+
+    it('counts wrong enrollment codes toward the account lockout', async () => {
+        const { token } = await signup();
+        const setup = await request('POST', '/api/auth/2fa/setup', { token, body: { password: PASSWORD } });
+        assert.strictEqual(setup.status, 200);
+
+        // Three failures start the progressive delay, so the fourth guess is refused
+        const statuses = [];
+        for (let i = 0; i < 4; i++) {
+            const res = await request('POST', '/api/auth/2fa/confirm', { token, body: { code: '000000' } });
+            statuses.push(res.status);
+        }
+        assert.deepStrictEqual(statuses, [400, 400, 400, 429]);
+    });
+
+    it('needs the password and a code to turn 2FA off', async () => {
+        const { token, secret } = await enrolledUser();
+
+        const noCode = await request('POST', '/api/auth/2fa/disable', { token, body: { password: PASSWORD } });
+        assert.strictEqual(noCode.status, 400);
+
+        const res = await request('POST', '/api/auth/2fa/disable', {
+            token,
+            body: { password: PASSWORD, code: hotp(secret, currentStep() + 1) }
+        });
+        assert.strictEqual(res.status, 200);
+
+        const status = await request('GET', '/api/auth/2fa', { token });
+        assert.strictEqual(status.body.enabled, false);
+    });
+});
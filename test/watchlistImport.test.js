@@ -0,0 +1,118 @@
+/**
+ * Watchlist CSV/JSON import and export
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { start, stop, request, signup, makePro } = require('./helpers');
+const { parseCsv, toCsv } = require('../utils/csv');
+
+function importCsv(token, text, query = '') {
+    return request('POST', `/api/watchlist/import${query}`, { token, text });
+}
+
+async function symbols(token) {
+    const res = await request('GET', '/api/watchlist', { token });
+    return res.body.watchlist.map(item => item.symbol);
+}
+
+before(start);
+after(stop);
+
+describe('csv helpers', () => {
+    it('reads quoted fields, escaped quotes, CRLF and a byte order mark', () => {
+        const rows = parseCsv('\uFEFFsymbol,notes\r\nES,"core, ""long"""\r\n\r\nGC,"two\nlines"\n');
+        assert.deepStrictEqual(rows.map(row => [...row]), [
+            ['symbol', 'notes'],
+            ['ES', 'core, "long"'],
+            ['GC', 'two\nlines']
+        ]);
+        assert.deepStrictEqual(rows.map(row => row.line), [1, 2, 4]);
+    });
+
+    it('writes formula-looking text as plain text and round-trips the rest', () => {
+        const csv = toCsv([{ symbol: 'ES', notes: '=HYPERLINK("x")' }, { symbol: 'GC', notes: -5 }],
+            [{ key: 'symbol', header: 'symbol' }, { key: 'notes', header: 'notes' }]);
+        assert.strictEqual(csv, 'symbol,notes\r\nES,"\'=HYPERLINK(""x"")"\r\nGC,-5\r\n');
+    });
+});
+
+describe('watchlist import', () => {
+    it('adds the valid rows and reports each bad one', async () => {
+        const { token } = await signup();
+        await request('POST', '/api/watchlist', { token, body: { symbol: 'CL' } });
+
+        const res = await importCsv(token, 'symbol,notes\nES,"core, long"\nnq,\nXXX,\nES,\nCL,\n,orphan note\n');
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(res.body.summary, { rows: 6, added: 2, errors: 4 });
+        assert.deepStrictEqual(res.body.results.map(result => [result.row, result.status, result.error]), [
+            [2, 'added', undefined],
+            [3, 'added', undefined],
+            [4, 'error', 'Unknown market symbol'],
+            [5, 'error', 'Duplicate symbol in import'],
+            [6, 'error', 'Already in this watchlist'],
+            [7, 'error', 'Missing symbol']
+        ]);
+
+        assert.deepStrictEqual(await symbols(token), ['CL', 'ES', 'NQ']);
+        const list = await request('GET', '/api/watchlist', { token });
+        assert.strictEqual(list.body.watchlist[1].notes, 'core, long');
+    });
+
+    it('saves nothing on a dry run', async () => {
+        const { token } = await signup();
+
+        const res = await importCsv(token, 'ES\nGC\n', '?dryRun=true');
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.dryRun, true);
+        assert.strictEqual(res.body.summary.added, 2);
+        assert.deepStrictEqual(await symbols(token), []);
+    });
+
+    it('stops at the plan limit', async () => {
+        const { token } = await signup();
+
+        const res = await request('POST', '/api/watchlist/import', {
+            token,
+            body: ['ES', 'NQ', 'YM', 'RTY', 'ZN', 'ZB', 'GC']
+        });
+        assert.strictEqual(res.status, 200);
+        assert.strictEqual(res.body.summary.added, 5);
+        assert.match(res.body.results[5].error, /plan limit of 5/);
+        assert.strictEqual((await symbols(token)).length, 5);
+    });
+
+    it('rejects a body that is neither CSV nor a list', async () => {
+        const { token } = await signup();
+        const res = await request('POST', '/api/watchlist/import', { token, body: { symbol: 'ES' } });
+        assert.strictEqual(res.status, 400);
+    });
+});
+
+describe('watchlist export', () => {
+    it('is a Pro feature', async () => {
+        const { token } = await signup();
+        const res = await request('GET', '/api/watchlist/export', { token });
+        assert.strictEqual(res.status, 403);
+        assert.strictEqual(res.body.code, 'UPGRADE_REQUIRED');
+    });
+
+    it('exports CSV that imports back', async () => {
+        const { token, user } = await signup();
+        await makePro(user.id);
+        await request('POST', '/api/watchlist', { token, body: { symbol: 'ES', notes: '=1+1' } });
+        await request('POST', '/api/watchlist', { token, body: { symbol: 'GC', notes: 'breakout, watch' } });
+
+        const exported = await request('GET', '/api/watchlist/export?format=csv', { token });
+        assert.strictEqual(exported.status, 200);
+        assert.match(exported.headers.get('content-disposition'), /attachment; filename="cotpulse-.+\.csv"/);
+        const [header, ...rows] = parseCsv(exported.body);
+        assert.deepStrictEqual([...header], ['symbol', 'name', 'category', 'notes', 'added_at']);
+        assert.deepStrictEqual(rows.map(row => [row[0], row[3]]), [['ES', "'=1+1"], ['GC', 'breakout, watch']]);
+
+        const other = await signup();
+        const res = await importCsv(other.token, exported.body);
+        assert.strictEqual(res.body.summary.added, 2);
+        assert.deepStrictEqual(await symbols(other.token), ['ES', 'GC']);
+    });
+});
@@ -0,0 +1,204 @@
+/**
+ * Alert Engine
+ * COT Pulse Backend
+ *
+ * Evaluates every active alert rule against a newly loaded COT report and records
+ * what fired. Report data is passed in, so the engine runs the same on stored
+ * positions and on fixture data:
+ *
+ *   history = {
+ *       ES: [
+ *           { reportDate: '2024-01-02', openInterest: 2150000,
+ *             positions: { noncommercial: { long: 310000, short: 280000, spreading: 12000 }, ... } },
+ *           ...
+ *       ]
+ *   }
+ *
+ * Rows can be in any order and rows after the report date are ignored. Give each market
+ * enough weeks for the longest COT index lookback in use (156 covers every rule).
+ */
+
+const User = require('../models/User');
+const Alert = require('../models/Alert');
+const AlertTrigger = require('../models/AlertTrigger');
+const { getLimit } = require('./entitlements');
+const { netPosition, cotIndex, percentChange, round } = require('./cotAnalytics');
+const { deliverTriggers } = require('./alertNotifications');
+const { dispatchAlertTriggers } = require('./webhooks');
+
+/**
+ * The value a rule watches, as of rows[index]
+ */
+function metric(alert, rows, index) {
+    const row = rows[index];
+    const previous = rows[index - 1];
+    if (!row) return null;
+
+    const net = r => netPosition(r.positions && r.positions[alert.traderGroup]);
+
+    switch (alert.alertType) {
+        case 'net_position_cross':
+            return net(row);
+        case 'weekly_change': {
+            if (!previous) return null;
+            const current = net(row);
+            const before = net(previous);
+            return current === null || before === null ? null : current - before;
+        }
+        case 'cot_index_extreme': {
+            const window = rows.slice(Math.max(0, index - alert.lookbackWeeks + 1), index + 1);
+            return cotIndex(window.map(net));
+        }
+        case 'open_interest_change':
+            return previous ? percentChange(Number(row.openInterest), Number(previous.openInterest)) : null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Check a rule's condition
+ */
+function isFired(alert, value, previousValue) {
+    if (value === null) return false;
+    const threshold = alert.thresholdValue;
+    const direction = alert.thresholdDirection;
+
+    if (alert.alertType === 'net_position_cross') {
+        if (previousValue === null) return false;
+        const crossedUp = previousValue < threshold && value >= threshold;
+        const crossedDown = previousValue > threshold && value <= threshold;
+        return direction === 'above' ? crossedUp : direction === 'below' ? crossedDown : crossedUp || crossedDown;
+    }
+
+    if (alert.alertType === 'cot_index_extreme') {
+        return direction === 'above' ? value >= threshold : value <= threshold;
+    }
+
+    // weekly_change / open_interest_change
+    if (direction === 'increase') return value >= threshold;
+    if (direction === 'decrease') return value <= -threshold;
+    return Math.abs(value) >= threshold;
+}
+
+/**
+ * Positioning figures saved with a trigger (used by notifications)
+ */
+function describe(alert, current, previous) {
+    const position = alert.traderGroup && current.positions ? current.positions[alert.traderGroup] : null;
+    const net = netPosition(position);
+    const previousNet = previous && alert.traderGroup ? netPosition(previous.positions && previous.positions[alert.traderGroup]) : null;
+    const openInterest = current.openInterest === undefined ? null : Number(current.openInterest);
+    const previousOpenInterest = previous && previous.openInterest !== undefined ? Number(previous.openInterest) : null;
+
+    return {
+        long: position ? Number(position.long) : null,
+        short: position ? Number(position.short) : null,
+        net,
+        previousNet,
+        netChange: net !== null && previousNet !== null ? net - previousNet : null,
+        openInterest,
+        previousOpenInterest,
+        openInterestChangePct: round(percentChange(openInterest, previousOpenInterest)),
+        lookbackWeeks: alert.lookbackWeeks
+    };
+}
+
+/**
+ * Drop rules beyond their owner's plan limit. A user who downgrades keeps their rules,
+ * but only the oldest `alerts` active ones (across all report types) are evaluated.
+ * Returns { alerts, overLimit }.
+ */
+async function withinPlanLimits(alerts) {
+    const allowed = new Map();
+
+    for (const userId of new Set(alerts.map(alert => alert.userId))) {
+        const limit = getLimit(await User.findById(userId), 'alerts');
+        if (limit === null) continue;
+        allowed.set(userId, new Set((await Alert.findActiveIdsByUserId(userId)).slice(0, limit)));
+    }
+
+    const kept = alerts.filter(alert => !allowed.has(alert.userId) || allowed.get(alert.userId).has(alert.id));
+    return { alerts: kept, overLimit: alerts.length - kept.length };
+}
+
+/**
+ * Evaluate all active rules on a report type against the report for reportDate.
+ *
+ * Options: { reportType, reportDate, history, dryRun, notify, holdDigests }
+ * With dryRun, nothing is written and triggers are returned unsaved.
+ * New triggers are emailed and sent to webhooks unless notify is false (e.g. when backfilling).
+ * holdDigests leaves digest emails for sendHeldDigests (utils/alertNotifications.js), so a
+ * caller loading several report types can send one digest for the whole release.
+ * Rules over their owner's plan limit are not evaluated (counted in overLimit).
+ * Returns { reportType, reportDate, evaluated, triggered, duplicates, skipped, overLimit, emails, webhooks }.
+ */
+async function evaluateReport({ reportType, reportDate, history, dryRun = false, notify = true, holdDigests = false }) {
+    const { alerts, overLimit } = await withinPlanLimits(await Alert.findActiveByReportType(reportType));
+    const sorted = {};
+    const summary = { reportType, reportDate, evaluated: 0, triggered: [], duplicates: 0, skipped: 0, overLimit };
+
+    for (const alert of alerts) {
+        if (!sorted[alert.symbol]) {
+            sorted[alert.symbol] = (history[alert.symbol] || [])
+                .filter(row => row.reportDate <= reportDate)
+                .sort((a, b) => (a.reportDate < b.reportDate ? -1 : 1));
+        }
+        const rows = sorted[alert.symbol];
+        const index = rows.length - 1;
+
+        // Market wasn't in this report
+        if (index < 0 || rows[index].reportDate !== reportDate) {
+            summary.skipped++;
+            continue;
+        }
+
+        summary.evaluated++;
+
+        const value = metric(alert, rows, index);
+        const previousValue = metric(alert, rows, index - 1);
+        if (!isFired(alert, value, previousValue)) continue;
+
+        const trigger = {
+            reportType,
+            reportDate,
+            value: round(value),
+            previousValue: round(previousValue),
+            details: describe(alert, rows[index], rows[index - 1])
+        };
+
+        if (dryRun) {
+            if (await AlertTrigger.exists(alert.id, reportType, reportDate)) {
+                summary.duplicates++;
+            } else {
+                summary.triggered.push({ alertId: alert.id, userId: alert.userId, symbol: alert.symbol, alertType: alert.alertType, ...trigger });
+            }
+            continue;
+        }
+
+        // Insert-or-skip on the unique key, so overlapping runs can't both record (or throw)
+        const recorded = await AlertTrigger.create(alert, trigger);
+        if (!recorded) {
+            summary.duplicates++;
+            continue;
+        }
+        summary.triggered.push(recorded);
+    }
+
+    console.log(`[Alerts] ${reportType} ${reportDate}: ${summary.evaluated} evaluated, ${summary.triggered.length} triggered, ${summary.duplicates} already fired, ${summary.skipped} not in report, ${overLimit} over plan limit`);
+
+    if (!dryRun && summary.triggered.length > 0) {
+        if (notify) {
+            summary.emails = await deliverTriggers(summary.triggered, { holdDigests });
+            summary.webhooks = await dispatchAlertTriggers(summary.triggered);
+        } else {
+            await AlertTrigger.setEmailStatus(summary.triggered.map(trigger => trigger.id), 'skipped');
+        }
+    }
+
+    return summary;
+}
+
+module.exports = {
+    evaluateReport
+};
@@ -0,0 +1,93 @@
+/**
+ * Alert Notifications
+ * COT Pulse Backend
+ *
+ * Emails users about triggered alerts. Users choose (notificationPreferences) between one
+ * email per triggered alert and a single digest per report release, or no alert emails at all.
+ * A release is every report type for one report date: when several are loaded together
+ * (ingest-cot.js), digests are held until the last one and then sent with sendHeldDigests.
+ * The outcome is recorded on each trigger (email_status; held triggers stay 'pending').
+ */
+
+const User = require('../models/User');
+const AlertTrigger = require('../models/AlertTrigger');
+const Market = require('../models/Market');
+const { sendAlertEmail } = require('./email');
+
+/**
+ * Text for a failed send (Resend returns error objects, thrown errors are strings)
+ */
+function errorText(error) {
+    if (!error) return 'Unknown error';
+    return typeof error === 'string' ? error : error.message || JSON.stringify(error);
+}
+
+/**
+ * Send one email and record the result on its triggers
+ */
+async function sendAndRecord(user, triggers, counts) {
+    const ids = triggers.map(trigger => trigger.id);
+    const result = await sendAlertEmail(user.email, user.name, triggers);
+
+    if (result.success) {
+        await AlertTrigger.setEmailStatus(ids, 'sent');
+        counts.sent += ids.length;
+    } else {
+        await AlertTrigger.setEmailStatus(ids, 'failed', errorText(result.error));
+        counts.failed += ids.length;
+    }
+}
+
+/**
+ * Email the owners of newly recorded triggers (all from the same report date).
+ * With holdDigests, triggers for digest users are left pending for sendHeldDigests.
+ * Returns counts of triggers by outcome: { sent, failed, skipped, held }.
+ */
+async function deliverTriggers(triggers, { holdDigests = false } = {}) {
+    const counts = { sent: 0, failed: 0, skipped: 0, held: 0 };
+    const byUser = new Map();
+
+    for (const trigger of triggers) {
+        if (!byUser.has(trigger.userId)) byUser.set(trigger.userId, []);
+        const market = await Market.findBySymbol(trigger.symbol);
+        byUser.get(trigger.userId).push({ ...trigger, marketName: market ? market.name : null });
+    }
+
+    for (const [userId, userTriggers] of byUser) {
+        const user = await User.findById(userId);
+        const preferences = User.getNotificationPreferences(user);
+
+        if (!user || !user.email || !preferences.alertEmails) {
+            await AlertTrigger.setEmailStatus(userTriggers.map(trigger => trigger.id), 'skipped');
+            counts.skipped += userTriggers.length;
+            continue;
+        }
+
+        if (preferences.alertDigest && holdDigests) {
+            counts.held += userTriggers.length;
+        } else if (preferences.alertDigest) {
+            await sendAndRecord(user, userTriggers, counts);
+        } else {
+            for (const trigger of userTriggers) {
+                await sendAndRecord(user, [trigger], counts);
+            }
+        }
+    }
+
+    console.log(`[Alerts] Alert emails: ${counts.sent} sent, ${counts.failed} failed, ${counts.skipped} skipped, ${counts.held} held for digest`);
+
+    return counts;
+}
+
+/**
+ * Send the digests held for a report date: one email per user covering every report type.
+ * Returns counts of triggers by outcome: { sent, failed, skipped, held }.
+ */
+async function sendHeldDigests(reportDate) {
+    return deliverTriggers(await AlertTrigger.findEmailPending(reportDate));
+}
+
+module.exports = {
+    deliverTriggers,
+    sendHeldDigests
+};
@@ -0,0 +1,129 @@
+/**
+ * COT Analytics
+ * COT Pulse Backend
+ *
+ * Positioning math shared by the alert engine and the analytics endpoints.
+ * Inputs are plain numbers so the same functions work on stored rows and fixtures.
+ */
+
+/**
+ * Net position (long minus short) of one trader group. Null if the group isn't reported.
+ */
+function netPosition(position) {
+    if (!position || position.long === null || position.long === undefined ||
+        position.short === null || position.short === undefined) {
+        return null;
+    }
+    return Number(position.long) - Number(position.short);
+}
+
+/**
+ * COT Index: where the last value sits within the range of all values, 0-100.
+ * Null when there is no range (fewer than two distinct values).
+ */
+function cotIndex(values) {
+    const series = values.filter(value => value !== null && value !== undefined);
+    if (series.length < 2) return null;
+
+    const current = series[series.length - 1];
+    const min = Math.min(...series);
+    const max = Math.max(...series);
+    if (max === min) return null;
+
+    return ((current - min) / (max - min)) * 100;
+}
+
+/**
+ * Z-score: how many standard deviations the last value sits from the mean of all values.
+ * Null when there is no spread (fewer than two values, or all equal).
+ */
+function zScore(values) {
+    const series = values.filter(value => value !== null && value !== undefined);
+    if (series.length < 2) return null;
+
+    const current = series[series.length - 1];
+    const mean = series.reduce((sum, value) => sum + value, 0) / series.length;
+    const variance = series.reduce((sum, value) => sum + (value - mean) ** 2, 0) / series.length;
+    if (variance === 0) return null;
+
+    return (current - mean) / Math.sqrt(variance);
+}
+
+/**
+ * Percentile rank of the last value: the share of all values at or below it, 0-100.
+ * Null with fewer than two values.
+ */
+function percentileRank(values) {
+    const series = values.filter(value => value !== null && value !== undefined);
+    if (series.length < 2) return null;
+
+    const current = series[series.length - 1];
+    return (series.filter(value => value <= current).length / series.length) * 100;
+}
+
+/**
+ * Percent change from previous to current. Null if previous is missing or zero.
+ */
+function percentChange(current, previous) {
+    if (current === null || current === undefined || !previous) return null;
+    return ((current - previous) / Math.abs(previous)) * 100;
+}
+
+/**
+ * Positioning summary for one trader group as of the last row of a market's history
+ * (rows oldest first, in the shape models/CotReport.js returns). The COT index, z-score
+ * and percentile use the last `lookbackWeeks` rows; changes compare with the row before.
+ * Null if the group isn't reported in the last row.
+ */
+function summarize(rows, traderGroup, lookbackWeeks) {
+    const current = rows[rows.length - 1];
+    const previous = rows[rows.length - 2];
+    if (!current || netPosition(current.positions[traderGroup]) === null) return null;
+
+    const window = rows.slice(-lookbackWeeks).map(row => netPosition(row.positions[traderGroup]));
+    const series = window.filter(value => value !== null);
+    const net = netPosition(current.positions[traderGroup]);
+    const previousPosition = previous ? previous.positions[traderGroup] : null;
+    const previousNet = netPosition(previousPosition);
+    const openInterest = current.openInterest;
+    const previousOpenInterest = previous ? previous.openInterest : null;
+
+    return {
+        reportDate: current.reportDate,
+        weeks: series.length,
+        netPosition: net,
+        netChange: previousNet === null ? null : net - previousNet,
+        netChangePercent: round(percentChange(net, previousNet)),
+        longChange: previousNet === null ? null : current.positions[traderGroup].long - previousPosition.long,
+        shortChange: previousNet === null ? null : current.positions[traderGroup].short - previousPosition.short,
+        cotIndex: round(cotIndex(window)),
+        zScore: round(zScore(window)),
+        percentile: round(percentileRank(window)),
+        minNetPosition: Math.min(...series),
+        maxNetPosition: Math.max(...series),
+        openInterest,
+        openInterestChange: openInterest === null || previousOpenInterest === null || previousOpenInterest === undefined
+            ? null
+            : openInterest - previousOpenInterest,
+        openInterestChangePercent: round(percentChange(openInterest, previousOpenInterest))
+    };
+}
+
+/**
+ * Round for storage and display (analytics don't need more than 2 decimals)
+ */
+function round(value, decimals = 2) {
+    if (value === null || value === undefined) return null;
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+    netPosition,
+    cotIndex,
+    zScore,
+    percentileRank,
+    percentChange,
+    round,
+    summarize
+};
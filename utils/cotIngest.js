@@ -0,0 +1,371 @@
+/**
+ * COT Report Ingestion
+ * COT Pulse Backend
+ *
+ * Loads CFTC Commitments of Traders files into cot_reports/cot_positions.
+ * Reads the comma-delimited files the CFTC publishes (the .txt inside the yearly zips,
+ * or CSV exports with the same columns) for the legacy, disaggregated and Traders in
+ * Financial Futures (tff) reports. Both header styles are understood:
+ *   "Noncommercial Positions-Long (All)"  and  "NonComm_Positions_Long_All"
+ *
+ * Loading is an upsert, so importing the same file again changes nothing. After loading,
+ * the analytics of the tracked markets in the file are rebuilt, and when a file contains
+ * the newest report for its type, alert rules are evaluated against it.
+ */
+
+const fs = require('fs');
+const Alert = require('../models/Alert');
+const CotReport = require('../models/CotReport');
+const Market = require('../models/Market');
+const CotAnalytics = require('../models/CotAnalytics');
+const { parseCsv } = require('./csv');
+const { REPORT_TYPES, TRADER_GROUPS, LOOKBACK_WEEKS } = require('./cotReports');
+const { evaluateReport } = require('./alertEngine');
+const { summarize } = require('./cotAnalytics');
+
+// Column name prefixes for each trader group, per report type (after header normalization)
+const GROUP_COLUMNS = {
+    legacy: {
+        noncommercial: ['noncomm', 'noncommercial'],
+        commercial: ['comm', 'commercial'],
+        nonreportable: ['nonrept', 'nonreportable']
+    },
+    disaggregated: {
+        producer_merchant: ['prodmerc'],
+        swap_dealer: ['swap'],
+        managed_money: ['mmoney'],
+        other_reportable: ['otherrept'],
+        nonreportable: ['nonrept']
+    },
+    tff: {
+        dealer: ['dealer'],
+        asset_manager: ['assetmgr'],
+        leveraged_funds: ['levmoney'],
+        other_reportable: ['otherrept'],
+        nonreportable: ['nonrept']
+    }
+};
+
+// A column only found in each report type, used to detect the type from the header
+const SIGNATURE_COLUMNS = {
+    tff: 'levmoneypositionslongall',
+    disaggregated: 'mmoneypositionslongall',
+    legacy: ['noncommpositionslongall', 'noncommercialpositionslongall']
+};
+
+const MARKET_NAME_COLUMNS = ['marketandexchangenames'];
+const CODE_COLUMNS = ['cftccontractmarketcode'];
+const OPEN_INTEREST_COLUMNS = ['openinterestall'];
+const DATE_COLUMNS = ['reportdateasyyyymmdd', 'asofdateinformyyyymmdd', 'reportdateasmmddyyyy', 'asofdateinformyymmdd'];
+const FUTURES_ONLY_COLUMN = 'futonlyorcombined';
+
+// Weeks of history the alert engine needs (longest COT index lookback, plus one)
+const ALERT_HISTORY_WEEKS = Math.max(...LOOKBACK_WEEKS) + 1;
+
+// Weeks of history analytics need (the longest lookback window)
+const ANALYTICS_HISTORY_WEEKS = Math.max(...LOOKBACK_WEEKS);
+
+/**
+ * Header text -> comparison key ("Open Interest (All)" and "Open_Interest_All" -> "openinterestall")
+ */
+function normalizeHeader(header) {
+    return header.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Index of the first of several candidate columns present in the header (-1 if none)
+ */
+function findColumn(index, candidates) {
+    for (const candidate of [].concat(candidates)) {
+        if (index.has(candidate)) return index.get(candidate);
+    }
+    return -1;
+}
+
+/**
+ * Work out the report type from the header row
+ */
+function detectReportType(index) {
+    for (const reportType of ['tff', 'disaggregated', 'legacy']) {
+        if (findColumn(index, SIGNATURE_COLUMNS[reportType]) !== -1) return reportType;
+    }
+    return null;
+}
+
+/**
+ * Column indexes (long/short/spreading) of every trader group in a report type
+ */
+function groupColumns(index, reportType) {
+    const columns = {};
+    for (const [traderGroup, prefixes] of Object.entries(GROUP_COLUMNS[reportType])) {
+        // The CFTC spells some spread columns "Postions"
+        const names = side => prefixes.flatMap(prefix => [
+            `${prefix}positions${side}all`,
+            `${prefix}postions${side}all`
+        ]);
+        columns[traderGroup] = {
+            long: findColumn(index, names('long')),
+            short: findColumn(index, names('short')),
+            spreading: findColumn(index, [...names('spread'), ...names('spreading')])
+        };
+    }
+    return columns;
+}
+
+/**
+ * Parse a report date (YYYY-MM-DD, MM/DD/YYYY or YYMMDD) to YYYY-MM-DD. Null if invalid.
+ */
+function parseReportDate(value) {
+    const text = String(value || '').trim();
+    let year;
+    let month;
+    let day;
+
+    let match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (match) {
+        [, year, month, day] = match;
+    } else if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})/))) {
+        [, month, day, year] = match;
+    } else if ((match = text.match(/^(\d{2})(\d{2})(\d{2})$/))) {
+        // COT data starts in 1986
+        year = Number(match[1]) >= 86 ? `19${match[1]}` : `20${match[1]}`;
+        [, , month, day] = match;
+    } else {
+        return null;
+    }
+
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    // Date.UTC rolls out-of-range parts over (month 13 is January), so check they survived
+    if (Number.isNaN(date.getTime()) || date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) {
+        return null;
+    }
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Parse a contract count ("1,234", " 1234 ", "." for not reported). Null if blank.
+ */
+function parseCount(value) {
+    const text = String(value === undefined ? '' : value).replace(/[,\s]/g, '');
+    if (text === '' || text === '.') return null;
+    const number = Number(text);
+    return Number.isFinite(number) ? Math.round(number) : NaN;
+}
+
+/**
+ * Normalize a CFTC contract market code (Excel drops leading zeros from numeric codes)
+ */
+function normalizeCftcCode(value) {
+    const code = String(value || '').trim().toUpperCase();
+    return /^\d{1,5}$/.test(code) ? code.padStart(6, '0') : code;
+}
+
+/**
+ * Split "GOLD - COMMODITY EXCHANGE INC." into market and exchange names
+ */
+function splitMarketName(value) {
+    const text = String(value || '').trim().replace(/\s+/g, ' ');
+    const separator = text.lastIndexOf(' - ');
+    if (separator === -1) return { marketName: text, exchangeName: null };
+    return {
+        marketName: text.slice(0, separator).trim(),
+        exchangeName: text.slice(separator + 3).trim()
+    };
+}
+
+/**
+ * Parse the text of a COT file.
+ * reportType is detected from the header unless given.
+ * Returns { reportType, rows, errors } where errors are [{ line, error }]. Rows are unique by
+ * market and date (a later duplicate replaces an earlier one). Combined futures-and-options
+ * rows are skipped when the file says which is which; load futures-only files.
+ */
+function parseReportFile(text, { reportType } = {}) {
+    const [header, ...records] = parseCsv(text);
+    if (!header) {
+        throw new Error('File is empty');
+    }
+
+    const index = new Map();
+    header.forEach((name, i) => {
+        const key = normalizeHeader(name);
+        if (!index.has(key)) index.set(key, i);
+    });
+
+    const detected = detectReportType(index);
+    const type = reportType || detected;
+    if (!type) {
+        throw new Error('Could not tell the report type from the header; pass it explicitly');
+    }
+    if (!REPORT_TYPES.includes(type)) {
+        throw new Error(`Report type must be one of: ${REPORT_TYPES.join(', ')}`);
+    }
+
+    const columns = {
+        marketName: findColumn(index, MARKET_NAME_COLUMNS),
+        code: findColumn(index, CODE_COLUMNS),
+        openInterest: findColumn(index, OPEN_INTEREST_COLUMNS),
+        date: DATE_COLUMNS.map(name => findColumn(index, name)).filter(i => i !== -1),
+        futuresOnly: findColumn(index, FUTURES_ONLY_COLUMN),
+        groups: groupColumns(index, type)
+    };
+
+    const missing = [];
+    if (columns.code === -1) missing.push('CFTC Contract Market Code');
+    if (columns.date.length === 0) missing.push('report date');
+    if (columns.openInterest === -1) missing.push('Open Interest (All)');
+    for (const [traderGroup, group] of Object.entries(columns.groups)) {
+        if (group.long === -1 || group.short === -1) missing.push(`${traderGroup} long/short`);
+    }
+    if (missing.length > 0) {
+        throw new Error(`Missing ${type} columns: ${missing.join(', ')}`);
+    }
+
+    const rows = new Map();
+    const errors = [];
+
+    for (const record of records) {
+        if (columns.futuresOnly !== -1 && /combined/i.test(record[columns.futuresOnly] || '')) continue;
+
+        const cftcCode = normalizeCftcCode(record[columns.code]);
+        const dateColumn = columns.date.find(i => (record[i] || '').trim() !== '');
+        const reportDate = dateColumn === undefined ? null : parseReportDate(record[dateColumn]);
+        const openInterest = parseCount(record[columns.openInterest]);
+
+        if (!cftcCode) {
+            errors.push({ line: record.line, error: 'Missing CFTC contract market code' });
+            continue;
+        }
+        if (!reportDate) {
+            errors.push({ line: record.line, error: 'Missing or invalid report date' });
+            continue;
+        }
+
+        const positions = {};
+        let invalid = Number.isNaN(openInterest);
+        for (const [traderGroup, group] of Object.entries(columns.groups)) {
+            const position = {
+                long: parseCount(record[group.long]),
+                short: parseCount(record[group.short]),
+                spreading: group.spreading === -1 ? null : parseCount(record[group.spreading])
+            };
+            if (Object.values(position).some(Number.isNaN)) invalid = true;
+            positions[traderGroup] = position;
+        }
+        if (invalid) {
+            errors.push({ line: record.line, error: 'Position columns must be whole numbers' });
+            continue;
+        }
+
+        rows.set(`${cftcCode}|${reportDate}`, {
+            reportType: type,
+            cftcCode,
+            reportDate,
+            ...splitMarketName(columns.marketName === -1 ? '' : record[columns.marketName]),
+            openInterest,
+            positions
+        });
+    }
+
+    return { reportType: type, rows: [...rows.values()], errors };
+}
+
+/**
+ * History for every market with an active alert on a report type, keyed by our symbol
+ * (the shape the alert engine takes)
+ */
+async function loadAlertHistory(reportType, reportDate) {
+    const alerts = await Alert.findActiveByReportType(reportType);
+    const history = {};
+
+    for (const symbol of new Set(alerts.map(alert => alert.symbol))) {
+        const market = await Market.findBySymbol(symbol);
+        if (!market) continue;
+        history[symbol] = await CotReport.findRecent(reportType, market.cftcCode, reportDate, ALERT_HISTORY_WEEKS);
+    }
+
+    return history;
+}
+
+/**
+ * Rebuild the precomputed analytics of some markets for a report type, as of each market's
+ * latest report. Returns the number of markets with analytics.
+ */
+async function refreshAnalytics(reportType, cftcCodes) {
+    const latest = await CotReport.latestReportDate(reportType);
+    if (!latest) return 0;
+
+    let refreshed = 0;
+    for (const cftcCode of cftcCodes) {
+        const rows = await CotReport.findRecent(reportType, cftcCode, latest, ANALYTICS_HISTORY_WEEKS);
+        const entries = [];
+
+        for (const traderGroup of TRADER_GROUPS[reportType]) {
+            for (const lookbackWeeks of LOOKBACK_WEEKS) {
+                const summary = rows.length > 0 ? summarize(rows, traderGroup, lookbackWeeks) : null;
+                if (summary) entries.push({ traderGroup, lookbackWeeks, ...summary });
+            }
+        }
+
+        await CotAnalytics.replaceForMarket(reportType, cftcCode, entries);
+        if (entries.length > 0) refreshed++;
+    }
+
+    return refreshed;
+}
+
+/**
+ * Load a COT file.
+ * Options: { reportType, alerts (default true), notify (default true), holdDigests (see evaluateReport) }
+ * Alerts are evaluated only when the file contains the newest report loaded for its type,
+ * so backfilling older years doesn't fire anything.
+ */
+async function ingestFile(filePath, { reportType, alerts = true, notify = true, holdDigests = false } = {}) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const parsed = parseReportFile(text, { reportType });
+
+    const summary = {
+        file: filePath,
+        reportType: parsed.reportType,
+        rows: parsed.rows.length,
+        errors: parsed.errors,
+        markets: new Set(parsed.rows.map(row => row.cftcCode)).size,
+        trackedMarkets: 0,
+        firstReportDate: null,
+        lastReportDate: null,
+        alerts: null
+    };
+
+    if (parsed.rows.length === 0) return summary;
+
+    const dates = parsed.rows.map(row => row.reportDate).sort();
+    summary.firstReportDate = dates[0];
+    summary.lastReportDate = dates[dates.length - 1];
+
+    await CotReport.upsert(parsed.rows);
+    const tracked = await Market.recordReports(parsed.rows);
+    summary.trackedMarkets = tracked.length;
+    console.log(`[COT] Loaded ${parsed.rows.length} ${parsed.reportType} rows (${summary.firstReportDate} to ${summary.lastReportDate}) from ${filePath}`);
+
+    await refreshAnalytics(parsed.reportType, tracked.map(market => market.cftcCode));
+
+    if (alerts && summary.lastReportDate === await CotReport.latestReportDate(parsed.reportType)) {
+        const history = await loadAlertHistory(parsed.reportType, summary.lastReportDate);
+        summary.alerts = await evaluateReport({
+            reportType: parsed.reportType,
+            reportDate: summary.lastReportDate,
+            history,
+            notify,
+            holdDigests
+        });
+    }
+
+    return summary;
+}
+
+module.exports = {
+    parseReportFile,
+    parseReportDate,
+    refreshAnalytics,
+    ingestFile
+};
@@ -0,0 +1,61 @@
+/**
+ * COT Report Definitions
+ * COT Pulse Backend
+ *
+ * The three Commitments of Traders report types and the trader groups each one
+ * breaks open interest into. Shared by alerts, ingestion and analytics.
+ */
+
+const TRADER_GROUPS = {
+    legacy: [
+        'noncommercial',
+        'commercial',
+        'nonreportable'
+    ],
+    disaggregated: [
+        'producer_merchant',
+        'swap_dealer',
+        'managed_money',
+        'other_reportable',
+        'nonreportable'
+    ],
+    tff: [
+        'dealer',
+        'asset_manager',
+        'leveraged_funds',
+        'other_reportable',
+        'nonreportable'
+    ]
+};
+
+const REPORT_TYPES = Object.keys(TRADER_GROUPS);
+
+// Lookback windows (in weeks) for the COT index and z-scores
+const LOOKBACK_WEEKS = [26, 52, 156];
+const DEFAULT_LOOKBACK_WEEKS = 156;
+
+/**
+ * Check that a trader group exists in a report type
+ */
+function isTraderGroup(reportType, traderGroup) {
+    return !!TRADER_GROUPS[reportType] && TRADER_GROUPS[reportType].includes(traderGroup);
+}
+
+/**
+ * Display name for a trader group ('managed_money' -> 'Managed Money')
+ */
+function traderGroupLabel(traderGroup) {
+    return String(traderGroup)
+        .split('_')
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+module.exports = {
+    TRADER_GROUPS,
+    REPORT_TYPES,
+    LOOKBACK_WEEKS,
+    DEFAULT_LOOKBACK_WEEKS,
+    isTraderGroup,
+    traderGroupLabel
+};
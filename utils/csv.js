@@ -0,0 +1,97 @@
+/**
+ * CSV Helpers
+ * COT Pulse Backend
+ *
+ * Minimal RFC 4180 reading and writing (quoted fields, escaped quotes, CRLF)
+ */
+
+// Leading characters a spreadsheet reads as the start of a formula
+const FORMULA_PREFIXES = ['=', '+', '-', '@'];
+
+/**
+ * Quote a value if it contains a delimiter, quote or line break.
+ * Text that a spreadsheet would run as a formula (=, +, - or @ first) gets a leading '
+ * so it opens as plain text; numbers are left alone.
+ */
+function escapeField(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && FORMULA_PREFIXES.includes(text[0])) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build CSV text from objects. columns: [{ key, header }]
+ */
+function toCsv(rows, columns) {
+    const lines = [columns.map(column => escapeField(column.header)).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => escapeField(row[column.key])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings).
+ * Blank lines are dropped; each row keeps its 1-based line number as row.line.
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0].trim() !== '') {
+            row.line = rowLine;
+            rows.push(row);
+        }
+        row = [];
+        field = '';
+    };
+
+    // Skip a UTF-8 byte order mark (Excel adds one)
+    const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRow();
+            line++;
+            rowLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) endRow();
+
+    return rows;
+}
+
+module.exports = {
+    toCsv,
+    parseCsv
+};
@@ -6,9 +6,16 @@
  */
 
 const { Resend } = require('resend');
+const { traderGroupLabel } = require('./cotReports');
 
-// Initialize Resend with API key
-const resend = new Resend(process.env.RESEND_API_KEY);
+// Resend client, created on first send so scripts and tests that never
+// email run without RESEND_API_KEY
+let resend = null;
+
+function getResend() {
+    if (!resend) resend = new Resend(process.env.RESEND_API_KEY);
+    return resend;
+}
 
 // Email sender address
 const FROM_EMAIL = 'COT Pulse <noreply@cotpulse.com>';
@@ -124,6 +131,18 @@ const styles = {
     `
 };
 
+/**
+ * Escape a user-supplied value for interpolation into email HTML
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Generate base email template
  */
@@ -185,7 +204,7 @@ function baseTemplate(content) {
 async function sendWelcomeEmail(email, name) {
     console.log('[Email] Sending welcome email to:', email);
 
-    const firstName = name ? name.split(' ')[0] : 'there';
+    const firstName = name ? escapeHtml(name.split(' ')[0]) : 'there';
 
     const content = `
         <h2 style="${styles.heading}">Welcome to COT Pulse, ${firstName}!</h2>
@@ -226,7 +245,7 @@ async function sendWelcomeEmail(email, name) {
     `;
 
     try {
-        const { data, error } = await resend.emails.send({
+        const { data, error } = await getResend().emails.send({
             from: FROM_EMAIL,
             to: email,
             subject: 'Welcome to COT Pulse - Your Edge Starts Now',
@@ -253,7 +272,7 @@ async function sendWelcomeEmail(email, name) {
 async function sendPasswordResetEmail(email, resetToken, name) {
     console.log('[Email] Sending password reset email to:', email);
 
-    const firstName = name ? name.split(' ')[0] : 'there';
+    const firstName = name ? escapeHtml(name.split(' ')[0]) : 'there';
     const resetUrl = `${FRONTEND_URL}/reset-password?token=${resetToken}`;
 
     const content = `
@@ -285,7 +304,7 @@ async function sendPasswordResetEmail(email, resetToken, name) {
     `;
 
     try {
-        const { data, error } = await resend.emails.send({
+        const { data, error } = await getResend().emails.send({
             from: FROM_EMAIL,
             to: email,
             subject: 'Reset Your COT Pulse Password',
@@ -312,7 +331,7 @@ async function sendPasswordResetEmail(email, resetToken, name) {
 async function sendSubscriptionEmail(email, name, tier) {
     console.log('[Email] Sending subscription confirmation to:', email);
 
-    const firstName = name ? name.split(' ')[0] : 'there';
+    const firstName = name ? escapeHtml(name.split(' ')[0]) : 'there';
 
     const content = `
         <h2 style="${styles.heading}">Welcome to COT Pulse Pro!</h2>
@@ -348,7 +367,7 @@ async function sendSubscriptionEmail(email, name, tier) {
     `;
 
     try {
-        const { data, error } = await resend.emails.send({
+        const { data, error } = await getResend().emails.send({
             from: FROM_EMAIL,
             to: email,
             subject: 'Welcome to COT Pulse Pro - Your Upgrade is Active',
@@ -369,8 +388,458 @@ async function sendSubscriptionEmail(email, name, tier) {
     }
 }
 
+/**
+ * Send email address verification link
+ */
+async function sendVerificationEmail(email, verificationToken, name) {
+    console.log('[Email] Sending verification email to:', email);
+
+    const firstName = name ? escapeHtml(name.split(' ')[0]) : 'there';
+    const verifyUrl = `${FRONTEND_URL}/verify-email?token=${verificationToken}`;
+
+    const content = `
+        <h2 style="${styles.heading}">Confirm Your Email</h2>
+
+        <p style="${styles.text}">
+            Hi ${firstName}, please confirm that this is the right address for your COT Pulse account.
+        </p>
+
+        <p style="${styles.text}">
+            We use it to send password reset links and account notices, so it's worth getting right.
+        </p>
+
+        <div style="${styles.buttonContainer}">
+            <a href="${verifyUrl}" style="${styles.button}">
+                VERIFY EMAIL
+            </a>
+        </div>
+
+        <div style="${styles.divider}"></div>
+
+        <p style="${styles.text}">
+            If you didn't create a COT Pulse account, you can safely ignore this email.
+        </p>
+
+        <p style="${styles.smallText}">
+            This link expires in 24 hours. You can request a new one from your account settings.
+        </p>
+    `;
+
+    try {
+        const { data, error } = await getResend().emails.send({
+            from: FROM_EMAIL,
+            to: email,
+            subject: 'Verify Your COT Pulse Email',
+            html: baseTemplate(content)
+        });
+
+        if (error) {
+            console.error('[Email] Failed to send verification email:', error);
+            return { success: false, error };
+        }
+
+        console.log('[Email] Verification email sent successfully to:', email, 'ID:', data?.id);
+        return { success: true, id: data?.id };
+
+    } catch (error) {
+        console.error('[Email] Verification email error:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Send notice that the account was locked after repeated failed logins
+ */
+async function sendAccountLockedEmail(email, name, lockedUntil) {
+    console.log('[Email] Sending account locked notice to:', email);
+
+    const firstName = name ? escapeHtml(name.split(' ')[0]) : 'there';
+    const minutes = Math.max(1, Math.round((new Date(lockedUntil) - Date.now()) / 60000));
+
+    const content = `
+        <h2 style="${styles.heading}">Your Account Was Temporarily Locked</h2>
+
+        <p style="${styles.text}">
+            Hi ${firstName}, we noticed several failed attempts to sign in to your COT Pulse account, so we've locked it for ${minutes} minutes to keep it safe.
+        </p>
+
+        <p style="${styles.text}">
+            If this was you, just wait and try again. If it wasn't, we recommend resetting your password now.
+        </p>
+
+        <div style="${styles.buttonContainer}">
+            <a href="${FRONTEND_URL}/forgot-password" style="${styles.button}">
+                RESET PASSWORD
+            </a>
+        </div>
+
+        <div style="${styles.divider}"></div>
+
+        <p style="${styles.smallText}">
+            Turning on two-factor authentication in your <a href="${FRONTEND_URL}/settings" style="${styles.footerLink}">account settings</a> protects you even if your password is guessed.
+        </p>
+    `;
+
+    try {
+        const { data, error } = await getResend().emails.send({
+            from: FROM_EMAIL,
+            to: email,
+            subject: 'COT Pulse Security Alert - Account Temporarily Locked',
+            html: baseTemplate(content)
+        });
+
+        if (error) {
+            console.error('[Email] Failed to send account locked email:', error);
+            return { success: false, error };
+        }
+
+        console.log('[Email] Account locked email sent successfully to:', email, 'ID:', data?.id);
+        return { success: true, id: data?.id };
+
+    } catch (error) {
+        console.error('[Email] Account locked email error:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Send confirmation link for an email change to the new address
+ */
+async function sendEmailChangeConfirmation(newEmail, confirmToken, name) {
+    console.log('[Email] Sending email change confirmation to:', newEmail);
+
+    const firstName = name ? escapeHtml(name.split(' ')[0]) : 'there';
+    const confirmUrl = `${FRONTEND_URL}/confirm-email-change?token=${confirmToken}`;
+
+    const content = `
+        <h2 style="${styles.heading}">Confirm Your New Email</h2>
+
+        <p style="${styles.text}">
+            Hi ${firstName}, you asked to change the email address on your COT Pulse account to this one.
+        </p>
+
+        <p style="${styles.text}">
+            Click the button below to confirm. Your old address stays active until you do.
+        </p>
+
+        <div style="${styles.buttonContainer}">
+            <a href="${confirmUrl}" style="${styles.button}">
+                CONFIRM EMAIL CHANGE
+            </a>
+        </div>
+
+        <div style="${styles.divider}"></div>
+
+        <p style="${styles.smallText}">
+            This link expires in 24 hours. If you didn't request this change, you can ignore this email.
+        </p>
+    `;
+
+    try {
+        const { data, error } = await getResend().emails.send({
+            from: FROM_EMAIL,
+            to: newEmail,
+            subject: 'Confirm Your New COT Pulse Email',
+            html: baseTemplate(content)
+        });
+
+        if (error) {
+            console.error('[Email] Failed to send email change confirmation:', error);
+            return { success: false, error };
+        }
+
+        console.log('[Email] Email change confirmation sent successfully to:', newEmail, 'ID:', data?.id);
+        return { success: true, id: data?.id };
+
+    } catch (error) {
+        console.error('[Email] Email change confirmation error:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Send notice to the old address that an email change was requested
+ */
+async function sendEmailChangeNotice(oldEmail, newEmail, name) {
+    console.log('[Email] Sending email change notice to:', oldEmail);
+
+    const firstName = name ? escapeHtml(name.split(' ')[0]) : 'there';
+
+    const content = `
+        <h2 style="${styles.heading}">Email Change Requested</h2>
+
+        <p style="${styles.text}">
+            Hi ${firstName}, someone asked to change the email address on your COT Pulse account to <strong>${escapeHtml(newEmail)}</strong>.
+        </p>
+
+        <p style="${styles.text}">
+            The change only takes effect once it's confirmed from the new address. If this was you, there's nothing else to do.
+        </p>
+
+        <div style="${styles.divider}"></div>
+
+        <p style="${styles.text}">
+            If you didn't request this, reset your password right away to secure your account.
+        </p>
+
+        <div style="${styles.buttonContainer}">
+            <a href="${FRONTEND_URL}/forgot-password" style="${styles.button}">
+                RESET PASSWORD
+            </a>
+        </div>
+    `;
+
+    try {
+        const { data, error } = await getResend().emails.send({
+            from: FROM_EMAIL,
+            to: oldEmail,
+            subject: 'COT Pulse Security Alert - Email Change Requested',
+            html: baseTemplate(content)
+        });
+
+        if (error) {
+            console.error('[Email] Failed to send email change notice:', error);
+            return { success: false, error };
+        }
+
+        console.log('[Email] Email change notice sent successfully to:', oldEmail, 'ID:', data?.id);
+        return { success: true, id: data?.id };
+
+    } catch (error) {
+        console.error('[Email] Email change notice error:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Send notice that the account password was changed
+ */
+async function sendPasswordChangedEmail(email, name) {
+    console.log('[Email] Sending password changed notice to:', email);
+
+    const firstName = name ? escapeHtml(name.split(' ')[0]) : 'there';
+
+    const content = `
+        <h2 style="${styles.heading}">Your Password Was Changed</h2>
+
+        <p style="${styles.text}">
+            Hi ${firstName}, the password for your COT Pulse account was just changed. Other devices have been signed out.
+        </p>
+
+        <div style="${styles.divider}"></div>
+
+        <p style="${styles.text}">
+            If you didn't make this change, reset your password right away.
+        </p>
+
+        <div style="${styles.buttonContainer}">
+            <a href="${FRONTEND_URL}/forgot-password" style="${styles.button}">
+                RESET PASSWORD
+            </a>
+        </div>
+    `;
+
+    try {
+        const { data, error } = await getResend().emails.send({
+            from: FROM_EMAIL,
+            to: email,
+            subject: 'COT Pulse Security Alert - Password Changed',
+            html: baseTemplate(content)
+        });
+
+        if (error) {
+            console.error('[Email] Failed to send password changed email:', error);
+            return { success: false, error };
+        }
+
+        console.log('[Email] Password changed email sent successfully to:', email, 'ID:', data?.id);
+        return { success: true, id: data?.id };
+
+    } catch (error) {
+        console.error('[Email] Password changed email error:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Send confirmation that the account and its data were deleted
+ */
+async function sendAccountDeletedEmail(email, name) {
+    console.log('[Email] Sending account deletion confirmation to:', email);
+
+    const firstName = name ? escapeHtml(name.split(' ')[0]) : 'there';
+
+    const content = `
+        <h2 style="${styles.heading}">Your Account Has Been Deleted</h2>
+
+        <p style="${styles.text}">
+            Hi ${firstName}, your COT Pulse account has been deleted as requested. Your profile, watchlists, alerts and sessions have been removed, and any active subscription has been canceled.
+        </p>
+
+        <p style="${styles.text}">
+            Billing records are kept by our payment processor as required for tax and accounting purposes.
+        </p>
+
+        <div style="${styles.divider}"></div>
+
+        <p style="${styles.text}">
+            We're sorry to see you go. You're always welcome to come back and create a new account.
+        </p>
+
+        <p style="${styles.smallText}">
+            If you didn't request this, please reply to this email right away.
+        </p>
+    `;
+
+    try {
+        const { data, error } = await getResend().emails.send({
+            from: FROM_EMAIL,
+            to: email,
+            subject: 'Your COT Pulse Account Has Been Deleted',
+            html: baseTemplate(content)
+        });
+
+        if (error) {
+            console.error('[Email] Failed to send account deleted email:', error);
+            return { success: false, error };
+        }
+
+        console.log('[Email] Account deleted email sent successfully to:', email, 'ID:', data?.id);
+        return { success: true, id: data?.id };
+
+    } catch (error) {
+        console.error('[Email] Account deleted email error:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Format a number for alert emails (thousands separators, optional sign)
+ */
+function formatNumber(value, { signed = false, decimals = 0 } = {}) {
+    if (value === null || value === undefined) return 'n/a';
+    const text = Math.abs(value).toLocaleString('en-US', {
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals
+    });
+    if (value < 0) return `-${text}`;
+    return signed && value > 0 ? `+${text}` : text;
+}
+
+/**
+ * One-line description of why an alert fired
+ */
+function describeTrigger(trigger) {
+    const group = trigger.traderGroup ? traderGroupLabel(trigger.traderGroup) : '';
+    const threshold = trigger.thresholdValue;
+
+    switch (trigger.alertType) {
+        case 'net_position_cross': {
+            const direction = trigger.value >= threshold ? 'above' : 'below';
+            return `${group} net position crossed ${direction} ${formatNumber(threshold)}`;
+        }
+        case 'weekly_change':
+            return `${group} net position changed ${formatNumber(trigger.value, { signed: true })} contracts this week (threshold ${formatNumber(threshold)})`;
+        case 'cot_index_extreme':
+            return `${group} COT Index is ${formatNumber(trigger.value, { decimals: 1 })} over ${trigger.details.lookbackWeeks} weeks (${trigger.thresholdDirection === 'above' ? 'at or above' : 'at or below'} ${formatNumber(threshold)})`;
+        case 'open_interest_change':
+            return `Open interest changed ${formatNumber(trigger.value, { signed: true, decimals: 2 })}% this week (threshold ${formatNumber(threshold, { decimals: 2 })}%)`;
+        default:
+            return 'Alert triggered';
+    }
+}
+
+/**
+ * Send alert notification for one or more triggers from the same report date.
+ * A single trigger gets its own subject line; several are sent as a digest, which can
+ * span report types (a whole release).
+ * Each trigger: { symbol, marketName, alertType, traderGroup, value, thresholdValue,
+ *                 thresholdDirection, reportType, reportDate, details }
+ */
+async function sendAlertEmail(email, name, triggers) {
+    console.log(`[Email] Sending ${triggers.length} alert(s) to:`, email);
+
+    const firstName = name ? escapeHtml(name.split(' ')[0]) : 'there';
+    const { reportDate } = triggers[0];
+    const reportTypes = [...new Set(triggers.map(trigger => trigger.reportType))];
+    const reports = reportTypes.length > 1
+        ? `${reportTypes.slice(0, -1).join(', ')} and ${reportTypes[reportTypes.length - 1]} COT reports`
+        : `${reportTypes[0]} COT report`;
+    const isDigest = triggers.length > 1;
+
+    const markets = triggers.map(trigger => {
+        const figures = trigger.details || {};
+        const positioning = figures.net !== null && figures.net !== undefined
+            ? `Long ${formatNumber(figures.long)} &middot; Short ${formatNumber(figures.short)} &middot; Net ${formatNumber(figures.net)}<br>
+                Week-over-week: ${formatNumber(figures.netChange, { signed: true })} net<br>`
+            : '';
+
+        return `
+        <div style="${styles.featureBox}">
+            <p style="${styles.featureTitle}">${escapeHtml(trigger.symbol)}${trigger.marketName ? ` - ${escapeHtml(trigger.marketName)}` : ''}</p>
+            <p style="${styles.featureText}">
+                ${describeTrigger(trigger)}<br>
+                ${positioning}
+                Open interest ${formatNumber(figures.openInterest)} (${formatNumber(figures.openInterestChangePct, { signed: true, decimals: 2 })}%)
+            </p>
+        </div>`;
+    }).join('');
+
+    const content = `
+        <h2 style="${styles.heading}">${isDigest ? `${triggers.length} Alerts Triggered` : 'Alert Triggered'}</h2>
+
+        <p style="${styles.text}">
+            Hi ${firstName}, the ${reports} for ${reportDate} triggered ${isDigest ? 'these alerts' : 'one of your alerts'}:
+        </p>
+
+        ${markets}
+
+        <div style="${styles.buttonContainer}">
+            <a href="${FRONTEND_URL}/alerts" style="${styles.button}">
+                VIEW ALERTS
+            </a>
+        </div>
+
+        <p style="${styles.smallText}">
+            You can switch between individual alert emails and a single digest per report release, or turn alert emails off, in your <a href="${FRONTEND_URL}/settings" style="${styles.footerLink}">account settings</a>.
+        </p>
+    `;
+
+    const subject = isDigest
+        ? `COT Pulse Alerts - ${triggers.length} alerts triggered (${reportDate} report)`
+        : `COT Pulse Alert - ${triggers[0].symbol}: ${describeTrigger(triggers[0])}`;
+
+    try {
+        const { data, error } = await getResend().emails.send({
+            from: FROM_EMAIL,
+            to: email,
+            subject,
+            html: baseTemplate(content)
+        });
+
+        if (error) {
+            console.error('[Email] Failed to send alert email:', error);
+            return { success: false, error };
+        }
+
+        console.log('[Email] Alert email sent successfully to:', email, 'ID:', data?.id);
+        return { success: true, id: data?.id };
+
+    } catch (error) {
+        console.error('[Email] Alert email error:', error);
+        return { success: false, error: error.message };
+    }
+}
+
 module.exports = {
     sendWelcomeEmail,
     sendPasswordResetEmail,
-    sendSubscriptionEmail
+    sendSubscriptionEmail,
+    sendVerificationEmail,
+    sendAccountLockedEmail,
+    sendEmailChangeConfirmation,
+    sendEmailChangeNotice,
+    sendPasswordChangedEmail,
+    sendAccountDeletedEmail,
+    sendAlertEmail
 };
@@ -0,0 +1,36 @@
+/**
+ * Email Verification Helpers
+ * COT Pulse Backend
+ *
+ * Shared by signup and the email verification routes
+ */
+
+const crypto = require('crypto');
+const db = require('../db');
+const { sendVerificationEmail } = require('./email');
+
+// Token expiration time (24 hours)
+const TOKEN_EXPIRATION_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Generate a verification token for the user's current email and send it
+ */
+async function startEmailVerification(user) {
+    const verificationToken = crypto.randomBytes(32).toString('hex');
+    const tokenHash = crypto.createHash('sha256').update(verificationToken).digest('hex');
+    const now = new Date().toISOString();
+    const expiresAt = new Date(Date.now() + TOKEN_EXPIRATION_MS).toISOString();
+
+    await db.query(
+        `INSERT INTO email_verification_tokens (user_id, email, token_hash, expires_at, created_at)
+         VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT (user_id) DO UPDATE SET email = ?, token_hash = ?, expires_at = ?, created_at = ?`,
+        [user.id, user.email, tokenHash, expiresAt, now, user.email, tokenHash, expiresAt, now]
+    );
+
+    return sendVerificationEmail(user.email, verificationToken, user.name);
+}
+
+module.exports = {
+    startEmailVerification
+};
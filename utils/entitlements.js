@@ -0,0 +1,127 @@
+/**
+ * Entitlements
+ * COT Pulse Backend
+ *
+ * The single place that decides what each subscription tier can do.
+ * Routes ask for a feature or a limit here instead of comparing tier names.
+ */
+
+// Days a past_due subscription keeps its paid features while Stripe retries payment
+const PAST_DUE_GRACE_DAYS = parseInt(process.env.PAST_DUE_GRACE_DAYS, 10) || 7;
+
+// Tier the user falls back to when their tier is unknown or has lapsed
+const DEFAULT_TIER = 'free';
+
+/**
+ * Features (on/off) and limits (null = unlimited) per tier.
+ * watchlistSymbols applies to each watchlist. New tiers only need an entry here.
+ */
+const TIERS = {
+    free: {
+        features: {
+            export: false,
+            apiAccess: false,
+            webhooks: false,
+            screener: false
+        },
+        limits: {
+            watchlists: 1,
+            watchlistSymbols: 5,
+            alerts: 3,
+            historyWeeks: 52
+        }
+    },
+    pro: {
+        features: {
+            export: true,
+            apiAccess: true,
+            webhooks: true,
+            screener: true
+        },
+        limits: {
+            watchlists: 20,
+            watchlistSymbols: 100,
+            alerts: 50,
+            historyWeeks: null
+        }
+    }
+};
+
+const FEATURES = Object.keys(TIERS[DEFAULT_TIER].features);
+
+/**
+ * When the past_due grace period ends (null if the subscription isn't past_due)
+ */
+function graceEndsAt(user) {
+    if (user.subscription_status !== 'past_due') return null;
+
+    // Set whenever the status becomes past_due (and backfilled at startup for older rows),
+    // so a missing start means the grace period can't be placed: treat it as over
+    if (!user.past_due_since) return new Date(0);
+
+    return new Date(new Date(user.past_due_since).getTime() + PAST_DUE_GRACE_DAYS * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * The tier whose rules apply right now.
+ * A past_due subscription keeps its tier until the grace period runs out.
+ */
+function getEffectiveTier(user) {
+    if (!user || !TIERS[user.subscription_tier]) return DEFAULT_TIER;
+
+    const endsAt = graceEndsAt(user);
+    if (endsAt && endsAt <= new Date()) return DEFAULT_TIER;
+
+    return user.subscription_tier;
+}
+
+/**
+ * Full entitlement summary for a user (shape returned by GET /api/auth/me/entitlements)
+ */
+function getEntitlements(user) {
+    const tier = getEffectiveTier(user);
+    const endsAt = graceEndsAt(user);
+
+    return {
+        tier,
+        subscriptionTier: user.subscription_tier,
+        subscriptionStatus: user.subscription_status,
+        gracePeriod: endsAt
+            ? { active: endsAt > new Date(), endsAt: endsAt.toISOString() }
+            : null,
+        features: { ...TIERS[tier].features },
+        limits: { ...TIERS[tier].limits }
+    };
+}
+
+/**
+ * Whether the user's current tier includes a feature
+ */
+function hasFeature(user, feature) {
+    return !!TIERS[getEffectiveTier(user)].features[feature];
+}
+
+/**
+ * A numeric limit for the user's current tier (null = unlimited)
+ */
+function getLimit(user, limit) {
+    return TIERS[getEffectiveTier(user)].limits[limit];
+}
+
+/**
+ * The cheapest tier that includes a feature, for upgrade prompts
+ */
+function tierWithFeature(feature) {
+    return Object.keys(TIERS).find(tier => TIERS[tier].features[feature]) || null;
+}
+
+module.exports = {
+    TIERS,
+    FEATURES,
+    PAST_DUE_GRACE_DAYS,
+    getEffectiveTier,
+    getEntitlements,
+    hasFeature,
+    getLimit,
+    tierWithFeature
+};
@@ -0,0 +1,85 @@
+/**
+ * Market Catalog
+ * COT Pulse Backend
+ *
+ * Futures markets we track, keyed by exchange symbol. cftcCode is the CFTC
+ * contract market code used in the Commitments of Traders reports.
+ *
+ * This is seed data for the markets table (synced on startup by setupTables);
+ * look markets up through models/Market.js. To track a new market, add it here.
+ */
+
+const MARKETS = [
+    // Equity indices
+    { symbol: 'ES', name: 'E-mini S&P 500', category: 'Equities', cftcCode: '13874A', exchange: 'CME', contractUnit: '$50 x S&P 500 Index' },
+    { symbol: 'NQ', name: 'E-mini Nasdaq-100', category: 'Equities', cftcCode: '209742', exchange: 'CME', contractUnit: '$20 x Nasdaq-100 Index' },
+    { symbol: 'YM', name: 'E-mini Dow ($5)', category: 'Equities', cftcCode: '124603', exchange: 'CBOT', contractUnit: '$5 x Dow Jones Industrial Average' },
+    { symbol: 'RTY', name: 'E-mini Russell 2000', category: 'Equities', cftcCode: '239742', exchange: 'CME', contractUnit: '$50 x Russell 2000 Index' },
+    { symbol: 'VX', name: 'VIX Futures', category: 'Equities', cftcCode: '1170E1', exchange: 'CFE', contractUnit: '$1,000 x VIX Index' },
+
+    // Interest rates
+    { symbol: 'ZT', name: '2-Year T-Note', category: 'Rates', cftcCode: '042601', exchange: 'CBOT', contractUnit: '$200,000 face value' },
+    { symbol: 'ZF', name: '5-Year T-Note', category: 'Rates', cftcCode: '044601', exchange: 'CBOT', contractUnit: '$100,000 face value' },
+    { symbol: 'ZN', name: '10-Year T-Note', category: 'Rates', cftcCode: '043602', exchange: 'CBOT', contractUnit: '$100,000 face value' },
+    { symbol: 'ZB', name: '30-Year T-Bond', category: 'Rates', cftcCode: '020601', exchange: 'CBOT', contractUnit: '$100,000 face value' },
+
+    // Currencies
+    { symbol: 'DX', name: 'U.S. Dollar Index', category: 'Currencies', cftcCode: '098662', exchange: 'ICE US', contractUnit: '$1,000 x U.S. Dollar Index' },
+    { symbol: '6E', name: 'Euro FX', category: 'Currencies', cftcCode: '099741', exchange: 'CME', contractUnit: '125,000 EUR' },
+    { symbol: '6J', name: 'Japanese Yen', category: 'Currencies', cftcCode: '097741', exchange: 'CME', contractUnit: '12,500,000 JPY' },
+    { symbol: '6B', name: 'British Pound', category: 'Currencies', cftcCode: '096742', exchange: 'CME', contractUnit: '62,500 GBP' },
+    { symbol: '6C', name: 'Canadian Dollar', category: 'Currencies', cftcCode: '090741', exchange: 'CME', contractUnit: '100,000 CAD' },
+    { symbol: '6A', name: 'Australian Dollar', category: 'Currencies', cftcCode: '232741', exchange: 'CME', contractUnit: '100,000 AUD' },
+    { symbol: '6S', name: 'Swiss Franc', category: 'Currencies', cftcCode: '092741', exchange: 'CME', contractUnit: '125,000 CHF' },
+    { symbol: '6N', name: 'New Zealand Dollar', category: 'Currencies', cftcCode: '112741', exchange: 'CME', contractUnit: '100,000 NZD' },
+    { symbol: '6M', name: 'Mexican Peso', category: 'Currencies', cftcCode: '095741', exchange: 'CME', contractUnit: '500,000 MXN' },
+
+    // Metals
+    { symbol: 'GC', name: 'Gold', category: 'Metals', cftcCode: '088691', exchange: 'COMEX', contractUnit: '100 troy oz' },
+    { symbol: 'SI', name: 'Silver', category: 'Metals', cftcCode: '084691', exchange: 'COMEX', contractUnit: '5,000 troy oz' },
+    { symbol: 'HG', name: 'Copper', category: 'Metals', cftcCode: '085692', exchange: 'COMEX', contractUnit: '25,000 lbs' },
+    { symbol: 'PL', name: 'Platinum', category: 'Metals', cftcCode: '076651', exchange: 'NYMEX', contractUnit: '50 troy oz' },
+    { symbol: 'PA', name: 'Palladium', category: 'Metals', cftcCode: '075651', exchange: 'NYMEX', contractUnit: '100 troy oz' },
+
+    // Energy
+    { symbol: 'CL', name: 'WTI Crude Oil', category: 'Energy', cftcCode: '067651', exchange: 'NYMEX', contractUnit: '1,000 barrels' },
+    { symbol: 'NG', name: 'Natural Gas', category: 'Energy', cftcCode: '023651', exchange: 'NYMEX', contractUnit: '10,000 MMBtu' },
+    { symbol: 'RB', name: 'RBOB Gasoline', category: 'Energy', cftcCode: '111659', exchange: 'NYMEX', contractUnit: '42,000 gallons' },
+    { symbol: 'HO', name: 'Heating Oil', category: 'Energy', cftcCode: '022651', exchange: 'NYMEX', contractUnit: '42,000 gallons' },
+
+    // Grains
+    { symbol: 'ZC', name: 'Corn', category: 'Grains', cftcCode: '002602', exchange: 'CBOT', contractUnit: '5,000 bushels' },
+    { symbol: 'ZS', name: 'Soybeans', category: 'Grains', cftcCode: '005602', exchange: 'CBOT', contractUnit: '5,000 bushels' },
+    { symbol: 'ZW', name: 'Chicago Wheat', category: 'Grains', cftcCode: '001602', exchange: 'CBOT', contractUnit: '5,000 bushels' },
+    { symbol: 'KE', name: 'KC Hard Red Wheat', category: 'Grains', cftcCode: '001612', exchange: 'CBOT', contractUnit: '5,000 bushels' },
+    { symbol: 'ZM', name: 'Soybean Meal', category: 'Grains', cftcCode: '026603', exchange: 'CBOT', contractUnit: '100 short tons' },
+    { symbol: 'ZL', name: 'Soybean Oil', category: 'Grains', cftcCode: '007601', exchange: 'CBOT', contractUnit: '60,000 lbs' },
+
+    // Livestock
+    { symbol: 'LE', name: 'Live Cattle', category: 'Livestock', cftcCode: '057642', exchange: 'CME', contractUnit: '40,000 lbs' },
+    { symbol: 'GF', name: 'Feeder Cattle', category: 'Livestock', cftcCode: '061641', exchange: 'CME', contractUnit: '50,000 lbs' },
+    { symbol: 'HE', name: 'Lean Hogs', category: 'Livestock', cftcCode: '054642', exchange: 'CME', contractUnit: '40,000 lbs' },
+
+    // Softs
+    { symbol: 'KC', name: 'Coffee', category: 'Softs', cftcCode: '083731', exchange: 'ICE US', contractUnit: '37,500 lbs' },
+    { symbol: 'SB', name: 'Sugar No. 11', category: 'Softs', cftcCode: '080732', exchange: 'ICE US', contractUnit: '112,000 lbs' },
+    { symbol: 'CC', name: 'Cocoa', category: 'Softs', cftcCode: '073732', exchange: 'ICE US', contractUnit: '10 metric tons' },
+    { symbol: 'CT', name: 'Cotton No. 2', category: 'Softs', cftcCode: '033661', exchange: 'ICE US', contractUnit: '50,000 lbs' },
+    { symbol: 'OJ', name: 'Orange Juice', category: 'Softs', cftcCode: '040701', exchange: 'ICE US', contractUnit: '15,000 lbs' },
+
+    // Crypto
+    { symbol: 'BTC', name: 'Bitcoin', category: 'Crypto', cftcCode: '133741', exchange: 'CME', contractUnit: '5 bitcoin' },
+    { symbol: 'ETH', name: 'Ether', category: 'Crypto', cftcCode: '146021', exchange: 'CME', contractUnit: '50 ether' }
+];
+
+/**
+ * Normalize user input to catalog form (trimmed, upper case)
+ */
+function normalizeSymbol(symbol) {
+    return typeof symbol === 'string' ? symbol.trim().toUpperCase() : '';
+}
+
+module.exports = {
+    MARKETS,
+    normalizeSymbol
+};
@@ -0,0 +1,99 @@
+/**
+ * Outbound Address Guard
+ * COT Pulse Backend
+ *
+ * Keeps server-side requests to user-supplied URLs (webhooks) on the public internet.
+ * Hostnames are resolved before every request and refused if any address is loopback,
+ * private, link-local, shared (CGNAT), multicast or otherwise reserved, so an endpoint
+ * can't be pointed at cloud metadata (169.254.169.254) or our internal network.
+ * The caller connects to the address checked here, so DNS can't change in between.
+ */
+
+const dns = require('dns').promises;
+const net = require('net');
+
+const BLOCKED = new net.BlockList();
+
+for (const [network, prefix] of [
+    ['0.0.0.0', 8],         // "this network"
+    ['10.0.0.0', 8],        // private
+    ['100.64.0.0', 10],     // shared address space (CGNAT)
+    ['127.0.0.0', 8],       // loopback
+    ['169.254.0.0', 16],    // link-local, cloud metadata
+    ['172.16.0.0', 12],     // private
+    ['192.0.0.0', 24],      // IETF protocol assignments
+    ['192.0.2.0', 24],      // documentation
+    ['192.88.99.0', 24],    // 6to4 relay
+    ['192.168.0.0', 16],    // private
+    ['198.18.0.0', 15],     // benchmarking
+    ['198.51.100.0', 24],   // documentation
+    ['203.0.113.0', 24],    // documentation
+    ['224.0.0.0', 4],       // multicast
+    ['240.0.0.0', 4]        // reserved, broadcast
+]) {
+    BLOCKED.addSubnet(network, prefix, 'ipv4');
+}
+
+for (const [network, prefix] of [
+    ['::', 128],            // unspecified
+    ['::1', 128],           // loopback
+    ['64:ff9b::', 96],      // NAT64
+    ['100::', 64],          // discard
+    ['2001::', 32],         // Teredo
+    ['2001:db8::', 32],     // documentation
+    ['2002::', 16],         // 6to4
+    ['fc00::', 7],          // unique local
+    ['fe80::', 10],         // link-local
+    ['ff00::', 8]           // multicast
+]) {
+    BLOCKED.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Private addresses are only reachable when explicitly allowed outside production
+ * (for a local receiver while developing or testing)
+ */
+function privateNetworksAllowed() {
+    return process.env.NODE_ENV !== 'production' && process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true';
+}
+
+/**
+ * Whether an IP address is on the public internet
+ */
+function isPublicAddress(address) {
+    const family = net.isIP(address);
+    if (family === 0) return false;
+
+    // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address
+    const mapped = family === 6 && address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return !BLOCKED.check(mapped[1], 'ipv4');
+
+    return !BLOCKED.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Resolve a hostname (or IP literal) to an address that is safe to connect to.
+ * Returns { address, family }. Throws if it doesn't resolve or any address is not public.
+ */
+async function resolvePublicAddress(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '');
+    const addresses = net.isIP(host)
+        ? [{ address: host, family: net.isIP(host) }]
+        : await dns.lookup(host, { all: true, verbatim: true }).catch(() => {
+            throw new Error(`Could not resolve ${host}`);
+        });
+
+    if (addresses.length === 0) {
+        throw new Error(`Could not resolve ${host}`);
+    }
+    if (!privateNetworksAllowed() && addresses.some(({ address }) => !isPublicAddress(address))) {
+        throw new Error(`${host} resolves to a private or reserved address`);
+    }
+
+    return addresses[0];
+}
+
+module.exports = {
+    isPublicAddress,
+    resolvePublicAddress
+};
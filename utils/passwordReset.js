@@ -0,0 +1,35 @@
+/**
+ * Password Reset Helpers
+ * COT Pulse Backend
+ *
+ * Shared by the forgot-password route and admin-forced resets
+ */
+
+const crypto = require('crypto');
+const db = require('../db');
+const { sendPasswordResetEmail } = require('./email');
+
+// Token expiration time (1 hour)
+const TOKEN_EXPIRATION_MS = 60 * 60 * 1000;
+
+/**
+ * Generate a reset token for the user (replacing any earlier one) and email the link
+ */
+async function startPasswordReset(user) {
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    const tokenHash = crypto.createHash('sha256').update(resetToken).digest('hex');
+    const expiresAt = new Date(Date.now() + TOKEN_EXPIRATION_MS).toISOString();
+
+    await db.query(
+        `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+         VALUES (?, ?, ?)
+         ON CONFLICT (user_id) DO UPDATE SET token_hash = ?, expires_at = ?`,
+        [user.id, tokenHash, expiresAt, tokenHash, expiresAt]
+    );
+
+    return sendPasswordResetEmail(user.email, resetToken, user.name);
+}
+
+module.exports = {
+    startPasswordReset
+};
@@ -0,0 +1,116 @@
+/**
+ * Rate Limiting
+ * COT Pulse Backend
+ *
+ * Fixed-window counters stored in the rate_limit_counters table, so limits
+ * hold across restarts and work the same on SQLite and PostgreSQL.
+ */
+
+const db = require('../db');
+
+/**
+ * The client's address. Relies on the 'trust proxy' setting in server.js, without which
+ * req.ip is the hosting proxy's address for every request. IPv4 clients on a dual-stack
+ * socket show up as ::ffff:1.2.3.4; strip that so each client has one key.
+ */
+function clientIp(req) {
+    const ip = req.ip || (req.socket && req.socket.remoteAddress) || null;
+    return ip && ip.startsWith('::ffff:') ? ip.slice(7) : ip;
+}
+
+/**
+ * Send a 429 response with a Retry-After header
+ */
+function sendTooManyRequests(res, retryAfterSeconds, message) {
+    const retryAfter = Math.max(1, Math.ceil(retryAfterSeconds));
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        success: false,
+        error: message || 'Too many requests. Please try again later.',
+        retryAfter
+    });
+}
+
+/**
+ * Count a hit against a key. Starts a new window when the previous one has ended.
+ * Returns { count, resetAt } where resetAt is epoch milliseconds.
+ */
+async function hit(key, windowMs) {
+    const now = Date.now();
+    const windowStartCutoff = now - windowMs;
+
+    await db.query(`
+        INSERT INTO rate_limit_counters (counter_key, count, window_start)
+        VALUES (?, 1, ?)
+        ON CONFLICT (counter_key) DO UPDATE SET
+            count = CASE WHEN rate_limit_counters.window_start <= ? THEN 1 ELSE rate_limit_counters.count + 1 END,
+            window_start = CASE WHEN rate_limit_counters.window_start <= ? THEN ? ELSE rate_limit_counters.window_start END
+    `, [key, now, windowStartCutoff, windowStartCutoff, now]);
+
+    const row = await db.getOne('SELECT count, window_start FROM rate_limit_counters WHERE counter_key = ?', [key]);
+
+    return {
+        count: Number(row.count),
+        resetAt: Number(row.window_start) + windowMs
+    };
+}
+
+/**
+ * Clear a key (e.g. after a successful login)
+ */
+async function reset(key) {
+    await db.query('DELETE FROM rate_limit_counters WHERE counter_key = ?', [key]);
+}
+
+/**
+ * Remove counters whose window ended long ago
+ */
+async function cleanup(olderThanMs = 24 * 60 * 60 * 1000) {
+    await db.query('DELETE FROM rate_limit_counters WHERE window_start < ?', [Date.now() - olderThanMs]);
+}
+
+/**
+ * Express middleware factory
+ *
+ * @param {string} name - Counter namespace (e.g. 'login-ip')
+ * @param {number} windowMs - Window length
+ * @param {number} max - Requests allowed per window
+ * @param {Function} [keyGenerator] - Builds the key from the request (defaults to client IP).
+ *                                    Returning a falsy value skips the limit.
+ * @param {string} [message] - Error message for the 429 response
+ */
+function rateLimit({ name, windowMs, max, keyGenerator = clientIp, message }) {
+    return async (req, res, next) => {
+        try {
+            const keyPart = keyGenerator(req);
+            if (!keyPart) return next();
+
+            const { count, resetAt } = await hit(`${name}:${keyPart}`, windowMs);
+
+            if (count > max) {
+                console.log(`[Rate Limit] ${name} exceeded for ${keyPart}`);
+                return sendTooManyRequests(res, (resetAt - Date.now()) / 1000, message);
+            }
+
+            // Occasionally clear out stale counters
+            if (Math.random() < 0.01) {
+                cleanup().catch(err => console.error('[Rate Limit] Cleanup failed:', err));
+            }
+
+            next();
+        } catch (error) {
+            // Don't lock everyone out if the counter store is unavailable
+            console.error('[Rate Limit] Counter error:', error);
+            next();
+        }
+    };
+}
+
+module.exports = {
+    rateLimit,
+    hit,
+    reset,
+    cleanup,
+    clientIp,
+    sendTooManyRequests
+};
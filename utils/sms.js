@@ -0,0 +1,98 @@
+/**
+ * SMS Service
+ * COT Pulse Backend
+ *
+ * Provider is chosen with SMS_PROVIDER:
+ *   console - log messages to stdout (default, local development)
+ *   file    - append messages to data/sms-outbox.log
+ *   twilio  - send through the Twilio Messages API
+ *
+ * Every provider exposes send(to, body) and resolves to
+ * { success, id } or { success: false, error }, like the email service.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SMS_PROVIDER = process.env.SMS_PROVIDER || 'console';
+
+// Outbox file for the file provider
+const outboxPath = path.join(__dirname, '..', 'data', 'sms-outbox.log');
+
+const providers = {
+    console: {
+        async send(to, body) {
+            console.log(`[SMS] (console) To: ${to} | ${body}`);
+            return { success: true, id: `console-${Date.now()}` };
+        }
+    },
+
+    file: {
+        async send(to, body) {
+            fs.mkdirSync(path.dirname(outboxPath), { recursive: true });
+            const line = JSON.stringify({ to, body, sentAt: new Date().toISOString() });
+            fs.appendFileSync(outboxPath, line + '\n');
+            console.log(`[SMS] (file) Message to ${to} written to ${outboxPath}`);
+            return { success: true, id: `file-${Date.now()}` };
+        }
+    },
+
+    twilio: {
+        async send(to, body) {
+            const accountSid = process.env.TWILIO_ACCOUNT_SID;
+            const authToken = process.env.TWILIO_AUTH_TOKEN;
+            const from = process.env.TWILIO_FROM_NUMBER;
+
+            const response = await fetch(
+                `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`,
+                {
+                    method: 'POST',
+                    headers: {
+                        'Authorization': 'Basic ' + Buffer.from(`${accountSid}:${authToken}`).toString('base64'),
+                        'Content-Type': 'application/x-www-form-urlencoded'
+                    },
+                    body: new URLSearchParams({ To: to, From: from, Body: body })
+                }
+            );
+
+            const data = await response.json();
+            if (!response.ok) {
+                return { success: false, error: data.message || `Twilio error ${response.status}` };
+            }
+            return { success: true, id: data.sid };
+        }
+    }
+};
+
+/**
+ * Send an SMS through the configured provider
+ */
+async function sendSms(to, body) {
+    const provider = providers[SMS_PROVIDER];
+
+    if (!provider) {
+        console.error(`[SMS] Unknown SMS_PROVIDER: ${SMS_PROVIDER}`);
+        return { success: false, error: `Unknown SMS provider: ${SMS_PROVIDER}` };
+    }
+
+    try {
+        return await provider.send(to, body);
+    } catch (error) {
+        console.error('[SMS] Send error:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Send a phone verification code
+ */
+async function sendVerificationCode(phone, code) {
+    console.log('[SMS] Sending verification code to:', phone);
+    return sendSms(phone, `Your COT Pulse verification code is ${code}. It expires in 10 minutes.`);
+}
+
+module.exports = {
+    sendSms,
+    sendVerificationCode,
+    SMS_PROVIDER
+};
@@ -0,0 +1,164 @@
+/**
+ * TOTP Helpers (RFC 6238)
+ * COT Pulse Backend
+ *
+ * Compatible with Google Authenticator, 1Password, Authy, etc.
+ * (SHA-1, 6 digits, 30 second steps)
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const ISSUER = 'COT Pulse';
+
+
+/**
+ * Encode a buffer as base32 (no padding)
+ */
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+/**
+ * Decode a base32 string into a buffer
+ */
+function base32Decode(input) {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 character');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random base32 secret (160 bits)
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Compute the HOTP code for a counter value
+ */
+function hotp(secret, counter) {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Current time step
+ */
+function currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Check a code against the secret, allowing one step of clock drift either way.
+ * Returns the matching time step (so callers can reject replays) or null.
+ */
+function verifyCode(secret, code, { window = 1, now = Date.now() } = {}) {
+    if (typeof code !== 'string' || !/^\d{6}$/.test(code)) return null;
+
+    const step = currentStep(now);
+    for (let offset = -window; offset <= window; offset++) {
+        const expected = Buffer.from(hotp(secret, step + offset));
+        if (crypto.timingSafeEqual(expected, Buffer.from(code))) {
+            return step + offset;
+        }
+    }
+    return null;
+}
+
+/**
+ * Build the otpauth:// URI that authenticator apps read from a QR code
+ */
+function buildOtpauthUrl(secret, accountName) {
+    const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: ISSUER,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Key for secrets encrypted at rest, derived from TOTP_ENCRYPTION_KEY (or JWT_SECRET).
+ * Throws when neither is set rather than encrypt with a key anyone could derive.
+ */
+function encryptionKey() {
+    const material = process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    if (!material) {
+        throw new Error('TOTP_ENCRYPTION_KEY (or JWT_SECRET) must be set to encrypt secrets at rest');
+    }
+    return crypto.createHash('sha256').update(material).digest();
+}
+
+/**
+ * Encrypt a secret for storage (AES-256-GCM, iv:tag:ciphertext hex)
+ */
+function encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv.toString('hex'), cipher.getAuthTag().toString('hex'), encrypted.toString('hex')].join(':');
+}
+
+/**
+ * Decrypt a stored secret
+ */
+function decryptSecret(stored) {
+    const [iv, tag, encrypted] = stored.split(':');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), Buffer.from(iv, 'hex'));
+    decipher.setAuthTag(Buffer.from(tag, 'hex'));
+    return Buffer.concat([decipher.update(Buffer.from(encrypted, 'hex')), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+    generateSecret,
+    hotp,
+    currentStep,
+    verifyCode,
+    buildOtpauthUrl,
+    encryptionKey,
+    encryptSecret,
+    decryptSecret,
+    base32Encode,
+    base32Decode
+};
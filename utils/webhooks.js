@@ -0,0 +1,286 @@
+/**
+ * Webhook Delivery
+ * COT Pulse Backend
+ *
+ * Sends events to user-registered endpoints as signed JSON POSTs. Each request carries:
+ *   X-COTPulse-Event-Id   - stays the same across retries, so receivers can de-duplicate
+ *   X-COTPulse-Event      - event type, e.g. alert.triggered
+ *   X-COTPulse-Timestamp  - Unix seconds when this attempt was signed
+ *   X-COTPulse-Signature  - sha256=HMAC-SHA256(secret, `${timestamp}.${body}`) in hex
+ *
+ * Failed attempts are retried with exponential backoff by the retry worker. An endpoint
+ * whose deliveries keep running out of retries is disabled. Every attempt re-resolves the
+ * endpoint's host and refuses private and reserved addresses (see utils/netGuard.js).
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const User = require('../models/User');
+const Webhook = require('../models/Webhook');
+const Market = require('../models/Market');
+const { hasFeature } = require('./entitlements');
+const { resolvePublicAddress } = require('./netGuard');
+
+// Attempts per delivery, including the first
+const MAX_ATTEMPTS = 6;
+
+// Delay before the first retry; doubles each time (30s, 1m, 2m, 4m, 8m)
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+
+// Consecutive deliveries that run out of retries before an endpoint is disabled
+const AUTO_DISABLE_AFTER_FAILURES = 5;
+
+// How long an endpoint gets to respond
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+// How often the retry worker looks for due deliveries
+const RETRY_WORKER_INTERVAL_MS = 30 * 1000;
+
+// Event sent by the "send test event" endpoint
+const TEST_EVENT = 'webhook.test';
+
+/**
+ * Signature for a request body
+ */
+function sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Build an event envelope
+ */
+function buildEvent(type, data) {
+    return {
+        id: `evt_${crypto.randomUUID().replace(/-/g, '')}`,
+        type,
+        createdAt: new Date().toISOString(),
+        data
+    };
+}
+
+/**
+ * POST a body to an endpoint and return the response status.
+ * The host is resolved and checked first, and the connection goes to that address.
+ */
+async function post(url, headers, body) {
+    const target = new URL(url);
+    const { address, family } = await resolvePublicAddress(target.hostname);
+    const transport = target.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+        const request = transport.request(target, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            lookup: (hostname, options, callback) => (options && options.all
+                ? callback(null, [{ address, family }])
+                : callback(null, address, family))
+        }, response => {
+            clearTimeout(timer);
+            response.resume();
+            resolve(response.statusCode);
+        });
+
+        const timer = setTimeout(() => {
+            const error = new Error(`No response within ${REQUEST_TIMEOUT_MS / 1000}s`);
+            error.name = 'TimeoutError';
+            request.destroy(error);
+        }, REQUEST_TIMEOUT_MS);
+
+        request.on('error', error => {
+            clearTimeout(timer);
+            reject(error);
+        });
+        request.end(body);
+    });
+}
+
+/**
+ * Make one delivery attempt and record the outcome.
+ * Test events get a single attempt and don't count towards auto-disable.
+ */
+async function attemptDelivery(webhook, delivery) {
+    const isTest = delivery.eventType === TEST_EVENT;
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempts = delivery.attempts + 1;
+
+    let responseStatus = null;
+    let error = null;
+
+    try {
+        // Redirects aren't followed; a 3xx counts as a failure
+        responseStatus = await post(webhook.url, {
+            'Content-Type': 'application/json',
+            'User-Agent': 'COT-Pulse-Webhooks/1.0',
+            'X-COTPulse-Event-Id': delivery.eventId,
+            'X-COTPulse-Event': delivery.eventType,
+            'X-COTPulse-Timestamp': String(timestamp),
+            'X-COTPulse-Signature': `sha256=${sign(webhook.secret, timestamp, body)}`
+        }, body);
+        if (responseStatus < 200 || responseStatus >= 300) error = `Endpoint responded with HTTP ${responseStatus}`;
+    } catch (err) {
+        error = err.message;
+    }
+
+    if (!error) {
+        await Webhook.recordSuccess(webhook.id);
+        return Webhook.updateDelivery(delivery.id, { status: 'succeeded', attempts, responseStatus });
+    }
+
+    if (!isTest && attempts < MAX_ATTEMPTS) {
+        const delay = RETRY_BASE_DELAY_MS * 2 ** (attempts - 1);
+        return Webhook.updateDelivery(delivery.id, {
+            status: 'pending',
+            attempts,
+            responseStatus,
+            error,
+            nextAttemptAt: new Date(Date.now() + delay).toISOString()
+        });
+    }
+
+    const failed = await Webhook.updateDelivery(delivery.id, { status: 'failed', attempts, responseStatus, error });
+
+    if (!isTest) {
+        const failures = await Webhook.recordFailure(webhook.id);
+        if (failures >= AUTO_DISABLE_AFTER_FAILURES) {
+            await Webhook.setActive(webhook.user_id, webhook.id, false,
+                `Disabled after ${failures} consecutive failed deliveries`);
+            console.log(`[Webhooks] Webhook ${webhook.id} disabled after ${failures} consecutive failures`);
+        }
+    }
+
+    return failed;
+}
+
+/**
+ * Send an event to all of a user's active endpoints.
+ * Skipped if the user's plan doesn't include webhooks. Returns the deliveries.
+ */
+async function dispatchEvent(userId, type, data) {
+    const user = await User.findById(userId);
+    if (!user || !hasFeature(user, 'webhooks')) return [];
+
+    const webhooks = await Webhook.findActiveForDelivery(userId);
+    if (webhooks.length === 0) return [];
+
+    const event = buildEvent(type, data);
+    const deliveries = [];
+
+    for (const webhook of webhooks) {
+        const delivery = await Webhook.createDelivery(webhook, {
+            eventId: event.id,
+            eventType: type,
+            payload: event
+        });
+        deliveries.push(await attemptDelivery(webhook, delivery));
+    }
+
+    return deliveries;
+}
+
+/**
+ * Send alert.triggered events for newly recorded triggers.
+ * Returns delivery counts by status: { succeeded, pending, failed }.
+ */
+async function dispatchAlertTriggers(triggers) {
+    const counts = { succeeded: 0, pending: 0, failed: 0 };
+
+    for (const trigger of triggers) {
+        const market = await Market.findBySymbol(trigger.symbol);
+        const deliveries = await dispatchEvent(trigger.userId, 'alert.triggered', {
+            triggerId: trigger.id,
+            alertId: trigger.alertId,
+            symbol: trigger.symbol,
+            marketName: market ? market.name : null,
+            alertType: trigger.alertType,
+            reportType: trigger.reportType,
+            reportDate: trigger.reportDate,
+            traderGroup: trigger.traderGroup,
+            value: trigger.value,
+            previousValue: trigger.previousValue,
+            thresholdValue: trigger.thresholdValue,
+            thresholdDirection: trigger.thresholdDirection,
+            positioning: trigger.details
+        });
+        for (const delivery of deliveries) counts[delivery.status]++;
+    }
+
+    if (counts.succeeded + counts.pending + counts.failed > 0) {
+        console.log(`[Webhooks] Alert deliveries: ${counts.succeeded} succeeded, ${counts.pending} retrying, ${counts.failed} failed`);
+    }
+
+    return counts;
+}
+
+/**
+ * Send a test event to one endpoint (single attempt) and return the delivery
+ */
+async function sendTestEvent(webhookId) {
+    const webhook = await Webhook.findForDelivery(webhookId);
+    const event = buildEvent(TEST_EVENT, {
+        message: 'This is a test event from COT Pulse.',
+        webhookId: webhook.id
+    });
+
+    const delivery = await Webhook.createDelivery(webhook, {
+        eventId: event.id,
+        eventType: TEST_EVENT,
+        payload: event
+    });
+    return attemptDelivery(webhook, delivery);
+}
+
+let processing = false;
+
+/**
+ * Retry deliveries whose backoff has elapsed. Returns the number attempted.
+ */
+async function processDueDeliveries() {
+    if (processing) return 0;
+    processing = true;
+
+    try {
+        const due = await Webhook.findDueDeliveries();
+
+        for (const delivery of due) {
+            const webhook = await Webhook.findForDelivery(delivery.webhookId);
+            if (!webhook || !webhook.is_active) {
+                await Webhook.updateDelivery(delivery.id, {
+                    status: 'failed',
+                    attempts: delivery.attempts,
+                    responseStatus: delivery.responseStatus,
+                    error: 'Webhook disabled'
+                });
+                continue;
+            }
+            await attemptDelivery(webhook, delivery);
+        }
+
+        return due.length;
+    } finally {
+        processing = false;
+    }
+}
+
+/**
+ * Start retrying due deliveries in the background
+ */
+function startRetryWorker() {
+    const timer = setInterval(() => {
+        processDueDeliveries().catch(err => console.error('[Webhooks] Retry worker error:', err));
+    }, RETRY_WORKER_INTERVAL_MS);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    sign,
+    dispatchEvent,
+    dispatchAlertTriggers,
+    sendTestEvent,
+    processDueDeliveries,
+    startRetryWorker,
+    MAX_ATTEMPTS,
+    AUTO_DISABLE_AFTER_FAILURES
+};
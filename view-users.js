@@ -12,7 +12,7 @@ async function viewUsers() {
     console.log('  COT PULSE - DATABASE USERS');
     console.log('============================================\n');
 
-    const users = all('SELECT id, email, name, phone, phone_verified, subscription_tier, created_at FROM users');
+    const users = all('SELECT id, email, name, phone, phone_verified, subscription_tier, role, created_at FROM users');
 
     if (users.length === 0) {
         console.log('No users found in database.\n');
@@ -29,6 +29,7 @@ async function viewUsers() {
         console.log(`  Phone:         ${user.phone || '(not set)'}`);
         console.log(`  Phone Verified: ${user.phone_verified ? 'Yes' : 'No'}`);
         console.log(`  Subscription:  ${user.subscription_tier}`);
+        console.log(`  Role:          ${user.role || 'user'}`);
         console.log(`  Created:       ${user.created_at}`);
         console.log('');
     });